@@ -0,0 +1,41 @@
+// Turn `chat_messages.attachments` into model context: extracted document
+// text is appended to the message, and images are passed by signed URL to
+// providers that accept them.
+const ATTACHMENT_BUCKET = 'chat-attachments';
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+export function attachmentContext(attachments = []) {
+  return attachments.map((attachment) => {
+    if (attachment.kind === 'image') {
+      return `[Attached image: ${attachment.name}]`;
+    }
+    if (!attachment.text) {
+      return `[Attached file: ${attachment.name} (content could not be read)]`;
+    }
+    const note = attachment.truncated ? ' (truncated)' : '';
+    return `--- Attached file: ${attachment.name}${note} ---\n${attachment.text}\n--- End of ${attachment.name} ---`;
+  }).join('\n\n');
+}
+
+// Add `images: [{ url, type }]` to every row that has image attachments.
+// URLs are signed with the caller's client, so storage RLS still applies.
+export async function withImageUrls(supabase, rows) {
+  const paths = rows.flatMap(row =>
+    (row.attachments || []).filter(a => a.kind === 'image' && a.path).map(a => a.path)
+  );
+  if (paths.length === 0) return rows;
+
+  const { data, error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+  if (error) throw error;
+  const urls = new Map(data.filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+
+  return rows.map((row) => {
+    const images = (row.attachments || [])
+      .filter(a => a.kind === 'image' && urls.has(a.path))
+      .map(a => ({ url: urls.get(a.path), type: a.type }));
+    return images.length ? { ...row, images } : row;
+  });
+}
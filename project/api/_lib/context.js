@@ -0,0 +1,95 @@
+// Token-aware history management. Counts are estimates (about four characters
+// per token plus per-message overhead), which is close enough to keep a
+// request inside the model's context window without shipping a tokenizer.
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET || 6000);
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Providers bill images by resolution; this is a typical mid-size image
+const IMAGE_TOKENS = 1000;
+const SUMMARY_INPUT_CHARS = 24000;
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function messageTokens(message) {
+  const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+  const images = (message.images?.length || 0) * IMAGE_TOKENS;
+  return estimateTokens(message.content) + estimateTokens(toolCalls) + images + MESSAGE_OVERHEAD_TOKENS;
+}
+
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + messageTokens(message), 0);
+}
+
+// Messages form a tree (edits and regenerations are siblings). The
+// conversation is the path from the root to `leafId`, the message the reply
+// will follow; without one, the newest message is used.
+export function branchEndingAt(rows, leafId) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const branch = [];
+  let row = leafId ? byId.get(leafId) : rows[rows.length - 1];
+
+  while (row) {
+    branch.unshift(row);
+    row = row.parent_id ? byId.get(row.parent_id) : null;
+  }
+  return branch;
+}
+
+// Split a conversation into the turns that fit the budget and the older
+// turns that don't. Cuts only happen in front of a user message so an
+// assistant tool call is never separated from its result.
+export function trimToBudget(messages, reservedTokens = 0, budget = CONTEXT_TOKEN_BUDGET) {
+  const system = messages.filter(m => m.role === 'system');
+  const turns = messages.filter(m => m.role !== 'system');
+
+  let available = budget - reservedTokens - estimateMessagesTokens(system);
+  let cut = turns.length;
+  while (cut > 0 && available - messageTokens(turns[cut - 1]) >= 0) {
+    available -= messageTokens(turns[cut - 1]);
+    cut -= 1;
+  }
+  while (cut < turns.length && turns[cut].role !== 'user') {
+    cut += 1;
+  }
+
+  // Always keep the latest turn, even if it alone exceeds the budget
+  if (cut === turns.length && turns.length > 0) {
+    cut = turns.map(m => m.role).lastIndexOf('user');
+    if (cut === -1) cut = turns.length - 1;
+  }
+
+  return { system, kept: turns.slice(cut), dropped: turns.slice(0, cut) };
+}
+
+// The conversation as plain text, its most recent `maxChars` characters
+export function transcript(messages, maxChars = SUMMARY_INPUT_CHARS) {
+  return messages
+    .map(m => `${m.role.toUpperCase()}: ${m.content}`)
+    .join('\n')
+    .slice(-maxChars);
+}
+
+// Fold turns that fell out of the window into the running summary. Resolves
+// with `{ summary, request, completion }` so the caller can account for the
+// call.
+export async function summarize(provider, model, previousSummary, messages) {
+  const request = [
+    {
+      role: 'system',
+      content: 'You maintain a running summary of a conversation between a user and an AI assistant. ' +
+        'Merge the new turns into the existing summary. Keep names, decisions, dates, open questions and ' +
+        'commitments. Write compact prose of at most 250 words and output only the summary.'
+    },
+    {
+      role: 'user',
+      content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript(messages)}`
+    }
+  ];
+  const completion = await provider.complete({ model, messages: request });
+  return { summary: completion.content.trim(), request, completion };
+}
+
+export function summaryMessage(summary) {
+  return { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { trimToBudget, summarize, summaryMessage } from './context.js';
+
+// 40 characters: 10 tokens plus 4 of per-message overhead
+const text = 'x'.repeat(40);
+const MESSAGE_TOKENS = 14;
+const turn = (role, extra = {}) => ({ role, content: text, ...extra });
+
+describe('trimToBudget', () => {
+  const system = { role: 'system', content: text };
+  const turns = [turn('user'), turn('assistant'), turn('user'), turn('assistant'), turn('user')];
+
+  it('keeps everything that fits', () => {
+    const { kept, dropped } = trimToBudget([system, ...turns], 0, 1000);
+    expect(kept).toEqual(turns);
+    expect(dropped).toEqual([]);
+  });
+
+  it('keeps system messages apart from the turns', () => {
+    expect(trimToBudget([system, ...turns], 0, 1000).system).toEqual([system]);
+  });
+
+  it('drops the oldest turns, cutting only in front of a user message', () => {
+    // Room for the system message and four turns; the cut then moves past
+    // the assistant turn to the next user message
+    const budget = 5 * MESSAGE_TOKENS;
+    const { kept, dropped } = trimToBudget([system, ...turns], 0, budget);
+    expect(kept).toEqual(turns.slice(2));
+    expect(dropped).toEqual(turns.slice(0, 2));
+  });
+
+  it('counts reserved tokens against the budget', () => {
+    const budget = 6 * MESSAGE_TOKENS;
+    expect(trimToBudget([system, ...turns], 0, budget).dropped).toEqual([]);
+    expect(trimToBudget([system, ...turns], MESSAGE_TOKENS, budget).dropped.length).toBeGreaterThan(0);
+  });
+
+  it('never separates a tool call from its result', () => {
+    const call = turn('assistant', { tool_calls: [{ id: 'call-1', name: 'create_task', arguments: {} }] });
+    const result = turn('tool', { tool_call_id: 'call-1' });
+    const conversation = [turn('user'), call, result, turn('assistant'), turn('user')];
+    const { kept } = trimToBudget(conversation, 0, 3 * MESSAGE_TOKENS);
+    expect(kept).toEqual(conversation.slice(4));
+  });
+
+  it('keeps the latest user turn even when it alone is over budget', () => {
+    const { kept, dropped } = trimToBudget([turn('user'), turn('assistant'), turn('user')], 0, 1);
+    expect(kept).toHaveLength(1);
+    expect(kept[0].role).toBe('user');
+    expect(dropped).toHaveLength(2);
+  });
+});
+
+describe('summarize', () => {
+  it('merges the dropped turns into the previous summary', async () => {
+    let request;
+    const provider = {
+      async complete(options) {
+        request = options;
+        return { content: '  The user planned a launch.  ' };
+      }
+    };
+    const { summary, request: sent } = await summarize(provider, 'gpt-4o-mini', 'Earlier notes.', [
+      { role: 'user', content: 'Plan the launch' },
+      { role: 'assistant', content: 'Sure.' }
+    ]);
+
+    expect(summary).toBe('The user planned a launch.');
+    expect(sent).toEqual(request.messages);
+    expect(request.model).toBe('gpt-4o-mini');
+    expect(request.messages[1].content).toContain('Existing summary:\nEarlier notes.');
+    expect(request.messages[1].content).toContain('USER: Plan the launch\nASSISTANT: Sure.');
+  });
+});
+
+describe('summaryMessage', () => {
+  it('is a system message carrying the summary', () => {
+    expect(summaryMessage('Notes.')).toEqual({ role: 'system', content: 'Summary of the earlier conversation:\nNotes.' });
+  });
+});
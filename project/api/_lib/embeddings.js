@@ -0,0 +1,115 @@
+// Text embeddings for the knowledge index. `openai` and `local` call an
+// OpenAI-compatible `/embeddings` endpoint (OpenAI, Ollama, llama.cpp,
+// LM Studio); `hash` embeds in-process with feature hashing, which needs no
+// model at all and is what the mock provider uses. Vectors from different
+// models are never compared, so switching models only triggers a reindex.
+const HASH_DIMENSIONS = 512;
+const EMBEDDING_BATCH_SIZE = 64;
+// How long one embeddings request may take; retrieval is skipped after it
+const EMBEDDING_TIMEOUT_MS = Number(process.env.EMBEDDING_TIMEOUT_MS || 30000);
+
+// Follows the chat provider, which is `openai` unless LLM_PROVIDER says
+// otherwise; providers without an embeddings endpoint fall back to `hash`
+const DEFAULT_EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER ||
+  ({ openai: 'openai', local: 'local', mock: 'hash' }[process.env.LLM_PROVIDER || 'openai'] ?? 'hash');
+
+function createRemoteEmbedder({ name, baseUrl, apiKey, model }) {
+  return {
+    name,
+    model: `${name}:${model}`,
+    async embed(texts) {
+      const vectors = [];
+      for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+        const response = await fetch(`${baseUrl}/embeddings`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+          },
+          body: JSON.stringify({ model, input: texts.slice(start, start + EMBEDDING_BATCH_SIZE) }),
+          signal: AbortSignal.timeout(EMBEDDING_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+          throw new Error(`${name} embeddings request failed with ${response.status}`);
+        }
+        const { data } = await response.json();
+        vectors.push(...data.sort((a, b) => a.index - b.index).map(item => item.embedding));
+      }
+      return vectors;
+    }
+  };
+}
+
+// FNV-1a, enough to spread tokens over the hash dimensions
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1);
+}
+
+// Bag of words and word pairs, hashed into a fixed-size unit vector. Only
+// matches shared vocabulary, but runs anywhere and is deterministic.
+export function hashEmbedding(text, dimensions = HASH_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+
+  for (const feature of features) {
+    const hash = hashToken(feature);
+    vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+  }
+
+  const norm = Math.hypot(...vector);
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+const factories = {
+  openai: () => createRemoteEmbedder({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+  }),
+  local: () => createRemoteEmbedder({
+    name: 'local',
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text'
+  }),
+  hash: () => ({
+    name: 'hash',
+    model: `hash:${HASH_DIMENSIONS}`,
+    async embed(texts) {
+      return texts.map(text => hashEmbedding(text));
+    }
+  })
+};
+
+export function getEmbedder(name = DEFAULT_EMBEDDING_PROVIDER) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+  return factory();
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,272 @@
+// Retrieval over the user's own tasks and attached documents. Database
+// triggers queue items in `knowledge_sources` when their indexed fields
+// change; they are embedded here right before a retrieval, so the index is
+// current without a background job. Text that hashes the same as what was
+// last embedded is not embedded again, and every embedding call is recorded
+// in the usage ledger.
+// Search runs in pgvector when the extension is installed and in-process
+// otherwise (or with RAG_VECTOR_STORE=memory).
+import { createHash } from 'node:crypto';
+import { cosineSimilarity } from './embeddings.js';
+import { measureEmbeddingUsage, recordUsage } from './usage.js';
+
+const RAG_LIMIT = Number(process.env.RAG_LIMIT || 5);
+const RAG_MIN_SIMILARITY = Number(process.env.RAG_MIN_SIMILARITY || 0.25);
+const VECTOR_STORE = process.env.RAG_VECTOR_STORE || 'pgvector';
+const SYNC_BATCH_SIZE = 25;
+// Upper bound on chunks ranked in-process per request
+const MEMORY_SCAN_LIMIT = 5000;
+const CHUNK_CHARS = 1000;
+const CHUNK_OVERLAP = 150;
+const EXCERPT_CHARS = 240;
+
+// Windows of about CHUNK_CHARS, cut at whitespace where possible, that
+// overlap so a sentence on a boundary is whole in one of them
+export function chunkText(text, size = CHUNK_CHARS, overlap = CHUNK_OVERLAP) {
+  const clean = text.replace(/\s+\n/g, '\n').trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) {
+      const space = clean.lastIndexOf(' ', end);
+      if (space > start + size / 2) end = space;
+    }
+    chunks.push(clean.slice(start, end).trim());
+    if (end === clean.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return chunks.filter(Boolean);
+}
+
+function taskDocument(task) {
+  const subtasks = (task.subtasks || []).map(s => `- [${s.is_complete ? 'x' : ' '}] ${s.title}`);
+  return [
+    `Task: ${task.title}`,
+    `Status: ${task.status}`,
+    task.priority && `Priority: ${task.priority}`,
+    task.deadline && `Due: ${new Date(task.deadline).toISOString().slice(0, 10)}`,
+    task.category && `Category: ${task.category}`,
+    task.tags?.length && `Tags: ${task.tags.join(', ')}`,
+    task.description,
+    subtasks.length && `Subtasks:\n${subtasks.join('\n')}`
+  ].filter(Boolean).join('\n');
+}
+
+const contentHash = text => createHash('sha256').update(text).digest('hex');
+
+async function embed(userId, embedder, texts) {
+  const vectors = await embedder.embed(texts);
+  await recordUsage(userId, {
+    kind: 'embedding',
+    provider: embedder.name,
+    model: embedder.model,
+    usage: measureEmbeddingUsage(embedder.name, embedder.model, texts)
+  });
+  return vectors;
+}
+
+// Current title and text of each source, keyed by source id. Sources whose
+// row or text is gone are left out and get deleted by the caller.
+async function loadDocuments(supabase, sources) {
+  const documents = new Map();
+
+  const taskIds = sources.filter(s => s.source_type === 'task').map(s => s.task_id);
+  if (taskIds.length > 0) {
+    const { data: tasks, error } = await supabase
+      .from('tasks')
+      .select('id, title, description, deadline, status, priority, category, tags, subtasks(title, is_complete)')
+      .in('id', taskIds);
+
+    if (error) throw error;
+    for (const task of tasks || []) {
+      const source = sources.find(s => s.task_id === task.id);
+      documents.set(source.id, { title: task.title, text: taskDocument(task) });
+    }
+  }
+
+  const messageIds = sources.filter(s => s.source_type === 'file').map(s => s.message_id);
+  if (messageIds.length > 0) {
+    const { data: messages, error } = await supabase
+      .from('chat_messages')
+      .select('id, attachments')
+      .in('id', messageIds);
+
+    if (error) throw error;
+    for (const source of sources.filter(s => s.source_type === 'file')) {
+      const message = (messages || []).find(m => m.id === source.message_id);
+      const attachment = message?.attachments?.find(a => a.path === source.source_key);
+      if (attachment?.text) {
+        documents.set(source.id, { title: attachment.name, text: `File: ${attachment.name}\n${attachment.text}` });
+      }
+    }
+  }
+
+  return documents;
+}
+
+// Sources whose text is unchanged since it was embedded with `model`
+async function unchangedSources(supabase, sources, documents, model) {
+  const candidates = sources.filter(s => s.content_hash === contentHash(documents.get(s.id).text));
+  if (candidates.length === 0) return new Set();
+
+  const { data: chunks, error } = await supabase
+    .from('knowledge_chunks')
+    .select('source_id')
+    .in('source_id', candidates.map(s => s.id))
+    .eq('embedding_model', model);
+
+  if (error) throw error;
+  return new Set((chunks || []).map(chunk => chunk.source_id));
+}
+
+// Embed sources that changed or were indexed with another model. Works in
+// batches, so a large backlog is caught up over a few requests.
+export async function syncKnowledge(supabase, userId, embedder) {
+  const { data: sources, error } = await supabase
+    .from('knowledge_sources')
+    .select('id, source_type, source_key, task_id, message_id, content_hash')
+    .eq('user_id', userId)
+    .or(`indexed_model.is.null,indexed_model.neq."${embedder.model}"`)
+    .limit(SYNC_BATCH_SIZE);
+
+  if (error) throw error;
+  if (!sources?.length) return;
+
+  const documents = await loadDocuments(supabase, sources);
+  const gone = sources.filter(s => !documents.has(s.id)).map(s => s.id);
+  if (gone.length > 0) {
+    const { error: deleteError } = await supabase.from('knowledge_sources').delete().in('id', gone);
+    if (deleteError) throw deleteError;
+  }
+
+  const indexed = sources.filter(s => documents.has(s.id));
+  if (indexed.length === 0) return;
+
+  const unchanged = await unchangedSources(supabase, indexed, documents, embedder.model);
+  const changed = indexed.filter(s => !unchanged.has(s.id));
+
+  const chunks = changed.flatMap(source =>
+    chunkText(documents.get(source.id).text).map((content, chunk_index) => ({
+      source_id: source.id,
+      user_id: userId,
+      chunk_index,
+      content,
+      embedding_model: embedder.model
+    }))
+  );
+  if (changed.length > 0) {
+    const vectors = await embed(userId, embedder, chunks.map(chunk => chunk.content));
+
+    const { error: clearError } = await supabase
+      .from('knowledge_chunks')
+      .delete()
+      .in('source_id', changed.map(s => s.id));
+    if (clearError) throw clearError;
+
+    const { error: insertError } = await supabase
+      .from('knowledge_chunks')
+      .insert(chunks.map((chunk, i) => ({ ...chunk, embedding: vectors[i] })));
+    if (insertError) throw insertError;
+  }
+
+  const indexedAt = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('knowledge_sources')
+    .upsert(indexed.map(source => ({
+      ...source,
+      user_id: userId,
+      title: documents.get(source.id).title,
+      content_hash: contentHash(documents.get(source.id).text),
+      indexed_model: embedder.model,
+      indexed_at: indexedAt
+    })));
+  if (updateError) throw updateError;
+}
+
+async function matchWithPgvector(supabase, embedding, model, count) {
+  const { data, error } = await supabase.rpc('match_knowledge', {
+    query_embedding: embedding,
+    match_model: model,
+    match_count: count
+  });
+
+  if (error) {
+    console.warn('pgvector search unavailable, ranking in-process:', error.message);
+    return null;
+  }
+  return data || [];
+}
+
+async function matchInProcess(supabase, embedding, model, count) {
+  const { data, error } = await supabase
+    .from('knowledge_chunks')
+    .select('id, source_id, content, embedding')
+    .eq('embedding_model', model)
+    .limit(MEMORY_SCAN_LIMIT);
+
+  if (error) throw error;
+  return (data || [])
+    .map(chunk => ({
+      chunk_id: chunk.id,
+      source_id: chunk.source_id,
+      content: chunk.content,
+      similarity: cosineSimilarity(embedding, chunk.embedding)
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, count);
+}
+
+// The best-matching chunk of up to RAG_LIMIT sources, numbered for citation:
+// `[{ index, source_type, title, task_id, message_id, path, excerpt, content }]`
+export async function retrieveKnowledge(supabase, userId, embedder, queryText) {
+  if (!queryText.trim() || RAG_LIMIT <= 0) return [];
+
+  await syncKnowledge(supabase, userId, embedder);
+
+  const [embedding] = await embed(userId, embedder, [queryText]);
+  const candidates = RAG_LIMIT * 3;
+  const matches = (VECTOR_STORE === 'pgvector'
+    ? await matchWithPgvector(supabase, embedding, embedder.model, candidates)
+    : null) ?? await matchInProcess(supabase, embedding, embedder.model, candidates);
+
+  const best = new Map();
+  for (const match of matches) {
+    if (match.similarity >= RAG_MIN_SIMILARITY && !best.has(match.source_id)) {
+      best.set(match.source_id, match);
+    }
+  }
+  const selected = [...best.values()].slice(0, RAG_LIMIT);
+  if (selected.length === 0) return [];
+
+  const { data: sources, error } = await supabase
+    .from('knowledge_sources')
+    .select('id, source_type, source_key, task_id, message_id, title')
+    .in('id', selected.map(match => match.source_id));
+
+  if (error) throw error;
+  return selected
+    .map(match => ({ match, source: sources.find(s => s.id === match.source_id) }))
+    .filter(({ source }) => source)
+    .map(({ match, source }, i) => ({
+      index: i + 1,
+      source_type: source.source_type,
+      title: source.title,
+      task_id: source.task_id,
+      message_id: source.message_id,
+      path: source.source_type === 'file' ? source.source_key : null,
+      excerpt: match.content.slice(0, EXCERPT_CHARS),
+      content: match.content
+    }));
+}
+
+export function knowledgeMessage(citations) {
+  return {
+    role: 'system',
+    content: 'Excerpts from the user\'s own tasks and files that may help with the latest message. ' +
+      'When you use one, cite it by its number in brackets, e.g. [1], right after the statement it supports. ' +
+      'Ignore excerpts that are not relevant and never cite numbers not listed here.\n\n' +
+      citations.map(c => `[${c.index}] ${c.source_type === 'task' ? 'Task' : 'File'} "${c.title}":\n${c.content}`).join('\n\n')
+  };
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createHash } from 'node:crypto';
+import { syncKnowledge, chunkText } from './knowledge.js';
+import { recordUsage } from './usage.js';
+
+vi.mock('./usage.js', async importOriginal => ({
+  ...await importOriginal(),
+  recordUsage: vi.fn()
+}));
+
+// A Supabase client whose queries resolve to `rows[table]` and record what
+// was written
+function fakeSupabase(rows) {
+  const writes = [];
+  const from = table => {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      or: () => query,
+      in: () => query,
+      limit: () => query,
+      delete: () => { writes.push({ table, op: 'delete' }); return query; },
+      insert: values => { writes.push({ table, op: 'insert', values }); return query; },
+      upsert: values => { writes.push({ table, op: 'upsert', values }); return query; },
+      then: resolve => resolve({ data: rows[table] || [], error: null })
+    };
+    return query;
+  };
+  return { from, writes };
+}
+
+const task = { id: 'task-1', title: 'Launch', description: 'Ship it', status: 'pending', subtasks: [] };
+const taskText = 'Task: Launch\nStatus: pending\nShip it';
+const source = (extra = {}) => ({ id: 'source-1', source_type: 'task', source_key: 'task-1', task_id: 'task-1', ...extra });
+
+function fakeEmbedder() {
+  return { name: 'hash', model: 'hash:4', embed: vi.fn(async texts => texts.map(() => [1, 0, 0, 0])) };
+}
+
+beforeEach(() => {
+  recordUsage.mockReset();
+});
+
+describe('syncKnowledge', () => {
+  it('embeds changed text, stores its hash and records the usage', async () => {
+    const supabase = fakeSupabase({ knowledge_sources: [source()], tasks: [task] });
+    const embedder = fakeEmbedder();
+    await syncKnowledge(supabase, 'user-1', embedder);
+
+    expect(embedder.embed).toHaveBeenCalledWith([taskText]);
+    expect(supabase.writes.find(w => w.op === 'insert').values[0]).toMatchObject({ source_id: 'source-1', content: taskText });
+    expect(supabase.writes.find(w => w.op === 'upsert').values[0].content_hash)
+      .toBe(createHash('sha256').update(taskText).digest('hex'));
+    expect(recordUsage).toHaveBeenCalledWith('user-1', expect.objectContaining({ kind: 'embedding', provider: 'hash' }));
+  });
+
+  it('does not embed text again when only unindexed fields changed', async () => {
+    const hash = createHash('sha256').update(taskText).digest('hex');
+    const supabase = fakeSupabase({
+      knowledge_sources: [source({ content_hash: hash })],
+      tasks: [task],
+      knowledge_chunks: [{ source_id: 'source-1' }]
+    });
+    const embedder = fakeEmbedder();
+    await syncKnowledge(supabase, 'user-1', embedder);
+
+    expect(embedder.embed).not.toHaveBeenCalled();
+    expect(recordUsage).not.toHaveBeenCalled();
+    expect(supabase.writes.map(w => w.op)).toEqual(['upsert']);
+  });
+});
+
+describe('chunkText', () => {
+  it('cuts long text into overlapping windows at spaces', () => {
+    const chunks = chunkText('word '.repeat(50), 60, 10);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(chunk => chunk.length <= 60)).toBe(true);
+  });
+});
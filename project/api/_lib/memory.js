@@ -0,0 +1,35 @@
+// Long-term memory: facts about the user kept across chats in
+// `user_memories`. The ones relevant to the latest user message are added to
+// the request as a system message.
+const MEMORY_LIMIT = Number(process.env.MEMORY_LIMIT || 8);
+// Recent turns give short follow-ups ("and on Friday?") something to match
+const QUERY_TURNS = 3;
+
+export function memoryQuery(messages) {
+  return messages
+    .filter(m => m.role === 'user' && typeof m.content === 'string')
+    .slice(-QUERY_TURNS)
+    .map(m => m.content)
+    .join('\n');
+}
+
+export async function recallMemories(supabase, queryText) {
+  if (!queryText.trim() || MEMORY_LIMIT <= 0) return [];
+
+  const { data, error } = await supabase.rpc('recall_memories', {
+    query_text: queryText,
+    result_limit: MEMORY_LIMIT
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export function memoryMessage(memories) {
+  return {
+    role: 'system',
+    content: 'Things you remember about the user from earlier conversations. ' +
+      'Use them when relevant; the user can review them on their Memory page.\n' +
+      memories.map(memory => `- ${memory.content}`).join('\n')
+  };
+}
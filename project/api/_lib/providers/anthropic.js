@@ -0,0 +1,150 @@
+import { readEventStream } from '../sse.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const MAX_TOKENS = 4096;
+
+function toAnthropicMessages(messages) {
+  const turns = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') continue;
+
+    let turn;
+    if (message.role === 'tool') {
+      turn = {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]
+      };
+    } else if (message.tool_calls?.length) {
+      turn = {
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {}
+          }))
+        ]
+      };
+    } else if (message.images?.length) {
+      turn = {
+        role: message.role,
+        content: [
+          ...message.images.map(image => ({ type: 'image', source: { type: 'url', url: image.url } })),
+          { type: 'text', text: message.content }
+        ]
+      };
+    } else {
+      turn = { role: message.role, content: message.content };
+    }
+
+    // Results for several tool calls must be sent back as one user turn
+    const previous = turns[turns.length - 1];
+    if (message.role === 'tool' && Array.isArray(previous?.content) && previous.content[0]?.type === 'tool_result') {
+      previous.content.push(...turn.content);
+    } else {
+      turns.push(turn);
+    }
+  }
+
+  return turns;
+}
+
+// The Messages API takes the system prompt separately from the turns.
+function toAnthropicRequest(model, messages, tools) {
+  const system = messages
+    .filter(m => m.role === 'system')
+    .map(m => m.content)
+    .join('\n\n');
+
+  return {
+    model,
+    max_tokens: MAX_TOKENS,
+    ...(system ? { system } : {}),
+    ...(tools?.length
+      ? { tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })) }
+      : {}),
+    messages: toAnthropicMessages(messages)
+  };
+}
+
+export function createAnthropicProvider({ baseUrl, apiKey }) {
+  const request = (body, signal) => fetch(`${baseUrl}/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  return {
+    name: 'anthropic',
+
+    async complete({ model, messages, tools, signal }) {
+      const response = await request(toAnthropicRequest(model, messages, tools), signal);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || `anthropic request failed with ${response.status}`);
+      }
+
+      const blocks = data.content || [];
+      return {
+        content: blocks
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+        model: data.model || model,
+        usage: data.usage
+          ? { prompt_tokens: data.usage.input_tokens, completion_tokens: data.usage.output_tokens }
+          : null
+      };
+    },
+
+    async *stream({ model, messages, tools, signal }) {
+      const response = await request({ ...toAnthropicRequest(model, messages, tools), stream: true }, signal);
+      if (!response.ok) {
+        throw new Error(`anthropic request failed with ${response.status}: ${await response.text()}`);
+      }
+
+      // tool_use input arrives as partial JSON between block start and stop
+      let toolUse = null;
+      // Input tokens come with message_start, output tokens with message_delta
+      const usage = { prompt_tokens: 0, completion_tokens: 0 };
+
+      for await (const event of readEventStream(response.body)) {
+        if (event.type === 'message_start') {
+          usage.prompt_tokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'message_delta' && event.usage) {
+          usage.completion_tokens = event.usage.output_tokens || 0;
+        } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+          toolUse = { id: event.content_block.id, name: event.content_block.name, json: '' };
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield { type: 'token', content: event.delta.text };
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+          if (toolUse) toolUse.json += event.delta.partial_json;
+        } else if (event.type === 'content_block_stop' && toolUse) {
+          let args = {};
+          try {
+            args = toolUse.json ? JSON.parse(toolUse.json) : {};
+          } catch {
+            // Leave arguments empty; the confirmation card shows what was proposed
+          }
+          yield { type: 'tool_call', id: toolUse.id, name: toolUse.name, arguments: args };
+          toolUse = null;
+        } else if (event.type === 'error') {
+          throw new Error(event.error?.message || 'anthropic stream failed');
+        }
+      }
+
+      yield { type: 'usage', ...usage };
+    }
+  };
+}
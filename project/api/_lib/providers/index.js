@@ -0,0 +1,56 @@
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+const DEFAULT_MODELS = {
+  openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  anthropic: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+  local: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  mock: 'mock'
+};
+
+const factories = {
+  openai: () => createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  anthropic: () => createAnthropicProvider({
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+    apiKey: process.env.ANTHROPIC_API_KEY
+  }),
+  local: () => createOpenAIProvider({
+    name: 'local',
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    supportsTools: process.env.LOCAL_LLM_TOOLS === 'true',
+    supportsVision: process.env.LOCAL_LLM_VISION === 'true'
+  }),
+  mock: () => createMockProvider({ delayMs: Number(process.env.MOCK_LLM_DELAY_MS || 0) })
+};
+
+export const PROVIDER_NAMES = Object.keys(factories);
+
+export function getProvider(name) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory();
+}
+
+// Pick the provider and model for a request. The chat session wins over its
+// persona, which wins over the deployment default; a model is only inherited
+// together with the provider it was chosen for.
+export function resolveModel(...candidates) {
+  for (const candidate of candidates) {
+    if (candidate?.provider) {
+      return {
+        provider: candidate.provider,
+        model: candidate.model || DEFAULT_MODELS[candidate.provider]
+      };
+    }
+  }
+  return { provider: DEFAULT_PROVIDER, model: DEFAULT_MODELS[DEFAULT_PROVIDER] };
+}
@@ -0,0 +1,82 @@
+// Deterministic provider for tests and demos: replies come from an ordered
+// list of keyword rules, so the same conversation always gets the same answer.
+// A rule may propose a tool call instead of replying:
+//   { "match": ["remind me"], "toolCall": { "name": "create_task", "arguments": { ... } } }
+const DEFAULT_SCRIPT = [
+  {
+    match: ['create task', 'new task'],
+    reply: "I'll help you create a task. What would you like to name it?"
+  },
+  {
+    match: ['schedule', 'meeting'],
+    reply: 'I can help you schedule that. When would you like to schedule it for?'
+  },
+  {
+    match: [],
+    reply: 'I understand. How else can I assist you with that?'
+  }
+];
+
+// A rule without `match` matches every message
+function loadScript() {
+  if (!process.env.MOCK_LLM_SCRIPT) return DEFAULT_SCRIPT;
+  try {
+    const script = JSON.parse(process.env.MOCK_LLM_SCRIPT);
+    if (!Array.isArray(script)) throw new Error('expected a list of rules');
+    return script.map(rule => ({ ...rule, match: rule.match || [] }));
+  } catch (error) {
+    console.error('Invalid MOCK_LLM_SCRIPT, using the default script:', error.message);
+    return DEFAULT_SCRIPT;
+  }
+}
+
+function scriptedTurn(script, messages) {
+  const last = messages[messages.length - 1];
+  if (last?.role === 'tool') {
+    return { reply: `Done. ${last.content}` };
+  }
+
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const text = (lastUser?.content || '').toLowerCase();
+
+  const rule = script.find(r => r.match.length === 0 || r.match.some(keyword => text.includes(keyword)));
+  return rule || { reply: '' };
+}
+
+function toToolCall(rule, messages) {
+  return {
+    id: `mock-call-${messages.length}`,
+    name: rule.toolCall.name,
+    arguments: rule.toolCall.arguments || {}
+  };
+}
+
+export function createMockProvider({ delayMs = 0 } = {}) {
+  const script = loadScript();
+
+  return {
+    name: 'mock',
+
+    async complete({ model, messages }) {
+      const turn = scriptedTurn(script, messages);
+      return {
+        content: turn.reply || '',
+        toolCalls: turn.toolCall ? [toToolCall(turn, messages)] : [],
+        model: model || 'mock',
+        usage: null
+      };
+    },
+
+    async *stream({ messages, signal }) {
+      const turn = scriptedTurn(script, messages);
+      for (const word of (turn.reply || '').split(/(?<=\s)/).filter(Boolean)) {
+        if (signal?.aborted) return;
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+        yield { type: 'token', content: word };
+      }
+      if (turn.toolCall) {
+        yield { type: 'tool_call', ...toToolCall(turn, messages) };
+      }
+    }
+  };
+}
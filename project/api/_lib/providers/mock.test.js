@@ -0,0 +1,59 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createMockProvider } from './mock.js';
+
+const ask = content => [{ role: 'system', content: 'Be brief.' }, { role: 'user', content }];
+
+async function collect(stream) {
+  let text = '';
+  for await (const event of stream) text += event.content;
+  return text;
+}
+
+describe('mock provider', () => {
+  afterEach(() => {
+    delete process.env.MOCK_LLM_SCRIPT;
+  });
+
+  it('answers with the first rule whose keyword the last user message contains', async () => {
+    const provider = createMockProvider();
+    const { content, model, usage } = await provider.complete({ messages: ask('Please create task for the launch') });
+    expect(content).toBe("I'll help you create a task. What would you like to name it?");
+    expect(model).toBe('mock');
+    expect(usage).toBeNull();
+  });
+
+  it('falls back to the catch-all rule', async () => {
+    const { content } = await createMockProvider().complete({ messages: ask('Hello') });
+    expect(content).toBe('I understand. How else can I assist you with that?');
+  });
+
+  it('streams the same reply word by word', async () => {
+    const provider = createMockProvider();
+    const messages = ask('Can we schedule a meeting?');
+    const { content } = await provider.complete({ messages });
+    expect(await collect(provider.stream({ messages }))).toBe(content);
+  });
+
+  it('stops streaming once aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = createMockProvider().stream({ messages: ask('Hello'), signal: controller.signal });
+    expect(await collect(stream)).toBe('');
+  });
+
+  it('reads its script from MOCK_LLM_SCRIPT, where a rule without match is a catch-all', async () => {
+    process.env.MOCK_LLM_SCRIPT = JSON.stringify([
+      { match: ['weather'], reply: 'Sunny.' },
+      { reply: 'No idea.' }
+    ]);
+    const provider = createMockProvider();
+    expect((await provider.complete({ messages: ask('How is the weather?') })).content).toBe('Sunny.');
+    expect((await provider.complete({ messages: ask('What time is it?') })).content).toBe('No idea.');
+  });
+
+  it('keeps the default script when MOCK_LLM_SCRIPT is not a list of rules', async () => {
+    process.env.MOCK_LLM_SCRIPT = '{"reply": "broken"}';
+    const { content } = await createMockProvider().complete({ messages: ask('Hello') });
+    expect(content).toBe('I understand. How else can I assist you with that?');
+  });
+});
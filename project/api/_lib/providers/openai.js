@@ -0,0 +1,134 @@
+import { readEventStream } from '../sse.js';
+
+function toOpenAIMessages(messages, supportsVision) {
+  return messages.map((message) => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+    }
+    if (message.tool_calls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.tool_calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    if (supportsVision && message.images?.length) {
+      return {
+        role: message.role,
+        content: [
+          { type: 'text', text: message.content },
+          ...message.images.map(image => ({ type: 'image_url', image_url: { url: image.url } }))
+        ]
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+function toOpenAITools(tools) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+function parseArguments(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+// Chat completions against OpenAI or any server that speaks the same API
+// (Ollama, llama.cpp, LM Studio, the mock server in scripts/). Set
+// `supportsTools` to false for servers that reject the `tools` field, and
+// `supportsVision` to false for models that can't take image input.
+export function createOpenAIProvider({
+  name = 'openai',
+  baseUrl,
+  apiKey,
+  supportsTools = true,
+  supportsVision = true
+}) {
+  const request = (body, signal) => fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const buildBody = (model, messages, tools) => ({
+    model,
+    messages: toOpenAIMessages(messages, supportsVision),
+    ...(supportsTools && tools?.length ? { tools: toOpenAITools(tools) } : {})
+  });
+
+  return {
+    name,
+
+    async complete({ model, messages, tools, signal }) {
+      const response = await request(buildBody(model, messages, tools), signal);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || `${name} request failed with ${response.status}`);
+      }
+
+      const message = data.choices?.[0]?.message || {};
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments)
+        })),
+        model: data.model || model,
+        usage: data.usage || null
+      };
+    },
+
+    async *stream({ model, messages, tools, signal }) {
+      // `include_usage` adds a final chunk with the token counts; servers
+      // without it ignore the option
+      const response = await request({
+        ...buildBody(model, messages, tools),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, signal);
+      if (!response.ok) {
+        throw new Error(`${name} request failed with ${response.status}: ${await response.text()}`);
+      }
+
+      // Tool calls arrive as fragments keyed by index; emit them whole at the end
+      const toolCalls = [];
+
+      for await (const chunk of readEventStream(response.body)) {
+        if (chunk.usage) {
+          yield { type: 'usage', prompt_tokens: chunk.usage.prompt_tokens, completion_tokens: chunk.usage.completion_tokens };
+        }
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) yield { type: 'token', content: delta.content };
+
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||= { id: null, name: '', arguments: '' };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        }
+      }
+
+      for (const call of toolCalls.filter(Boolean)) {
+        yield { type: 'tool_call', id: call.id, name: call.name, arguments: parseArguments(call.arguments) };
+      }
+    }
+  };
+}
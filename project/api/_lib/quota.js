@@ -0,0 +1,65 @@
+// Daily plan quotas on model calls, counted from the `usage_events` ledger
+// over the current UTC day. A user's plan is read from `user_plans`;
+// users without one are on `free`. Speech, transcription and embeddings
+// count toward tokens only: reading a reply aloud takes a request per
+// sentence.
+
+// Model calls and tokens per day. Override with PLAN_QUOTAS, e.g.
+// `{"free": {"requests": 50, "tokens": 100000}}`; null means unlimited.
+const DEFAULT_QUOTAS = {
+  free: { requests: 200, tokens: 500000 },
+  pro: { requests: 2000, tokens: 5000000 },
+  team: { requests: 10000, tokens: null }
+};
+
+function loadQuotas() {
+  if (!process.env.PLAN_QUOTAS) return DEFAULT_QUOTAS;
+  try {
+    return { ...DEFAULT_QUOTAS, ...JSON.parse(process.env.PLAN_QUOTAS) };
+  } catch (error) {
+    console.error('Invalid PLAN_QUOTAS, using the default quotas:', error.message);
+    return DEFAULT_QUOTAS;
+  }
+}
+
+const QUOTAS = loadQuotas();
+
+const MODEL_CALL_KINDS = ['reply', 'summary', 'title'];
+
+async function loadPlan(supabase, userId) {
+  const { data, error } = await supabase
+    .from('user_plans')
+    .select('plan')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.plan || 'free';
+}
+
+// `{ allowed, plan, used: { requests, tokens }, quota, retryAfter }`, where
+// `retryAfter` is the seconds until the quota resets at UTC midnight
+export async function checkQuota(supabase, userId) {
+  const plan = await loadPlan(supabase, userId);
+  const quota = QUOTAS[plan] || QUOTAS.free;
+
+  const now = new Date();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const { data, error } = await supabase.rpc('usage_by_period', {
+    bucket: 'day',
+    from_date: dayStart.toISOString(),
+    time_zone: 'UTC'
+  });
+
+  if (error) throw error;
+  const used = (data || []).reduce((sum, row) => ({
+    requests: sum.requests + (MODEL_CALL_KINDS.includes(row.kind) ? Number(row.requests) : 0),
+    tokens: sum.tokens + Number(row.prompt_tokens) + Number(row.completion_tokens)
+  }), { requests: 0, tokens: 0 });
+
+  const allowed = (quota.requests == null || used.requests < quota.requests) &&
+    (quota.tokens == null || used.tokens < quota.tokens);
+  const retryAfter = Math.ceil((dayStart.getTime() + 24 * 60 * 60 * 1000 - now.getTime()) / 1000);
+
+  return { allowed, plan, used, quota, retryAfter };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { checkQuota } from './quota.js';
+
+// Just enough of a Supabase client for checkQuota: the user's plan and the
+// day's usage rows
+function fakeSupabase(plan, rows) {
+  const calls = [];
+  const query = {
+    select: () => query,
+    eq: () => query,
+    maybeSingle: async () => ({ data: plan ? { plan } : null, error: null })
+  };
+  return {
+    calls,
+    from: () => query,
+    rpc: async (name, args) => {
+      calls.push({ name, args });
+      return { data: rows, error: null };
+    }
+  };
+}
+
+const row = (requests, promptTokens, completionTokens, kind = 'reply') => ({
+  kind,
+  requests: String(requests),
+  prompt_tokens: String(promptTokens),
+  completion_tokens: String(completionTokens)
+});
+
+describe('checkQuota', () => {
+  it('puts users without a plan on free', async () => {
+    const quota = await checkQuota(fakeSupabase(null, []), 'user-1');
+    expect(quota.plan).toBe('free');
+    expect(quota.allowed).toBe(true);
+    expect(quota.used).toEqual({ requests: 0, tokens: 0 });
+  });
+
+  it('sums the day from midnight UTC', async () => {
+    const supabase = fakeSupabase('pro', [row(3, 100, 50), row(2, 10, 5)]);
+    const quota = await checkQuota(supabase, 'user-1');
+
+    expect(quota.used).toEqual({ requests: 5, tokens: 165 });
+    expect(supabase.calls[0].name).toBe('usage_by_period');
+    expect(supabase.calls[0].args.time_zone).toBe('UTC');
+    expect(supabase.calls[0].args.from_date).toMatch(/T00:00:00\.000Z$/);
+  });
+
+  it('refuses once requests or tokens reach the plan quota', async () => {
+    expect((await checkQuota(fakeSupabase('free', [row(200, 0, 0)]), 'user-1')).allowed).toBe(false);
+    expect((await checkQuota(fakeSupabase('free', [row(1, 400000, 100000)]), 'user-1')).allowed).toBe(false);
+  });
+
+  it('counts speech and transcription toward tokens but not requests', async () => {
+    const rows = [row(1, 10, 5), row(300, 100, 0, 'speech'), row(5, 0, 20, 'transcription')];
+    const quota = await checkQuota(fakeSupabase('free', rows), 'user-1');
+    expect(quota.used).toEqual({ requests: 1, tokens: 135 });
+    expect(quota.allowed).toBe(true);
+  });
+
+  it('treats a null quota as unlimited', async () => {
+    const quota = await checkQuota(fakeSupabase('team', [row(1, 1e9, 0)]), 'user-1');
+    expect(quota.allowed).toBe(true);
+  });
+
+  it('reports the seconds until the quota resets', async () => {
+    const { retryAfter } = await checkQuota(fakeSupabase(null, []), 'user-1');
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+});
@@ -0,0 +1,136 @@
+// Sliding-window rate limits shared by the API handlers. Each request is
+// counted against its client IP and, when signed in, its user; either key
+// running out of requests answers 429 with Retry-After.
+// RATE_LIMIT_STORE picks where hits are kept: `memory` (per process, for
+// development) or `postgres` (the `hit_rate_limit` function, shared by all
+// instances and only executable with the service role). Production
+// defaults to `postgres`.
+import { getServiceClient } from './supabase.js';
+
+// Requests allowed per `window` seconds, per user and per IP. Override per
+// route with RATE_LIMITS, e.g. `{"openai": {"window": 60, "user": 10}}`.
+const DEFAULT_LIMITS = {
+  openai: { window: 60, user: 20, ip: 60 },
+  'chat-title': { window: 60, user: 20, ip: 60 },
+  tts: { window: 60, user: 60, ip: 120 },
+  transcribe: { window: 60, user: 20, ip: 60 },
+  auth: { window: 15 * 60, ip: 10 },
+  register: { window: 60 * 60, ip: 5 },
+  'password-reset': { window: 60 * 60, ip: 5 }
+};
+
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) return DEFAULT_LIMITS;
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    return Object.fromEntries(
+      [...new Set([...Object.keys(DEFAULT_LIMITS), ...Object.keys(overrides)])]
+        .map(route => [route, { ...DEFAULT_LIMITS[route], ...overrides[route] }])
+    );
+  } catch (error) {
+    console.error('Invalid RATE_LIMITS, using the default limits:', error.message);
+    return DEFAULT_LIMITS;
+  }
+}
+
+const LIMITS = loadLimits();
+
+// Stores implement `hit({ route, subject, id, window, max })`,
+// counting one request and returning 0 when it is allowed, otherwise the
+// seconds until the oldest hit in the window expires.
+// `hits` maps each key to its window and recent hit times; keys whose
+// window has emptied are dropped, so idle clients don't pile up.
+export function createMemoryStore(hits = new Map()) {
+  function sweep(now) {
+    for (const [key, entry] of hits) {
+      if (entry.times[entry.times.length - 1] <= now - entry.window * 1000) hits.delete(key);
+    }
+  }
+
+  return {
+    async hit({ route, subject, id, window, max }) {
+      const key = `${route}:${subject}:${id}`;
+      const now = Date.now();
+      sweep(now);
+      const recent = (hits.get(key)?.times || []).filter(time => time > now - window * 1000);
+
+      if (recent.length >= max) {
+        hits.set(key, { window, times: recent });
+        return Math.max(1, Math.ceil((recent[0] + window * 1000 - now) / 1000));
+      }
+      recent.push(now);
+      hits.set(key, { window, times: recent });
+      return 0;
+    }
+  };
+}
+
+function createPostgresStore() {
+  return {
+    // Windows and limits come from LIMITS, never from the request
+    async hit({ route, subject, id, window, max }) {
+      const { data, error } = await getServiceClient().rpc('hit_rate_limit', {
+        route,
+        subject,
+        subject_id: id,
+        window_seconds: window,
+        max_hits: max
+      });
+
+      if (error) throw error;
+      return data || 0;
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+const STORE_NAME = process.env.RATE_LIMIT_STORE ||
+  (process.env.NODE_ENV === 'production' ? 'postgres' : 'memory');
+const store = (STORES[STORE_NAME] || STORES.memory)();
+
+// The client controls the start of X-Forwarded-For, so only what the
+// platform's proxy sets is trusted: X-Real-IP, else the hop it appended last
+export function clientIp(req) {
+  const realIp = req.headers['x-real-ip'];
+  if (realIp) return realIp.trim();
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',').pop().trim();
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+export function tooManyRequests(res, retryAfter, message) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+}
+
+// Count the request against `route`'s limits. Returns true when it may
+// proceed; otherwise the 429 has already been sent. `auth` is the result of
+// getAuthenticatedClient for signed-in routes. A store that fails lets the
+// request through rather than taking the API down with it.
+export async function rateLimit(req, res, route, auth = null) {
+  const limit = LIMITS[route];
+  if (!limit) return true;
+
+  const subjects = [
+    limit.ip && { subject: 'ip', id: clientIp(req), max: limit.ip },
+    limit.user && auth && { subject: 'user', id: auth.user.id, max: limit.user }
+  ].filter(Boolean);
+
+  try {
+    const waits = await Promise.all(subjects.map(({ subject, id, max }) =>
+      store.hit({ route, subject, id, window: limit.window, max })
+    ));
+    const retryAfter = Math.max(0, ...waits);
+    if (retryAfter > 0) {
+      tooManyRequests(res, retryAfter, `Too many requests, try again in ${retryAfter} seconds`);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error checking rate limit:', error.message);
+  }
+  return true;
+}
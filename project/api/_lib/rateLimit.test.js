@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMemoryStore, clientIp, rateLimit } from './rateLimit.js';
+
+function fakeResponse() {
+  const res = { headers: {} };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  return res;
+}
+
+const request = (headers = {}) => ({ headers, socket: { remoteAddress: '10.0.0.1' } });
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createMemoryStore', () => {
+  const hit = { route: 'openai', subject: 'ip', id: '1.2.3.4', window: 60, max: 2 };
+
+  it('allows requests up to the limit, then reports the wait', async () => {
+    vi.useFakeTimers();
+    const store = createMemoryStore();
+
+    expect(await store.hit(hit)).toBe(0);
+    vi.advanceTimersByTime(10 * 1000);
+    expect(await store.hit(hit)).toBe(0);
+    expect(await store.hit(hit)).toBe(50);
+  });
+
+  it('lets requests through again once the window has passed', async () => {
+    vi.useFakeTimers();
+    const store = createMemoryStore();
+
+    await store.hit(hit);
+    await store.hit(hit);
+    vi.advanceTimersByTime(60 * 1000);
+    expect(await store.hit(hit)).toBe(0);
+  });
+
+  it('drops keys whose window has emptied', async () => {
+    vi.useFakeTimers();
+    const hits = new Map();
+    const store = createMemoryStore(hits);
+
+    await store.hit(hit);
+    await store.hit({ ...hit, id: '5.6.7.8', window: 600 });
+    expect(hits.size).toBe(2);
+
+    vi.advanceTimersByTime(60 * 1000);
+    await store.hit({ ...hit, id: '5.6.7.8', window: 600 });
+    expect([...hits.keys()]).toEqual(['openai:ip:5.6.7.8']);
+  });
+});
+
+describe('clientIp', () => {
+  it('trusts X-Real-IP first', () => {
+    expect(clientIp(request({ 'x-real-ip': ' 1.2.3.4 ', 'x-forwarded-for': '9.9.9.9' }))).toBe('1.2.3.4');
+  });
+
+  it('takes the hop the proxy appended last to X-Forwarded-For', () => {
+    expect(clientIp(request({ 'x-forwarded-for': '9.9.9.9, 1.2.3.4' }))).toBe('1.2.3.4');
+  });
+
+  it('falls back to the socket address', () => {
+    expect(clientIp(request())).toBe('10.0.0.1');
+  });
+});
+
+describe('rateLimit', () => {
+  it('answers 429 with Retry-After once the IP runs out of requests', async () => {
+    const req = request({ 'x-real-ip': '203.0.113.7' });
+    for (let i = 0; i < 5; i++) {
+      expect(await rateLimit(req, fakeResponse(), 'register')).toBe(true);
+    }
+
+    const res = fakeResponse();
+    expect(await rateLimit(req, res, 'register')).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(res.body.retryAfter).toBe(Number(res.headers['Retry-After']));
+  });
+
+  it('lets routes without limits through', async () => {
+    expect(await rateLimit(request(), fakeResponse(), 'unknown-route')).toBe(true);
+  });
+});
@@ -0,0 +1,44 @@
+// Parse a server-sent event stream (a fetch Response body) into the JSON
+// payloads of its `data:` lines. Stops at the OpenAI-style `[DONE]` marker.
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // Ignore keep-alive comments and partial payloads
+      }
+    }
+  }
+}
+
+// Switch a response into event-stream mode and return a writer for events.
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  return {
+    send(event) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    },
+    close() {
+      res.write('data: [DONE]\n\n');
+      res.end();
+    }
+  };
+}
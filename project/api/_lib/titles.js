@@ -0,0 +1,59 @@
+// Chat titles and one-line summaries, written by the chat's own model after
+// the first exchange and reconsidered as the conversation goes on.
+import { transcript } from './context.js';
+
+// Title placeholder of a chat nobody has named yet
+export const UNTITLED = 'New Chat';
+export const TITLE_MAX_LENGTH = 60;
+const HEADLINE_MAX_LENGTH = 160;
+const TITLE_INPUT_CHARS = 8000;
+
+// Single line, no wrapping quotes or trailing period, at most `max` characters
+function clean(text, max) {
+  const line = String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["'“]+|["'”]+$/g, '')
+    .replace(/\.$/, '');
+  return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line;
+}
+
+// What the chat is called before (or without) a generated title
+export function fallbackTitle(messages) {
+  const first = messages.find(m => m.role === 'user')?.content;
+  return first ? clean(first, TITLE_MAX_LENGTH) || UNTITLED : UNTITLED;
+}
+
+// Resolves with `{ title, headline, request, completion }`. `currentTitle`
+// is kept unless the topic has moved on. Throws when the model doesn't
+// answer in the requested format, e.g. scripted mock replies.
+export async function generateTitle(provider, model, currentTitle, messages) {
+  const request = [
+    {
+      role: 'system',
+      content: 'You name conversations between a user and an AI assistant. Reply with JSON only, in the form ' +
+        '{"title": "...", "summary": "..."}. The title has at most six words and no quotes or final punctuation. ' +
+        'The summary is one sentence of at most 25 words saying what the conversation is about.' +
+        (currentTitle ? ' Keep the current title unless the conversation has clearly moved to another topic.' : '')
+    },
+    {
+      role: 'user',
+      content: `${currentTitle ? `Current title: ${currentTitle}\n\n` : ''}Conversation:\n${transcript(messages, TITLE_INPUT_CHARS)}`
+    }
+  ];
+  const completion = await provider.complete({ model, messages: request });
+
+  const json = completion.content.match(/\{[\s\S]*\}/)?.[0];
+  let parsed = null;
+  try {
+    parsed = json ? JSON.parse(json) : null;
+  } catch {
+    parsed = null;
+  }
+  const title = clean(parsed?.title, TITLE_MAX_LENGTH);
+  if (!title) {
+    throw new Error('Model did not return a title');
+  }
+
+  return { title, headline: clean(parsed.summary, HEADLINE_MAX_LENGTH) || null, request, completion };
+}
@@ -0,0 +1,77 @@
+// Actions the assistant may propose. The model only ever *proposes* a call:
+// the browser shows it as a confirmation card and runs it with the user's own
+// session once they approve (see src/services/assistantTools.js).
+export const ASSISTANT_TOOLS = [
+  {
+    name: 'create_task',
+    description: 'Create a task in the user\'s task list, optionally with subtasks.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short task title' },
+        description: { type: 'string' },
+        deadline: { type: 'string', description: 'ISO 8601 date-time the task is due' },
+        priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+        subtasks: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'create_calendar_event',
+    description: 'Add an event to the user\'s calendar.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        start: { type: 'string', description: 'ISO 8601 start date-time' },
+        end: { type: 'string', description: 'ISO 8601 end date-time' },
+        description: { type: 'string' }
+      },
+      required: ['title', 'start']
+    }
+  },
+  {
+    name: 'send_email',
+    description: 'Send an email from the user\'s connected Gmail account.',
+    parameters: {
+      type: 'object',
+      properties: {
+        to: { type: 'string', description: 'Recipient email address' },
+        subject: { type: 'string' },
+        body: { type: 'string' }
+      },
+      required: ['to', 'subject', 'body']
+    }
+  },
+  {
+    name: 'save_memory',
+    description: 'Remember a lasting fact about the user for future conversations, ' +
+      'such as a preference, a key client or a recurring schedule.',
+    parameters: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'The fact as one short, self-contained sentence' }
+      },
+      required: ['content']
+    }
+  },
+  {
+    name: 'create_asana_task',
+    description: 'Create a task in the user\'s connected Asana workspace.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Asana task name' }
+      },
+      required: ['name']
+    }
+  }
+];
+
+export function toolInstructions(now = new Date()) {
+  return `The current date and time is ${now.toISOString()}. ` +
+    'When the user asks to create tasks, schedule events, send emails or create Asana tasks, ' +
+    'call the matching tool instead of describing the steps. The user confirms every action before it runs. ' +
+    'When the user shares a lasting preference or fact about themselves or their work, offer to remember it with save_memory.';
+}
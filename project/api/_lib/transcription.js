@@ -0,0 +1,114 @@
+import { readingSeconds } from './tts.js';
+
+// Speech-to-text for `api/transcribe.js`. `openai` posts to an
+// OpenAI-compatible `/audio/transcriptions` endpoint (OpenAI, or a local
+// server such as faster-whisper-server); `whispercpp` posts to the
+// `/inference` endpoint of whisper.cpp's `whisper-server`; `mock` answers
+// with `MOCK_TRANSCRIPT`. Every engine resolves with
+// `{ text, language, duration, segments: [{ start, end, text }] }`, times in
+// seconds from the start of the recording.
+const DEFAULT_TRANSCRIBE_PROVIDER = process.env.TRANSCRIBE_PROVIDER ||
+  ({ openai: 'openai', local: 'whispercpp', mock: 'mock' }[process.env.LLM_PROVIDER] ?? 'whispercpp');
+
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+export const AUDIO_TYPES = Object.keys(EXTENSIONS);
+
+// Recorders add codecs to the type, e.g. `audio/webm;codecs=opus`
+export function audioType(mimeType = '') {
+  return mimeType.split(';')[0].trim().toLowerCase();
+}
+
+function audioForm(audio, mimeType, fields) {
+  const type = audioType(mimeType);
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type }), `speech.${EXTENSIONS[type]}`);
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) form.append(key, String(value));
+  }
+  return form;
+}
+
+// Both servers answer `verbose_json` in OpenAI's shape
+function normalize(result) {
+  const segments = (result.segments || []).map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.text.trim()
+  }));
+  return {
+    text: (result.text || '').trim(),
+    language: result.language || null,
+    duration: result.duration ?? segments[segments.length - 1]?.end ?? 0,
+    segments
+  };
+}
+
+async function postAudio(name, url, apiKey, form) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    body: form
+  });
+
+  if (!response.ok) {
+    throw new Error(`${name} transcription request failed with ${response.status}`);
+  }
+  return normalize(await response.json());
+}
+
+const factories = {
+  openai: () => {
+    const model = process.env.OPENAI_TRANSCRIBE_MODEL || 'whisper-1';
+    return {
+      name: 'openai',
+      model,
+      transcribe(audio, { mimeType, language }) {
+        return postAudio(
+          'openai',
+          `${process.env.TRANSCRIBE_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'}/audio/transcriptions`,
+          process.env.TRANSCRIBE_API_KEY || process.env.OPENAI_API_KEY,
+          audioForm(audio, mimeType, { model, response_format: 'verbose_json', language })
+        );
+      }
+    };
+  },
+  whispercpp: () => ({
+    name: 'whispercpp',
+    model: 'whisper.cpp',
+    transcribe(audio, { mimeType, language }) {
+      return postAudio(
+        'whispercpp',
+        `${process.env.WHISPER_CPP_URL || 'http://localhost:8080'}/inference`,
+        null,
+        audioForm(audio, mimeType, { response_format: 'verbose_json', language: language || 'auto' })
+      );
+    }
+  }),
+  mock: () => ({
+    name: 'mock',
+    model: 'mock',
+    async transcribe(_audio, { language }) {
+      const text = process.env.MOCK_TRANSCRIPT || 'This is a mock transcript.';
+      const duration = readingSeconds(text);
+      return { text, language: language || 'en', duration, segments: [{ start: 0, end: duration, text }] };
+    }
+  })
+};
+
+export const TRANSCRIBE_PROVIDER_NAMES = Object.keys(factories);
+
+export function getTranscriber(name = DEFAULT_TRANSCRIBE_PROVIDER) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+  return factory();
+}
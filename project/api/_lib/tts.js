@@ -0,0 +1,111 @@
+// Text-to-speech for `api/tts.js`. `openai` and `local` call an
+// OpenAI-compatible `/audio/speech` endpoint (OpenAI, or a local server such
+// as Kokoro-FastAPI or openedai-speech); `mock` answers with silence about as
+// long as the text would take to read, for tests and demos.
+export const AUDIO_FORMATS = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac'
+};
+
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+const DEFAULT_TTS_PROVIDER = process.env.TTS_PROVIDER ||
+  ({ openai: 'openai', local: 'local', mock: 'mock' }[process.env.LLM_PROVIDER] ?? 'local');
+
+const listFromEnv = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+
+function createRemoteSpeech({ name, baseUrl, apiKey, model, voices, defaultVoice }) {
+  return {
+    name,
+    model,
+    voices,
+    defaultVoice,
+    formats: Object.keys(AUDIO_FORMATS),
+    async synthesize(text, { voice, speed, format }) {
+      const response = await fetch(`${baseUrl}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({ model, input: text, voice, speed, response_format: format })
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} speech request failed with ${response.status}`);
+      }
+      return { audio: Buffer.from(await response.arrayBuffer()), format };
+    }
+  };
+}
+
+// 8 kHz, 8-bit mono PCM; 128 is the zero line
+export function silentWav(seconds) {
+  const sampleRate = 8000;
+  const samples = Math.round(seconds * sampleRate);
+  const wav = Buffer.alloc(44 + samples, 128);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate, 28);
+  wav.writeUInt16LE(1, 32);
+  wav.writeUInt16LE(8, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples, 40);
+  return wav;
+}
+
+// About how long `text` takes to say at `speed`, for silent mock audio
+export function readingSeconds(text, speed = 1) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.min(Math.max(words * 0.35, 0.5), 60) / speed;
+}
+
+const factories = {
+  openai: () => createRemoteSpeech({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+    voices: OPENAI_VOICES,
+    defaultVoice: process.env.TTS_VOICE || 'nova'
+  }),
+  local: () => {
+    const voices = listFromEnv(process.env.LOCAL_TTS_VOICES, OPENAI_VOICES);
+    return createRemoteSpeech({
+      name: 'local',
+      baseUrl: process.env.LOCAL_TTS_BASE_URL || 'http://localhost:8880/v1',
+      apiKey: process.env.LOCAL_TTS_API_KEY,
+      model: process.env.LOCAL_TTS_MODEL || 'kokoro',
+      voices,
+      defaultVoice: process.env.TTS_VOICE || voices[0]
+    });
+  },
+  mock: () => ({
+    name: 'mock',
+    model: 'mock',
+    voices: ['mock'],
+    defaultVoice: 'mock',
+    formats: ['wav'],
+    async synthesize(text, { speed }) {
+      return { audio: silentWav(readingSeconds(text, speed)), format: 'wav' };
+    }
+  })
+};
+
+export const TTS_PROVIDER_NAMES = Object.keys(factories);
+
+export function getSpeechEngine(name = DEFAULT_TTS_PROVIDER) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown TTS provider: ${name}`);
+  }
+  return factory();
+}
@@ -0,0 +1,143 @@
+// Token accounting. Every model call is recorded in `usage_events` with its
+// estimated cost; providers that report no usage get tokens estimated from
+// text length and are flagged `estimated`. Speech, transcription and
+// embeddings are recorded too, with the tokens of the text read, heard or
+// embedded.
+import { estimateTokens, estimateMessagesTokens } from './context.js';
+import { getServiceClient } from './supabase.js';
+
+// USD per million tokens. Models match by prefix, so dated snapshots
+// (`gpt-4o-mini-2024-07-18`) use their family's price; the longest prefix
+// wins. Extend or override with MODEL_PRICING, e.g.
+// `{"gpt-4o-mini": {"input": 0.15, "output": 0.6}}`.
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 }
+};
+
+// Speech is priced per million characters read and transcription per
+// minute of audio, in USD
+const AUDIO_PRICING = {
+  'tts-1-hd': { perMillionCharacters: 30 },
+  'tts-1': { perMillionCharacters: 15 },
+  'gpt-4o-mini-transcribe': { perMinute: 0.003 },
+  'gpt-4o-transcribe': { perMinute: 0.006 },
+  'whisper-1': { perMinute: 0.006 }
+};
+
+// Local, mock, whisper.cpp and hashed embedding models cost nothing
+const FREE_PROVIDERS = ['local', 'mock', 'whispercpp', 'hash'];
+
+function loadPricing() {
+  if (!process.env.MODEL_PRICING) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    console.error('Invalid MODEL_PRICING, using the default prices:', error.message);
+    return DEFAULT_PRICING;
+  }
+}
+
+const PRICING = loadPricing();
+
+export function priceFor(provider, model = '') {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  const prefix = Object.keys(PRICING)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICING[prefix] : null;
+}
+
+// `{ prompt_tokens, completion_tokens, cost, estimated }` for one call.
+// `reported` is what the provider returned (may be null); `messages` and
+// `output` are used to estimate when it is missing. Unknown paid models cost
+// null rather than a made-up number.
+export function measureUsage(provider, model, reported, messages, output) {
+  const estimated = !reported?.prompt_tokens && !reported?.completion_tokens;
+  const promptTokens = estimated ? estimateMessagesTokens(messages) : reported.prompt_tokens || 0;
+  const completionTokens = estimated ? estimateTokens(output) : reported.completion_tokens || 0;
+
+  const price = priceFor(provider, model);
+  const cost = price
+    ? Number(((promptTokens * price.input + completionTokens * price.output) / 1e6).toFixed(6))
+    : null;
+
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, cost, estimated };
+}
+
+function audioPriceFor(provider, model = '') {
+  if (FREE_PROVIDERS.includes(provider)) return {};
+  const prefix = Object.keys(AUDIO_PRICING)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? AUDIO_PRICING[prefix] : null;
+}
+
+// Usage of reading `text` aloud, counted as prompt tokens
+export function measureSpeechUsage(provider, model, text) {
+  const price = audioPriceFor(provider, model);
+  const cost = price
+    ? Number(((price.perMillionCharacters || 0) * text.length / 1e6).toFixed(6))
+    : null;
+  return { prompt_tokens: estimateTokens(text), completion_tokens: 0, cost, estimated: true };
+}
+
+// Usage of embedding `texts`, counted as prompt tokens. Embedder models are
+// keyed `provider:model`.
+export function measureEmbeddingUsage(provider, model, texts) {
+  const price = priceFor(provider, model.replace(`${provider}:`, ''));
+  const promptTokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+  const cost = price ? Number((promptTokens * price.input / 1e6).toFixed(6)) : null;
+  return { prompt_tokens: promptTokens, completion_tokens: 0, cost, estimated: true };
+}
+
+// Usage of transcribing `seconds` of audio into `text`, counted as
+// completion tokens
+export function measureTranscriptionUsage(provider, model, seconds, text) {
+  const price = audioPriceFor(provider, model);
+  const cost = price
+    ? Number(((price.perMinute || 0) * (Number(seconds) || 0) / 60).toFixed(6))
+    : null;
+  return { prompt_tokens: 0, completion_tokens: estimateTokens(text), cost, estimated: true };
+}
+
+// Best effort: a reply is never failed because its usage couldn't be saved.
+// Only the server writes the ledger, so this uses the service role. A null
+// cost is kept as unpriced.
+export async function recordUsage(userId, { sessionId = null, kind = 'reply', provider, model, usage }) {
+  let supabase;
+  try {
+    supabase = getServiceClient();
+  } catch (error) {
+    console.error('Error recording usage:', error.message);
+    return;
+  }
+
+  const { error } = await supabase
+    .from('usage_events')
+    .insert({
+      user_id: userId,
+      session_id: sessionId,
+      kind,
+      provider,
+      model,
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens,
+      cost: usage.cost,
+      estimated: usage.estimated
+    });
+
+  if (error) console.error('Error recording usage:', error.message);
+}
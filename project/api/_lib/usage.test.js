@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { priceFor, measureUsage, measureSpeechUsage, measureTranscriptionUsage, measureEmbeddingUsage } from './usage.js';
+
+describe('priceFor', () => {
+  it('matches dated snapshots by their family prefix', () => {
+    expect(priceFor('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+  });
+
+  it('prefers the longest matching prefix', () => {
+    expect(priceFor('openai', 'gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(priceFor('openai', 'gpt-4.1-mini')).toEqual({ input: 0.4, output: 1.6 });
+  });
+
+  it('makes local and mock models free', () => {
+    expect(priceFor('local', 'llama3.1')).toEqual({ input: 0, output: 0 });
+    expect(priceFor('mock', 'mock')).toEqual({ input: 0, output: 0 });
+  });
+
+  it('has no price for unknown paid models', () => {
+    expect(priceFor('openai', 'some-new-model')).toBeNull();
+    expect(priceFor('openai')).toBeNull();
+  });
+});
+
+describe('measureUsage', () => {
+  it('prices the tokens the provider reported', () => {
+    const usage = measureUsage('openai', 'gpt-4o-mini', { prompt_tokens: 1000, completion_tokens: 500 }, [], '');
+    expect(usage).toEqual({ prompt_tokens: 1000, completion_tokens: 500, cost: 0.00045, estimated: false });
+  });
+
+  it('estimates tokens from text length when none are reported', () => {
+    const messages = [{ role: 'user', content: 'x'.repeat(40) }];
+    const usage = measureUsage('openai', 'gpt-4o-mini', null, messages, 'y'.repeat(20));
+    expect(usage.estimated).toBe(true);
+    expect(usage.prompt_tokens).toBe(14);
+    expect(usage.completion_tokens).toBe(5);
+  });
+
+  it('leaves the cost of unknown models null instead of zero', () => {
+    const usage = measureUsage('openai', 'some-new-model', { prompt_tokens: 10, completion_tokens: 10 }, [], '');
+    expect(usage.cost).toBeNull();
+  });
+
+  it('charges nothing for local models', () => {
+    const usage = measureUsage('local', 'llama3.1', { prompt_tokens: 10, completion_tokens: 10 }, [], '');
+    expect(usage.cost).toBe(0);
+  });
+});
+
+describe('measureSpeechUsage', () => {
+  it('prices speech per character read', () => {
+    const usage = measureSpeechUsage('openai', 'tts-1', 'x'.repeat(1000));
+    expect(usage).toEqual({ prompt_tokens: 250, completion_tokens: 0, cost: 0.015, estimated: true });
+    expect(measureSpeechUsage('openai', 'tts-1-hd', 'x'.repeat(1000)).cost).toBe(0.03);
+  });
+
+  it('is free locally and unpriced for unknown models', () => {
+    expect(measureSpeechUsage('local', 'kokoro', 'Hello').cost).toBe(0);
+    expect(measureSpeechUsage('openai', 'new-voice', 'Hello').cost).toBeNull();
+  });
+});
+
+describe('measureTranscriptionUsage', () => {
+  it('prices transcription per minute of audio', () => {
+    const usage = measureTranscriptionUsage('openai', 'whisper-1', 30, 'x'.repeat(40));
+    expect(usage).toEqual({ prompt_tokens: 0, completion_tokens: 10, cost: 0.003, estimated: true });
+  });
+
+  it('is free with whisper.cpp', () => {
+    expect(measureTranscriptionUsage('whispercpp', 'whisper.cpp', 30, 'Hi').cost).toBe(0);
+  });
+});
+
+describe('measureEmbeddingUsage', () => {
+  it('prices the embedded text as input tokens', () => {
+    const usage = measureEmbeddingUsage('openai', 'openai:text-embedding-3-small', ['x'.repeat(4000), 'y'.repeat(4000)]);
+    expect(usage).toEqual({ prompt_tokens: 2000, completion_tokens: 0, cost: 0.00004, estimated: true });
+  });
+
+  it('is free with hashed and local embeddings', () => {
+    expect(measureEmbeddingUsage('hash', 'hash:512', ['Hello']).cost).toBe(0);
+    expect(measureEmbeddingUsage('local', 'local:nomic-embed-text', ['Hello']).cost).toBe(0);
+  });
+});
@@ -1,7 +1,10 @@
+import { rateLimit } from './_lib/rateLimit.js';
+
 export async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).send({ message: 'Only POST requests allowed' });
   }
+  if (!await rateLimit(req, res, 'auth')) return;
   
   const { email, password } = req.body;
   // Here you'd normally check credentials against a database
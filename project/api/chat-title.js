@@ -0,0 +1,112 @@
+import { getAuthenticatedClient } from './_lib/supabase.js';
+import { getProvider, resolveModel } from './_lib/providers/index.js';
+import { branchEndingAt } from './_lib/context.js';
+import { generateTitle, fallbackTitle, UNTITLED } from './_lib/titles.js';
+import { measureUsage, recordUsage } from './_lib/usage.js';
+import { rateLimit } from './_lib/rateLimit.js';
+import { checkQuota } from './_lib/quota.js';
+
+// Messages added since the last title before it is reconsidered
+const TITLE_REFRESH_MESSAGES = Number(process.env.TITLE_REFRESH_MESSAGES || 10);
+
+// Name a chat after its first exchange, and rename it when the conversation
+// has drifted to another topic, together with a one-line summary. Called by
+// the browser after each reply is saved; answers `{ updated: false }` when
+// nothing was due. Chats the user renamed keep their name.
+export async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).send({ message: 'Only POST requests allowed' });
+  }
+
+  const auth = await getAuthenticatedClient(req);
+  if (!auth) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  if (!await rateLimit(req, res, 'chat-title', auth)) return;
+
+  const { sessionId, leafId } = req.body || {};
+  if (!sessionId) {
+    return res.status(400).json({ message: 'sessionId is required' });
+  }
+
+  try {
+    const { data: session, error: sessionError } = await auth.supabase
+      .from('chat_sessions')
+      .select('id, title, title_source, titled_message_count, provider, model, prompt:chat_prompts(*)')
+      .eq('id', sessionId)
+      .single();
+
+    if (sessionError) {
+      return res.status(404).json({ message: 'Chat session not found' });
+    }
+    if (session.title_source === 'user') {
+      return res.status(200).json({ updated: false });
+    }
+
+    const { data: rows, error: messagesError } = await auth.supabase
+      .from('chat_messages')
+      .select('id, parent_id, role, content, created_at')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: true });
+
+    if (messagesError) throw messagesError;
+
+    const turns = branchEndingAt(rows || [], leafId)
+      .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content);
+    const isFirstTitle = session.title_source === 'placeholder';
+    const isDue = isFirstTitle || turns.length - session.titled_message_count >= TITLE_REFRESH_MESSAGES;
+    if (!turns.some(m => m.role === 'assistant') || !isDue) {
+      return res.status(200).json({ updated: false });
+    }
+
+    const save = async (changes) => {
+      const { error } = await auth.supabase
+        .from('chat_sessions')
+        .update(changes)
+        .eq('id', sessionId)
+        .neq('title_source', 'user');
+
+      if (error) throw error;
+      return res.status(200).json({ updated: true, title: changes.title, headline: changes.headline });
+    };
+
+    // Past the daily quota a new chat is still named, after its first question
+    const quota = await checkQuota(auth.supabase, auth.user.id).catch((error) => {
+      console.error('Error checking quota:', error.message);
+      return { allowed: true };
+    });
+    if (!quota.allowed) {
+      return isFirstTitle && session.title === UNTITLED
+        ? await save({ title: fallbackTitle(turns) })
+        : res.status(200).json({ updated: false });
+    }
+
+    let result;
+    try {
+      const selection = resolveModel(session, session.prompt);
+      const provider = getProvider(selection.provider);
+      result = await generateTitle(provider, selection.model, isFirstTitle ? null : session.title, turns);
+
+      const model = result.completion.model || selection.model;
+      const usage = measureUsage(provider.name, model, result.completion.usage, result.request, result.completion.content);
+      await recordUsage(auth.user.id, { sessionId, kind: 'title', provider: provider.name, model, usage });
+    } catch (error) {
+      // Without a generated title the chat is at least named after its
+      // first question, and generation is tried again after the next reply
+      console.error('Error generating chat title:', error.message);
+      return session.title === UNTITLED
+        ? await save({ title: fallbackTitle(turns) })
+        : res.status(200).json({ updated: false });
+    }
+
+    return await save({
+      title: result.title,
+      headline: result.headline,
+      title_source: 'generated',
+      titled_message_count: turns.length
+    });
+  } catch (error) {
+    console.error('Error updating chat title:', error);
+    res.status(502).json({ message: 'Failed to update chat title' });
+  }
+}
@@ -1,9 +1,336 @@
+import { getAuthenticatedClient } from './_lib/supabase.js';
+import { openEventStream } from './_lib/sse.js';
+import { getProvider, resolveModel, PROVIDER_NAMES } from './_lib/providers/index.js';
+import { ASSISTANT_TOOLS, toolInstructions } from './_lib/tools.js';
+import { trimToBudget, summarize, summaryMessage, estimateTokens, branchEndingAt } from './_lib/context.js';
+import { attachmentContext, withImageUrls } from './_lib/attachments.js';
+import { memoryQuery, recallMemories, memoryMessage } from './_lib/memory.js';
+import { retrieveKnowledge, knowledgeMessage } from './_lib/knowledge.js';
+import { getEmbedder } from './_lib/embeddings.js';
+import { measureUsage, recordUsage } from './_lib/usage.js';
+import { rateLimit, tooManyRequests } from './_lib/rateLimit.js';
+import { checkQuota } from './_lib/quota.js';
+
+// Longest text embedded as a retrieval query
+const KNOWLEDGE_QUERY_CHARS = 2000;
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Why a request's `messages` or `prompt` can't be sent to a provider, or
+// null when they can
+function invalidMessages(messages, prompt) {
+  if (prompt != null && typeof prompt !== 'string') return 'prompt must be a string';
+  if (!messages) return null;
+  const index = messages.findIndex(message =>
+    !MESSAGE_ROLES.includes(message?.role) || typeof message.content !== 'string'
+  );
+  if (index === -1) return null;
+  return `messages[${index}] needs a role of ${MESSAGE_ROLES.join(', ')} and string content`;
+}
+
+async function loadConversation(supabase, sessionId, leafId) {
+  const { data: session, error: sessionError } = await supabase
+    .from('chat_sessions')
+    .select('*, prompt:chat_prompts(*)')
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError) return null;
+
+  const { data: messages, error: messagesError } = await supabase
+    .from('chat_messages')
+    .select('id, parent_id, role, content, attachments, metadata, created_at')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: true });
+
+  if (messagesError) throw messagesError;
+
+  const branch = branchEndingAt(messages || [], leafId);
+  return { session, messages: await withImageUrls(supabase, branch) };
+}
+
+// Turn stored rows into provider-neutral messages. Tool calls the user has
+// not answered yet are dropped: providers reject a call without a result.
+// Attachments become text after the message, plus `images` for vision models.
+function toConversation(history) {
+  const answered = new Set(
+    history.filter(row => row.role === 'tool').map(row => row.metadata?.tool_call_id)
+  );
+
+  return history.map(({ role, content, attachments, images, metadata, created_at }) => {
+    if (role === 'tool') {
+      return { role, content, tool_call_id: metadata?.tool_call_id, created_at };
+    }
+    if (role === 'user' && attachments?.length) {
+      const withAttachments = [content, attachmentContext(attachments)].filter(Boolean).join('\n\n');
+      return { role, content: withAttachments, ...(images && { images }), created_at };
+    }
+    const toolCalls = (metadata?.tool_calls || [])
+      .filter(call => answered.has(call.id))
+      .map(({ id, name, arguments: args }) => ({ id, name, arguments: args }));
+    return toolCalls.length ? { role, content, tool_calls: toolCalls, created_at } : { role, content, created_at };
+  }).filter(message => message.content || message.tool_calls);
+}
+
+// Without tools, providers reject tool calls and results in the history,
+// so they are kept as plain text
+function withoutToolCalls(messages) {
+  return messages.map((message) => {
+    if (message.role === 'tool') {
+      return { role: 'user', content: `Tool result: ${message.content}`, created_at: message.created_at };
+    }
+    if (!message.tool_calls) return message;
+    const calls = message.tool_calls.map(call => `Called ${call.name} with ${JSON.stringify(call.arguments || {})}`);
+    return { role: message.role, content: [message.content, ...calls].filter(Boolean).join('\n'), created_at: message.created_at };
+  });
+}
+
+function buildMessages(session, history, prompt, useTools = true) {
+  const messages = useTools ? toConversation(history) : withoutToolCalls(toConversation(history));
+
+  // Sessions created with a persona already carry the system prompt as their
+  // first message; only fall back to the persona when it is missing.
+  const systemPrompt = session?.prompt?.system_prompt;
+  if (systemPrompt && !messages.some(m => m.role === 'system')) {
+    messages.unshift({ role: 'system', content: systemPrompt });
+  }
+
+  // Tool guidance follows the persona prompt, ahead of the conversation
+  if (useTools) {
+    messages.splice(messages.filter(m => m.role === 'system').length, 0, {
+      role: 'system',
+      content: toolInstructions()
+    });
+  }
+
+  if (prompt) {
+    messages.push({ role: 'user', content: prompt });
+  }
+
+  return messages;
+}
+
+// Retrieved context follows the persona and tool guidance, ahead of the
+// conversation
+function withSystemContext(messages, context) {
+  const at = messages.findIndex(m => m.role !== 'system');
+  const next = [...messages];
+  next.splice(at === -1 ? next.length : at, 0, context);
+  return next;
+}
+
+// Memories relevant to the recent user turns. Recall is best effort: the
+// reply goes ahead without it.
+async function withMemories(supabase, messages) {
+  try {
+    const memories = await recallMemories(supabase, memoryQuery(messages));
+    return memories.length ? withSystemContext(messages, memoryMessage(memories)) : messages;
+  } catch (error) {
+    console.error('Error recalling memories:', error);
+    return messages;
+  }
+}
+
+// Excerpts from the user's tasks and files that match the latest user turn,
+// numbered so the reply can cite them. `citations` goes back to the browser,
+// which links each number to its task or file. Best effort, like memories.
+async function withKnowledge(supabase, userId, messages) {
+  try {
+    const latest = messages.filter(m => m.role === 'user').pop();
+    const query = (latest?.content || '').slice(0, KNOWLEDGE_QUERY_CHARS);
+    const retrieved = await retrieveKnowledge(supabase, userId, getEmbedder(), query);
+    if (retrieved.length === 0) return { messages, citations: [] };
+
+    return {
+      messages: withSystemContext(messages, knowledgeMessage(retrieved)),
+      citations: retrieved.map(({ content, ...citation }) => citation)
+    };
+  } catch (error) {
+    console.error('Error retrieving knowledge:', error);
+    return { messages, citations: [] };
+  }
+}
+
+// Keep the request inside the context budget. Turns that fall out of the
+// window and are newer than the session's stored summary are folded into it
+// first; the summary then stands in for everything that was dropped.
+// `account` records the tokens the summary call used.
+async function fitContext(supabase, provider, model, session, messages, account) {
+  let summary = session?.summary || '';
+  const { system, kept, dropped } = trimToBudget(messages, estimateTokens(summary));
+
+  const summarizedUntil = session?.summary_until ? new Date(session.summary_until) : null;
+  const unsummarized = dropped.filter(m => !summarizedUntil || new Date(m.created_at) > summarizedUntil);
+  let summaryUpdated = false;
+
+  if (session && unsummarized.length > 0) {
+    try {
+      const result = await summarize(provider, model, summary, unsummarized);
+      await account('summary', result.completion.usage, result.request, result.completion.content, result.completion.model);
+      summary = result.summary;
+      const { error } = await supabase
+        .from('chat_sessions')
+        .update({ summary, summary_until: unsummarized[unsummarized.length - 1].created_at })
+        .eq('id', session.id);
+
+      if (error) throw error;
+      summaryUpdated = true;
+    } catch (error) {
+      // Trimming alone still keeps the request valid
+      console.error('Error updating conversation summary:', error);
+    }
+  }
+
+  return {
+    messages: [...system, ...(summary ? [summaryMessage(summary)] : []), ...kept],
+    summary: summaryUpdated ? summary : null
+  };
+}
+
+// Relay the completion to the browser as server-sent events:
+// `{ type: 'citations', citations }` when tasks or files were retrieved,
+// `{ type: 'summary', summary }` when the running summary changed,
+// `{ type: 'token', content }` per delta, `{ type: 'tool_call', ... }` per
+// proposed action, then `{ type: 'done', provider, model, usage }`.
+// Closing the connection from the client aborts the upstream request; the
+// tokens generated until then are still accounted for.
+async function streamCompletion(res, provider, model, context, tools, account) {
+  const { messages, summary, citations } = context;
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const events = openEventStream(res);
+  if (citations?.length) events.send({ type: 'citations', citations });
+  if (summary) events.send({ type: 'summary', summary });
+  let output = '';
+  const proposed = [];
+  let reported = null;
+  const settle = () => account('reply', reported, messages, output + (proposed.length ? JSON.stringify(proposed) : ''), model);
+
+  try {
+    for await (const event of provider.stream({ model, messages, tools, signal: controller.signal })) {
+      if (event.type === 'usage') {
+        reported = event;
+        continue;
+      }
+      if (event.type === 'token') output += event.content;
+      if (event.type === 'tool_call') proposed.push(event);
+      events.send(event);
+    }
+    const usage = await settle();
+    events.send({ type: 'done', provider: provider.name, model, usage });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      await settle();
+      return;
+    }
+    console.error('Error streaming completion:', error);
+    events.send({ type: 'error', message: 'Completion stream failed' });
+  }
+  events.close();
+}
+
 export async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).send({ message: 'Only POST requests allowed' });
   }
-  
-  const { prompt } = req.body;
-  // You would integrate OpenAI API call here
-  res.status(200).json({ message: "Pretend OpenAI responded to: " + prompt });
-}
\ No newline at end of file
+
+  const auth = await getAuthenticatedClient(req);
+  if (!auth) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  if (!await rateLimit(req, res, 'openai', auth)) return;
+
+  // Either continue a stored session (optionally from `leafId`, the end of
+  // the branch being answered), or complete an ad-hoc list of messages with
+  // an explicitly requested provider. `tools: false` answers in text only,
+  // e.g. for summaries.
+  const { sessionId, leafId, prompt, messages: adHocMessages, stream = false, tools: useTools = true } = req.body || {};
+  if (!sessionId && !Array.isArray(adHocMessages)) {
+    return res.status(400).json({ message: 'sessionId or messages is required' });
+  }
+  const invalid = invalidMessages(sessionId ? null : adHocMessages, prompt);
+  if (invalid) {
+    return res.status(400).json({ message: invalid });
+  }
+
+  // Daily plan quota, counted from the usage ledger; if it can't be read the
+  // reply goes ahead
+  try {
+    const quota = await checkQuota(auth.supabase, auth.user.id);
+    if (!quota.allowed) {
+      return tooManyRequests(res, quota.retryAfter, `Daily limit of the ${quota.plan} plan reached, it resets at midnight UTC`);
+    }
+  } catch (error) {
+    console.error('Error checking quota:', error.message);
+  }
+
+  try {
+    let selection;
+    let messages;
+    let session = null;
+    let citations = [];
+
+    if (sessionId) {
+      const conversation = await loadConversation(auth.supabase, sessionId, leafId);
+      if (!conversation) {
+        return res.status(404).json({ message: 'Chat session not found' });
+      }
+      session = conversation.session;
+      selection = resolveModel(session, session.prompt);
+      messages = await withMemories(auth.supabase, buildMessages(session, conversation.messages, prompt, useTools !== false));
+      ({ messages, citations } = await withKnowledge(auth.supabase, auth.user.id, messages));
+    } else {
+      selection = resolveModel(req.body);
+      messages = buildMessages(null, adHocMessages, prompt, useTools !== false);
+    }
+
+    if (!PROVIDER_NAMES.includes(selection.provider)) {
+      return res.status(400).json({ message: `Unknown provider: ${selection.provider}` });
+    }
+
+    const provider = getProvider(selection.provider);
+    const tools = useTools === false ? [] : ASSISTANT_TOOLS;
+
+    // Measure one model call, record it against the user (and session) and
+    // return the usage for the client to store on the reply
+    const account = async (kind, reported, request, output, model = selection.model) => {
+      const usage = measureUsage(provider.name, model, reported, request, output);
+      await recordUsage(auth.user.id, {
+        sessionId: session?.id,
+        kind,
+        provider: provider.name,
+        model,
+        usage
+      });
+      return usage;
+    };
+
+    const context = {
+      ...await fitContext(auth.supabase, provider, selection.model, session, messages, account),
+      citations
+    };
+
+    if (stream) {
+      return await streamCompletion(res, provider, selection.model, context, tools, account);
+    }
+
+    const completion = await provider.complete({ model: selection.model, messages: context.messages, tools });
+    const output = completion.content + (completion.toolCalls?.length ? JSON.stringify(completion.toolCalls) : '');
+    const usage = await account('reply', completion.usage, context.messages, output, completion.model);
+    res.status(200).json({
+      message: completion.content,
+      toolCalls: completion.toolCalls || [],
+      summary: context.summary,
+      citations,
+      provider: provider.name,
+      model: completion.model,
+      usage
+    });
+  } catch (error) {
+    console.error('Error generating completion:', error);
+    res.status(502).json({ message: 'Failed to generate completion' });
+  }
+}
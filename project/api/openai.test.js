@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getProvider } from './_lib/providers/index.js';
+
+vi.mock('./_lib/supabase.js', () => ({
+  getAuthenticatedClient: vi.fn(async () => ({ supabase: {}, user: { id: 'user-1' } }))
+}));
+vi.mock('./_lib/rateLimit.js', async importOriginal => ({
+  ...await importOriginal(),
+  rateLimit: vi.fn(async () => true)
+}));
+vi.mock('./_lib/providers/index.js', async importOriginal => ({
+  ...await importOriginal(),
+  getProvider: vi.fn()
+}));
+
+const { handler } = await import('./openai.js');
+
+function fakeResponse() {
+  const res = {};
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.send = body => { res.body = body; return res; };
+  return res;
+}
+
+async function post(body) {
+  const res = fakeResponse();
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+}
+
+describe('POST /api/openai with ad-hoc messages', () => {
+  it('answers 400 for unknown roles', async () => {
+    const res = await post({ provider: 'mock', messages: [{ role: 'user', content: 'Hi' }, { role: 'admin', content: 'Hi' }] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('messages[1] needs a role of system, user, assistant, tool and string content');
+  });
+
+  it('answers 400 for content that is not a string', async () => {
+    expect((await post({ provider: 'mock', messages: [{ role: 'user', content: { text: 'Hi' } }] })).statusCode).toBe(400);
+    expect((await post({ provider: 'mock', messages: [null] })).statusCode).toBe(400);
+  });
+
+  it('answers 400 for a prompt that is not a string', async () => {
+    const res = await post({ provider: 'mock', messages: [], prompt: ['Hi'] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('prompt must be a string');
+  });
+
+  it('rejects the request before choosing a provider', async () => {
+    await post({ provider: 'mock', messages: [{ role: 'user', content: 42 }] });
+    expect(getProvider).not.toHaveBeenCalled();
+  });
+});
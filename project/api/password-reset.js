@@ -1,9 +1,12 @@
+import { rateLimit } from './_lib/rateLimit.js';
+
 let users = [];
 
 export async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).send({ message: 'Only POST requests allowed' });
   }
+  if (!await rateLimit(req, res, 'password-reset')) return;
 
   const { email } = req.body;
   const user = users.find((u) => u.email === email);
@@ -1,9 +1,12 @@
+import { rateLimit } from './_lib/rateLimit.js';
+
 let users = [];
 
 export async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).send({ message: 'Only POST requests allowed' });
   }
+  if (!await rateLimit(req, res, 'register')) return;
 
   const { email, password } = req.body;
   const existingUser = users.find((u) => u.email === email);
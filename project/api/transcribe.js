@@ -0,0 +1,77 @@
+import { getAuthenticatedClient } from './_lib/supabase.js';
+import { getTranscriber, audioType, AUDIO_TYPES } from './_lib/transcription.js';
+import { rateLimit, tooManyRequests } from './_lib/rateLimit.js';
+import { checkQuota } from './_lib/quota.js';
+import { measureTranscriptionUsage, recordUsage } from './_lib/usage.js';
+
+// Largest recording accepted, before base64; keeps the JSON body under the
+// usual 4.5 MB serverless limit
+const TRANSCRIBE_MAX_BYTES = Number(process.env.TRANSCRIBE_MAX_BYTES || 3 * 1024 * 1024);
+
+// Transcribe a recording, for browsers without Web Speech recognition and
+// for voice commands from the mobile and glasses bridge. POST
+// `{ audio, mimeType, language? }` with the audio base64-encoded and
+// `language` a BCP 47 tag or ISO 639-1 code (detected when missing);
+// answers `{ text, language, duration, segments: [{ start, end, text }] }`
+// with times in seconds. Transcripts count toward the daily plan quota's
+// tokens.
+export async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).send({ message: 'Only POST requests allowed' });
+  }
+
+  const auth = await getAuthenticatedClient(req);
+  if (!auth) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  if (!await rateLimit(req, res, 'transcribe', auth)) return;
+
+  const { audio, mimeType, language } = req.body || {};
+  if (typeof audio !== 'string' || !audio) {
+    return res.status(400).json({ message: 'audio is required' });
+  }
+  if (typeof mimeType !== 'string' || !AUDIO_TYPES.includes(audioType(mimeType))) {
+    return res.status(400).json({ message: `mimeType must be one of ${AUDIO_TYPES.join(', ')}` });
+  }
+  if (language != null && typeof language !== 'string') {
+    return res.status(400).json({ message: 'language must be a string' });
+  }
+
+  const bytes = Buffer.from(audio, 'base64');
+  if (bytes.length === 0) {
+    return res.status(400).json({ message: 'audio is empty' });
+  }
+  if (bytes.length > TRANSCRIBE_MAX_BYTES) {
+    return res.status(413).json({ message: `audio must be at most ${Math.floor(TRANSCRIBE_MAX_BYTES / 1024)} KB` });
+  }
+
+  // Daily plan quota, counted from the usage ledger; if it can't be read the
+  // request goes ahead
+  try {
+    const quota = await checkQuota(auth.supabase, auth.user.id);
+    if (!quota.allowed) {
+      return tooManyRequests(res, quota.retryAfter, `Daily limit of the ${quota.plan} plan reached, it resets at midnight UTC`);
+    }
+  } catch (error) {
+    console.error('Error checking quota:', error.message);
+  }
+
+  try {
+    const transcriber = getTranscriber();
+    const result = await transcriber.transcribe(bytes, {
+      mimeType,
+      // Whisper takes the language without its region
+      language: language ? language.split('-')[0].toLowerCase() : undefined
+    });
+    await recordUsage(auth.user.id, {
+      kind: 'transcription',
+      provider: transcriber.name,
+      model: transcriber.model,
+      usage: measureTranscriptionUsage(transcriber.name, transcriber.model, result.duration, result.text)
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error transcribing speech:', error.message);
+    res.status(502).json({ message: 'Failed to transcribe speech' });
+  }
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { checkQuota } from './_lib/quota.js';
+import { recordUsage } from './_lib/usage.js';
+
+vi.hoisted(() => {
+  process.env.TRANSCRIBE_PROVIDER = 'mock';
+  process.env.MOCK_TRANSCRIPT = 'Remind me to call Ada.';
+});
+
+vi.mock('./_lib/supabase.js', () => ({
+  getAuthenticatedClient: vi.fn(async () => ({ supabase: {}, user: { id: 'user-1' } }))
+}));
+vi.mock('./_lib/rateLimit.js', async importOriginal => ({
+  ...await importOriginal(),
+  rateLimit: vi.fn(async () => true)
+}));
+vi.mock('./_lib/quota.js', () => ({ checkQuota: vi.fn() }));
+vi.mock('./_lib/usage.js', async importOriginal => ({
+  ...await importOriginal(),
+  recordUsage: vi.fn()
+}));
+
+const { handler } = await import('./transcribe.js');
+
+function fakeResponse() {
+  const res = { headers: {} };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.send = body => { res.body = body; return res; };
+  return res;
+}
+
+async function post(body) {
+  const res = fakeResponse();
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+}
+
+const audio = Buffer.from('not really audio').toString('base64');
+
+beforeEach(() => {
+  checkQuota.mockReset().mockResolvedValue({ allowed: true });
+  recordUsage.mockReset();
+});
+
+describe('POST /api/transcribe', () => {
+  it('requires audio', async () => {
+    expect((await post({ mimeType: 'audio/webm' })).body.message).toBe('audio is required');
+    expect((await post({ audio: 42, mimeType: 'audio/webm' })).statusCode).toBe(400);
+  });
+
+  it('accepts only known audio types, with or without codecs', async () => {
+    const res = await post({ audio, mimeType: 'video/mp4' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/^mimeType must be one of audio\/webm/);
+    expect((await post({ audio, mimeType: 'audio/webm;codecs=opus' })).statusCode).toBe(200);
+  });
+
+  it('answers 400 when mimeType or language is not a string', async () => {
+    expect((await post({ audio, mimeType: ['audio/webm'] })).statusCode).toBe(400);
+    expect((await post({ audio })).statusCode).toBe(400);
+    const res = await post({ audio, mimeType: 'audio/webm', language: 7 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('language must be a string');
+  });
+
+  it('rejects recordings that decode to nothing', async () => {
+    expect((await post({ audio: '====', mimeType: 'audio/webm' })).body.message).toBe('audio is empty');
+  });
+
+  it('answers 429 once the plan quota is used up', async () => {
+    checkQuota.mockResolvedValue({ allowed: false, plan: 'free', retryAfter: 60 });
+    const res = await post({ audio, mimeType: 'audio/webm' });
+    expect(res.statusCode).toBe(429);
+    expect(recordUsage).not.toHaveBeenCalled();
+  });
+
+  it('transcribes without the region of the language and records it', async () => {
+    const res = await post({ audio, mimeType: 'audio/webm', language: 'en-GB' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.text).toBe('Remind me to call Ada.');
+    expect(res.body.language).toBe('en');
+    expect(recordUsage).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      kind: 'transcription',
+      provider: 'mock',
+      model: 'mock'
+    }));
+    expect(recordUsage.mock.calls[0][1].usage).toMatchObject({ prompt_tokens: 0, completion_tokens: 6, cost: 0 });
+  });
+});
@@ -0,0 +1,89 @@
+import { getAuthenticatedClient } from './_lib/supabase.js';
+import { getSpeechEngine, AUDIO_FORMATS } from './_lib/tts.js';
+import { rateLimit, tooManyRequests } from './_lib/rateLimit.js';
+import { checkQuota } from './_lib/quota.js';
+import { measureSpeechUsage, recordUsage } from './_lib/usage.js';
+
+// Longest text read in one request; the browser sends a sentence at a time
+const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS || 4096);
+
+// Speech for assistant replies, for the web app's server voice and for
+// clients that play audio themselves, such as the mobile and glasses bridge.
+// GET answers `{ provider, voices, defaultVoice, formats }`. POST
+// `{ text, voice?, speed?, format? }` answers with the audio itself (`mp3`
+// unless asked otherwise; the mock provider only makes `wav`), its type in
+// Content-Type. Speech counts toward the daily plan quota's tokens.
+export async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).send({ message: 'Only GET or POST requests allowed' });
+  }
+
+  const auth = await getAuthenticatedClient(req);
+  if (!auth) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  if (!await rateLimit(req, res, 'tts', auth)) return;
+
+  let engine;
+  try {
+    engine = getSpeechEngine();
+  } catch (error) {
+    console.error('Error loading TTS provider:', error.message);
+    return res.status(500).json({ message: 'Text-to-speech is not configured' });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      provider: engine.name,
+      voices: engine.voices,
+      defaultVoice: engine.defaultVoice,
+      formats: engine.formats
+    });
+  }
+
+  const { text, voice = engine.defaultVoice, speed = 1, format = 'mp3' } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ message: 'text is required' });
+  }
+  if (text.length > TTS_MAX_CHARS) {
+    return res.status(400).json({ message: `text must be at most ${TTS_MAX_CHARS} characters` });
+  }
+  if (!engine.voices.includes(voice)) {
+    return res.status(400).json({ message: `Unknown voice: ${voice}` });
+  }
+  if (!(format in AUDIO_FORMATS)) {
+    return res.status(400).json({ message: `format must be one of ${Object.keys(AUDIO_FORMATS).join(', ')}` });
+  }
+
+  // Daily plan quota, counted from the usage ledger; if it can't be read the
+  // request goes ahead
+  try {
+    const quota = await checkQuota(auth.supabase, auth.user.id);
+    if (!quota.allowed) {
+      return tooManyRequests(res, quota.retryAfter, `Daily limit of the ${quota.plan} plan reached, it resets at midnight UTC`);
+    }
+  } catch (error) {
+    console.error('Error checking quota:', error.message);
+  }
+
+  try {
+    const result = await engine.synthesize(text.trim(), {
+      voice,
+      speed: Math.min(Math.max(Number(speed) || 1, 0.25), 4),
+      format: engine.formats.includes(format) ? format : engine.formats[0]
+    });
+    await recordUsage(auth.user.id, {
+      kind: 'speech',
+      provider: engine.name,
+      model: engine.model,
+      usage: measureSpeechUsage(engine.name, engine.model, text.trim())
+    });
+
+    res.setHeader('Content-Type', AUDIO_FORMATS[result.format]);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).send(result.audio);
+  } catch (error) {
+    console.error('Error synthesizing speech:', error.message);
+    res.status(502).json({ message: 'Failed to synthesize speech' });
+  }
+}
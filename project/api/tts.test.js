@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { checkQuota } from './_lib/quota.js';
+import { recordUsage } from './_lib/usage.js';
+
+vi.hoisted(() => {
+  process.env.TTS_PROVIDER = 'mock';
+});
+
+vi.mock('./_lib/supabase.js', () => ({
+  getAuthenticatedClient: vi.fn(async () => ({ supabase: {}, user: { id: 'user-1' } }))
+}));
+vi.mock('./_lib/rateLimit.js', async importOriginal => ({
+  ...await importOriginal(),
+  rateLimit: vi.fn(async () => true)
+}));
+vi.mock('./_lib/quota.js', () => ({ checkQuota: vi.fn() }));
+vi.mock('./_lib/usage.js', async importOriginal => ({
+  ...await importOriginal(),
+  recordUsage: vi.fn()
+}));
+
+const { handler } = await import('./tts.js');
+
+function fakeResponse() {
+  const res = { headers: {} };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.send = body => { res.body = body; return res; };
+  return res;
+}
+
+async function post(body) {
+  const res = fakeResponse();
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+}
+
+beforeEach(() => {
+  checkQuota.mockReset().mockResolvedValue({ allowed: true });
+  recordUsage.mockReset();
+});
+
+describe('POST /api/tts', () => {
+  it('requires text', async () => {
+    expect((await post({})).body.message).toBe('text is required');
+    expect((await post({ text: '   ' })).statusCode).toBe(400);
+    expect((await post({ text: 42 })).statusCode).toBe(400);
+  });
+
+  it('limits the length of the text', async () => {
+    const res = await post({ text: 'x'.repeat(5000) });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('text must be at most 4096 characters');
+  });
+
+  it('rejects unknown voices and formats', async () => {
+    expect((await post({ text: 'Hi', voice: 'nobody' })).body.message).toBe('Unknown voice: nobody');
+    expect((await post({ text: 'Hi', format: 'midi' })).body.message).toMatch(/^format must be one of mp3/);
+  });
+
+  it('answers 429 once the plan quota is used up', async () => {
+    checkQuota.mockResolvedValue({ allowed: false, plan: 'free', retryAfter: 60 });
+    const res = await post({ text: 'Hi' });
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('60');
+    expect(recordUsage).not.toHaveBeenCalled();
+  });
+
+  it('reads the text and records it as speech', async () => {
+    const res = await post({ text: ' Hello there. ' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('audio/wav');
+    expect(recordUsage).toHaveBeenCalledWith('user-1', {
+      kind: 'speech',
+      provider: 'mock',
+      model: 'mock',
+      usage: { prompt_tokens: 3, completion_tokens: 0, cost: 0, estimated: true }
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// Minimal OpenAI-compatible completion server for exercising the /api/openai
+// proxy without a real provider. Point OPENAI_BASE_URL at http://localhost:8787/v1.
+// `/embeddings` answers with the in-process hash embeddings,
+// `/audio/speech` with silent WAV audio (use it as LOCAL_TTS_BASE_URL) and
+// `/audio/transcriptions` with the mock transcript (TRANSCRIBE_BASE_URL).
+import http from 'node:http';
+import { hashEmbedding } from '../api/_lib/embeddings.js';
+import { silentWav, readingSeconds } from '../api/_lib/tts.js';
+import { getTranscriber } from '../api/_lib/transcription.js';
+
+const PORT = process.env.MOCK_LLM_PORT || 8787;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handleEmbeddings(req, res) {
+  const { model, input = [] } = await readBody(req);
+  const texts = Array.isArray(input) ? input : [input];
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    object: 'list',
+    model: model || 'mock',
+    data: texts.map((text, index) => ({ object: 'embedding', index, embedding: hashEmbedding(text) })),
+    usage: { prompt_tokens: 0, total_tokens: 0 }
+  }));
+}
+
+async function handleSpeech(req, res) {
+  const { input = '', speed = 1 } = await readBody(req);
+
+  res.writeHead(200, { 'Content-Type': 'audio/wav' });
+  res.end(silentWav(readingSeconds(input, speed)));
+}
+
+// The uploaded audio is read and ignored
+async function handleTranscription(req, res) {
+  await new Promise((resolve, reject) => req.on('end', resolve).on('error', reject).resume());
+  const result = await getTranscriber('mock').transcribe(null, {});
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ task: 'transcribe', ...result }));
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'POST' && req.url.endsWith('/embeddings')) {
+    return handleEmbeddings(req, res).catch((error) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: error.message } }));
+    });
+  }
+
+  if (req.method === 'POST' && req.url.endsWith('/audio/transcriptions')) {
+    return handleTranscription(req, res).catch((error) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: error.message } }));
+    });
+  }
+
+  if (req.method === 'POST' && req.url.endsWith('/audio/speech')) {
+    return handleSpeech(req, res).catch((error) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: error.message } }));
+    });
+  }
+
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+  }
+
+  try {
+    const { model, messages = [], stream } = await readBody(req);
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    // Vision requests send content as a list of text and image parts
+    const prompt = Array.isArray(lastUser?.content)
+      ? lastUser.content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+      : lastUser?.content;
+    const content = `Mock response to: ${prompt || ''}`;
+
+    if (stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const word of content.split(/(?<=\s)/)) {
+        res.write(`data: ${JSON.stringify({
+          model: model || 'mock',
+          choices: [{ index: 0, delta: { content: word } }]
+        })}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: `mock-${Date.now()}`,
+      object: 'chat.completion',
+      model: model || 'mock',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    }));
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: error.message } }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LLM server listening on http://localhost:${PORT}/v1`);
+});
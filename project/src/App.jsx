@@ -5,11 +5,16 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Chat from './pages/Chat';
+import Personas from './pages/Personas';
 import Calendar from './pages/Calendar';
 import Tasks from './pages/Tasks';
 import Integrations from './pages/Integrations';
 import Profile from './pages/Profile';
 import Settings from './pages/Settings';
+import Memory from './pages/Memory';
+import Usage from './pages/Usage';
+import VoiceSettings from './pages/VoiceSettings';
+import SharedChat from './pages/SharedChat';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { NotificationProvider } from './contexts/NotificationContext';
@@ -47,13 +52,18 @@ function AppContent() {
       <Routes>
         <Route path="/login" element={isAuthenticated ? <Navigate to="/dashboard" replace /> : <Login />} />
         <Route path="/register" element={isAuthenticated ? <Navigate to="/dashboard" replace /> : <Register />} />
+        <Route path="/share/:token" element={<SharedChat />} />
         <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
         <Route path="/chat" element={<ProtectedRoute><ChatProvider><Chat /></ChatProvider></ProtectedRoute>} />
+        <Route path="/personas" element={<ProtectedRoute><ChatProvider><Personas /></ChatProvider></ProtectedRoute>} />
         <Route path="/calendar" element={<ProtectedRoute><Calendar /></ProtectedRoute>} />
         <Route path="/tasks" element={<ProtectedRoute><Tasks /></ProtectedRoute>} />
         <Route path="/integrations" element={<ProtectedRoute><Integrations /></ProtectedRoute>} />
         <Route path="/profile" element={<ProtectedRoute><Profile /></ProtectedRoute>} />
         <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
+        <Route path="/settings/memory" element={<ProtectedRoute><Memory /></ProtectedRoute>} />
+        <Route path="/settings/usage" element={<ProtectedRoute><Usage /></ProtectedRoute>} />
+        <Route path="/settings/voice" element={<ProtectedRoute><ChatProvider><VoiceSettings /></ChatProvider></ProtectedRoute>} />
         <Route path="*" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} replace />} />
       </Routes>
     </>
@@ -1,18 +1,187 @@
-export async function fetchFromOpenAI(prompt) {
-  const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
+import { createClient } from '@supabase/supabase-js';
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Ask the server-side proxy for the next assistant reply in a chat session.
+// The proxy loads the session's persona and history itself, so only the
+// session id, the last message of the branch being answered and optionally
+// a prompt not yet saved are sent.
+async function postToProxy(body, signal, path = '/api/openai') {
+  return fetch(path, {
     method: 'POST',
     headers: {
-      'Authorization': `Bearer ${apiKey}`,
+      ...await authorization(),
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({
-      model: "gpt-4",
-      messages: [{ role: "user", content: prompt }]
-    })
+    body: JSON.stringify(body),
+    signal
   });
+}
+
+async function authorization() {
+  const { data: { session } } = await supabase.auth.getSession();
+  return { 'Authorization': `Bearer ${session?.access_token}` };
+}
+
+// Errors carry the HTTP status; rate-limited (429) ones also `retryAfter`
+// in seconds and a message worth showing to the user
+function requestError(response, data) {
+  const error = new Error(data.message || 'Assistant request failed');
+  error.status = response.status;
+  if (response.status === 429) {
+    error.retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter;
+  }
+  return error;
+}
+
+// What to tell the user when a reply fails: the server's own words for rate
+// limits and quotas, `fallback` otherwise
+export function replyErrorMessage(error, fallback) {
+  return error.status === 429 ? error.message : fallback;
+}
+
+// Complete the next reply in a chat session; `tools: false` asks for an
+// answer in text only
+export async function fetchFromOpenAI(sessionId, prompt, leafId, { tools } = {}) {
+  const response = await postToProxy({ sessionId, leafId, prompt, tools });
 
   const data = await response.json();
+  if (!response.ok) {
+    throw requestError(response, data);
+  }
+  return data;
+}
+
+// Have the server name the chat (and summarize it in a line) if a title is
+// due after the reply ending at `leafId`. Resolves with `{ updated, title,
+// headline }`.
+export async function requestChatTitle(sessionId, leafId) {
+  const response = await postToProxy({ sessionId, leafId }, undefined, '/api/chat-title');
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw requestError(response, data);
+  }
+  return data;
+}
+
+// Complete a conversation that is not stored in a chat session, with an
+// explicitly chosen provider (e.g. 'mock' for demos).
+export async function fetchCompletion(messages, { provider, model } = {}) {
+  const response = await postToProxy({ messages, provider, model });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw requestError(response, data);
+  }
+  return data;
+}
+
+// Stream the next assistant reply to the branch ending at `leafId`, token by
+// token. `onToken` receives each delta as it arrives; the promise resolves
+// with `{ content, toolCalls, summary, citations, usage }` once the server
+// finishes (`summary` is set when the server rolled older turns into the
+// session's running summary; `citations` lists the tasks and files the reply
+// may cite as [n]; `usage` is `{ provider, model, prompt_tokens,
+// completion_tokens, cost }`, or null when the stream was stopped).
+// Aborting `signal` stops the generation and resolves with whatever had
+// arrived so far.
+export async function streamFromOpenAI(sessionId, { leafId, onToken, signal } = {}) {
+  const response = await postToProxy({ sessionId, leafId, stream: true }, signal);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw requestError(response, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  const toolCalls = [];
+  let summary = null;
+  let citations = [];
+  let usage = null;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const data = event.replace(/^data:\s*/, '');
+        if (data === '[DONE]') return { content: text, toolCalls, summary, citations, usage };
+
+        const payload = JSON.parse(data);
+        if (payload.type === 'token') {
+          text += payload.content;
+          onToken?.(payload.content, text);
+        } else if (payload.type === 'done') {
+          usage = { provider: payload.provider, model: payload.model, ...payload.usage };
+        } else if (payload.type === 'citations') {
+          citations = payload.citations;
+        } else if (payload.type === 'summary') {
+          summary = payload.summary;
+        } else if (payload.type === 'tool_call') {
+          toolCalls.push({ id: payload.id, name: payload.name, arguments: payload.arguments });
+        } else if (payload.type === 'error') {
+          throw new Error(payload.message);
+        }
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  }
+
+  return { content: text, toolCalls, summary, citations, usage };
+}
+
+// The server's text-to-speech voices: `{ provider, voices, defaultVoice,
+// formats }`
+export async function fetchSpeechVoices() {
+  const response = await fetch('/api/tts', { headers: await authorization() });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw requestError(response, data);
+  }
+  return data;
+}
+
+// Read `text` with the server's text-to-speech; resolves with the audio as
+// a Blob. `voice` is one of `fetchSpeechVoices().voices`, the server's
+// default when empty.
+export async function synthesizeSpeech(text, { voice, speed, signal } = {}) {
+  const response = await postToProxy({ text, voice: voice || undefined, speed }, signal, '/api/tts');
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw requestError(response, data);
+  }
+  return response.blob();
+}
+
+const toBase64 = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Transcribe recorded speech on the server; resolves with `{ text,
+// language, duration, segments: [{ start, end, text }] }`, times in seconds
+export async function transcribeAudio(blob, { language, signal } = {}) {
+  const audio = await toBase64(blob);
+  const response = await postToProxy({ audio, mimeType: blob.type, language }, signal, '/api/transcribe');
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw requestError(response, data);
+  }
   return data;
-}
\ No newline at end of file
+}
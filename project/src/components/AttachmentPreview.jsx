@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { Paperclip, FileText, Loader2 } from 'lucide-react';
+import { getAttachmentUrl } from '../services/attachments';
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const ImageAttachment = ({ attachment }) => {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAttachmentUrl(attachment.path)
+      .then(signedUrl => {
+        if (!cancelled) setUrl(signedUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment.path]);
+
+  if (failed) {
+    return <FileAttachment attachment={attachment} />;
+  }
+
+  return (
+    <div className="mt-2">
+      {url ? (
+        <a href={url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={url}
+            alt={attachment.name}
+            className="max-h-64 max-w-full rounded-lg border border-purple-500/20 object-contain"
+          />
+        </a>
+      ) : (
+        <div className="flex items-center justify-center w-32 h-24 bg-black/20 rounded-lg">
+          <Loader2 className="w-4 h-4 text-purple-300 animate-spin" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FileAttachment = ({ attachment }) => {
+  const [isOpening, setIsOpening] = useState(false);
+  const Icon = attachment.kind === 'document' ? FileText : Paperclip;
+
+  // Signed URLs expire, so one is only created when the file is opened
+  const openFile = async () => {
+    setIsOpening(true);
+    try {
+      window.open(await getAttachmentUrl(attachment.path, 60), '_blank', 'noopener');
+    } catch (error) {
+      console.error('Error opening attachment:', error.message);
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  const details = [
+    formatSize(attachment.size),
+    attachment.text && (attachment.truncated ? 'text partly read' : 'text read')
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="mt-2 p-2 bg-black/20 rounded-lg">
+      <button
+        type="button"
+        onClick={openFile}
+        disabled={!attachment.path || isOpening}
+        className="flex items-center space-x-2 text-left disabled:cursor-default"
+      >
+        {isOpening
+          ? <Loader2 className="w-4 h-4 text-purple-300 animate-spin" />
+          : <Icon className="w-4 h-4 text-purple-300 flex-shrink-0" />}
+        <span className="text-sm text-purple-300 break-all">{attachment.name}</span>
+        {details && <span className="text-xs text-gray-400 whitespace-nowrap">{details}</span>}
+      </button>
+    </div>
+  );
+};
+
+// Attachments saved before uploads existed only have a name and no `path`
+export default function AttachmentPreview({ attachment }) {
+  if (attachment.kind === 'image' && attachment.path) {
+    return <ImageAttachment attachment={attachment} />;
+  }
+  return <FileAttachment attachment={attachment} />;
+}
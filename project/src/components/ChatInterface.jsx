@@ -1,88 +1,98 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useChat } from '../contexts/ChatContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { useStreamingReply } from '../hooks/useStreamingReply';
+import { useToolCalls } from '../hooks/useToolCalls';
+import { useSlashCommands } from '../hooks/useSlashCommands';
+import { useVoicePreferences } from '../hooks/useVoicePreferences';
+import { useVoiceMode } from '../hooks/useVoiceMode';
+import { useReadAloud } from '../hooks/useReadAloud';
+import { useSpeechRecorder } from '../hooks/useSpeechRecorder';
 import ChatMessage from './ChatMessage';
-import { Send, Mic, MicOff, Volume2, VolumeX } from 'lucide-react';
+import ModelSelector from './ModelSelector';
+import ReadAloudControls from './ReadAloudControls';
+import ToolCallCard from './ToolCallCard';
+import Citations from './Citations';
+import SlashCommandMenu from './SlashCommandMenu';
+import { replyErrorMessage } from '../api/openaiApi';
+import { speechLanguage, readingVoice } from '../services/speech';
+import { stopReading } from '../services/readAloud';
+import { Send, Square, Mic, MicOff, Loader2 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-const recognition = SpeechRecognition ? new SpeechRecognition() : null;
-
-function useSpeechRecognition(onResult) {
-  useEffect(() => {
-    if (!recognition) return;
-    recognition.continuous = false;
-    recognition.lang = "en-US";
-
-    recognition.onresult = (event) => {
-      const transcript = event?.results?.[0]?.[0]?.transcript;
-      if (transcript) onResult(transcript);
-    };
-
-    recognition.onerror = (event) => {
-      console.error("Speech recognition error:", event?.error);
-    };
-
-    recognition.onend = () => {
-      setIsListening(false);
-    };
-  }, [onResult]);
-  
-  const startListening = () => {
-    if (recognition) {
-      recognition.start();
-    }
-  };
-
-  const stopListening = () => {
-    if (recognition) {
-      recognition.stop();
-    }
-  };
-
-  return { startListening, stopListening };
-}
-
-function speakText(text) {
-  if ('speechSynthesis' in window && text) {
-    const utterance = new SpeechSynthesisUtterance(text);
-    window.speechSynthesis.speak(utterance);
-  }
-}
-
 const ChatInterface = () => {
   const chat = useChat();
-  const { activeChat, addMessage, updateChatTitle } = chat || {};
+  const { activeChat, addMessage, updateChatModel } = chat || {};
+  const { addNotification } = useNotification();
   const [input, setInput] = useState('');
-  const [isListening, setIsListening] = useState(false);
-  const [isSpeakingEnabled, setIsSpeakingEnabled] = useState(true);
   const messagesEndRef = useRef(null);
-  const [isTyping, setIsTyping] = useState(false);
-  const typingTimeoutRef = useRef(null);
+  const { streamingText, isStreaming, streamReply, stopStreaming } = useStreamingReply();
+  const { resolveToolCall, runningCalls } = useToolCalls();
+  const commands = useSlashCommands(input, setInput);
 
-  const { startListening, stopListening } = useSpeechRecognition((transcript) => {
-    if (transcript) {
+  const { language, preferences: voicePreferences, save: saveVoicePreferences } = useVoicePreferences();
+  const wakePhrase = voicePreferences.wake_phrase_enabled ? voicePreferences.wake_phrase : null;
+  // Speaking over a reply being read aloud cuts it off
+  const voice = useVoiceMode({
+    language: speechLanguage(language),
+    wakePhrase,
+    silenceSeconds: voicePreferences.silence_seconds,
+    onInterim: setInput,
+    onUtterance: (transcript) => {
       setInput(transcript);
       handleSend(transcript);
+    },
+    onBargeIn: stopReading,
+    onError: message => addNotification(message, 'error')
+  });
+  // Browsers without speech recognition record and transcribe on the server
+  const recorder = useSpeechRecorder({
+    language: speechLanguage(language),
+    silenceSeconds: voicePreferences.silence_seconds,
+    onTranscript: ({ text }) => setInput(prev => [prev.trim(), text].filter(Boolean).join(' ')),
+    onError: message => addNotification(message, 'error')
+  });
+  const reading = useReadAloud({
+    enabled: voicePreferences.read_aloud,
+    streamingText,
+    isStreaming,
+    settings: {
+      engine: voicePreferences.tts_engine,
+      voice: readingVoice(voicePreferences, activeChat?.prompt_id),
+      rate: voicePreferences.tts_rate,
+      pitch: voicePreferences.tts_pitch,
+      lang: speechLanguage(language),
+      onError: message => addNotification(message, 'error')
     }
   });
 
   const handleSend = async (messageText) => {
-    if (!messageText?.trim() || !addMessage) return;
-    
-    // Auto-save chat title if it's the first message
-    if (activeChat?.messages?.length === 0) {
-      const title = messageText.slice(0, 50) + (messageText.length > 50 ? '...' : '');
-      await updateChatTitle(activeChat.id, title);
-    }
+    if (messageText && !commands.isRunning && await commands.runCommand(messageText)) return;
+    if (!messageText?.trim() || !addMessage || isStreaming) return;
 
-    await addMessage(messageText, 'user');
+    // Keep the draft when the message couldn't be saved, so it can be resent
+    const saved = await addMessage(messageText, 'user');
+    if (!saved) return;
     setInput('');
-    setIsTyping(true);
 
-    // Simulate AI typing
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 1000));
-    await addMessage(`Response to: ${messageText}`, 'assistant');
-    setIsTyping(false);
+    try {
+      await streamReply(activeChat.id);
+    } catch (error) {
+      console.error('Error getting assistant reply:', error.message);
+      addNotification(replyErrorMessage(error, 'Failed to get a response'), 'error');
+    }
+  };
+
+  const handleToolCall = async (message, call, approved) => {
+    const allAnswered = await resolveToolCall(message, call, approved);
+    if (!allAnswered) return;
+
+    try {
+      await streamReply(message.session_id);
+    } catch (error) {
+      console.error('Error getting assistant reply:', error.message);
+      addNotification(replyErrorMessage(error, 'Failed to get a response'), 'error');
+    }
   };
 
   const handleSubmit = (e) => {
@@ -90,33 +100,20 @@ const ChatInterface = () => {
     handleSend(input);
   };
 
-  const toggleListening = () => {
-    if (isListening) {
-      stopListening();
-      setIsListening(false);
-    } else {
-      startListening();
-      setIsListening(true);
+  const toggleReadAloud = async () => {
+    try {
+      await saveVoicePreferences({ read_aloud: !voicePreferences.read_aloud });
+    } catch (error) {
+      console.error('Error saving voice preferences:', error.message);
+      addNotification('Failed to save voice preferences', 'error');
     }
   };
 
-  const toggleSpeaking = () => {
-    setIsSpeakingEnabled(!isSpeakingEnabled);
-  };
-
   useEffect(() => {
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [activeChat?.messages]);
-
-  useEffect(() => {
-    if (!isSpeakingEnabled || !activeChat?.messages?.length) return;
-    const lastMessage = activeChat.messages[activeChat.messages.length - 1];
-    if (lastMessage?.sender === 'assistant' && lastMessage?.content) {
-      speakText(lastMessage.content);
-    }
-  }, [activeChat?.messages, isSpeakingEnabled]);
+  }, [activeChat?.messages, streamingText]);
 
   if (!activeChat) {
     return (
@@ -128,9 +125,24 @@ const ChatInterface = () => {
 
   return (
     <div className="flex flex-col h-full bg-gray-900">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-800">
+        <p className="text-sm font-medium text-gray-300 truncate">{activeChat.title}</p>
+        <div className="flex items-center space-x-2">
+          <ReadAloudControls
+            enabled={voicePreferences.read_aloud}
+            onToggle={toggleReadAloud}
+            reading={reading}
+          />
+          <ModelSelector
+            provider={activeChat.provider}
+            model={activeChat.model}
+            onChange={(provider, model) => updateChatModel(activeChat.id, provider, model)}
+          />
+        </div>
+      </div>
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
         <AnimatePresence>
-          {activeChat?.messages?.map((msg, idx) => (
+          {activeChat?.messages?.filter(msg => msg.role !== 'tool').map((msg, idx) => (
             <motion.div
               key={msg?.id || idx}
               initial={{ opacity: 0, y: 20 }}
@@ -138,12 +150,33 @@ const ChatInterface = () => {
               exit={{ opacity: 0, y: -20 }}
             >
               <ChatMessage 
-                role={msg?.sender || 'user'} 
+                role={msg?.role || 'user'} 
                 content={msg?.content || ''} 
-              />
+              >
+                <Citations citations={msg.metadata?.citations} />
+                {msg.metadata?.tool_calls?.map(call => (
+                  <ToolCallCard
+                    key={call.id}
+                    call={call}
+                    isRunning={runningCalls.has(call.id)}
+                    disabled={isStreaming || msg.metadata.tool_calls.some(c => runningCalls.has(c.id))}
+                    onConfirm={() => handleToolCall(msg, call, true)}
+                    onDecline={() => handleToolCall(msg, call, false)}
+                  />
+                ))}
+              </ChatMessage>
             </motion.div>
           ))}
-          {isTyping && (
+          {isStreaming && streamingText && (
+            <motion.div
+              key="streaming"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+            >
+              <ChatMessage role="assistant" content={streamingText} />
+            </motion.div>
+          )}
+          {isStreaming && !streamingText && (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
@@ -159,39 +192,75 @@ const ChatInterface = () => {
         <div ref={messagesEndRef} />
       </div>
 
-      <form onSubmit={handleSubmit} className="flex p-4 border-t border-gray-800">
-        <button 
-          type="button" 
-          onClick={toggleListening} 
-          className={`mr-2 p-2 rounded-md transition-all duration-300 ${
-            isListening 
-              ? 'bg-red-500/20 text-red-300 animate-pulse' 
-              : 'text-gray-400 hover:text-white hover:bg-gray-800'
-          }`}
-        >
-          {isListening ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
-        </button>
-        <button 
-          type="button" 
-          onClick={toggleSpeaking} 
-          className="mr-2 p-2 rounded-md text-gray-400 hover:text-white hover:bg-gray-800"
-        >
-          {isSpeakingEnabled ? <Volume2 className="w-5 h-5" /> : <VolumeX className="w-5 h-5" />}
-        </button>
+      <form onSubmit={handleSubmit} className="relative flex p-4 border-t border-gray-800">
+        <div className="absolute bottom-full left-4 right-4 mb-2 z-20">
+          <SlashCommandMenu
+            hint={commands.hint}
+            options={commands.options}
+            highlighted={commands.highlighted}
+            onPick={commands.pick}
+          />
+        </div>
+        {voice.isSupported || !recorder.isSupported ? (
+          <button
+            type="button"
+            onClick={voice.toggle}
+            title={voice.isActive ? 'Stop voice mode' : 'Start voice mode'}
+            className={`mr-2 p-2 rounded-md transition-all duration-300 ${
+              !voice.isActive
+                ? 'text-gray-400 hover:text-white hover:bg-gray-800'
+                : voice.isAwake
+                  ? 'bg-red-500/20 text-red-300 animate-pulse'
+                  : 'bg-indigo-500/20 text-indigo-300'
+            }`}
+          >
+            {voice.isActive ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={recorder.toggle}
+            disabled={recorder.isTranscribing}
+            title={recorder.isRecording ? 'Stop recording' : 'Record a voice message'}
+            className={`mr-2 p-2 rounded-md transition-all duration-300 disabled:cursor-wait ${
+              recorder.isRecording
+                ? 'bg-red-500/20 text-red-300 animate-pulse'
+                : 'text-gray-400 hover:text-white hover:bg-gray-800'
+            }`}
+          >
+            {recorder.isTranscribing
+              ? <Loader2 className="w-5 h-5 animate-spin" />
+              : recorder.isRecording ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+          </button>
+        )}
         <input
           className="flex-1 bg-gray-800 text-white border border-gray-700 rounded-md px-4 py-2 mr-2 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
           type="text"
           value={input}
           onChange={(e) => setInput(e.target.value)}
-          placeholder="Type or speak your message..."
+          onKeyDown={commands.onKeyDown}
+          placeholder={!voice.isActive
+            ? 'Type or speak your message, or / for commands...'
+            : voice.isAwake ? 'Listening...' : `Say "${wakePhrase}" to start talking`}
         />
-        <button 
-          type="submit" 
-          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md flex items-center transition-colors duration-300"
-          disabled={!input.trim()}
-        >
-          <Send className="w-5 h-5" />
-        </button>
+        {isStreaming ? (
+          <button
+            type="button"
+            onClick={stopStreaming}
+            className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md flex items-center transition-colors duration-300"
+            title="Stop generating"
+          >
+            <Square className="w-5 h-5" />
+          </button>
+        ) : (
+          <button 
+            type="submit" 
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md flex items-center transition-colors duration-300"
+            disabled={!input.trim() || commands.isRunning}
+          >
+            <Send className="w-5 h-5" />
+          </button>
+        )}
       </form>
     </div>
   );
@@ -1,6 +1,7 @@
 import { motion } from 'framer-motion';
+import MarkdownContent from './MarkdownContent';
 
-export default function ChatMessage({ role, content }) {
+export default function ChatMessage({ role, content, children }) {
   const isUser = role === 'user';
 
   return (
@@ -16,7 +17,8 @@ export default function ChatMessage({ role, content }) {
           ? 'bg-indigo-600 dark:bg-indigo-700 text-white' 
           : 'bg-gray-800 dark:bg-gray-900 text-gray-100 dark:text-gray-200')
       }>
-        {content}
+        <MarkdownContent content={content} />
+        {children}
       </div>
     </motion.div>
   );
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { MoreVertical, Pin, PinOff, Tag, Folder, FolderMinus, Check, Share2 } from 'lucide-react';
+
+const itemClass = 'w-full flex items-center px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-700';
+
+// Pin, tag, file and share a chat; filing is the menu equivalent of
+// dragging it onto a folder
+export default function ChatOrganizeMenu({ chat, folders, onTogglePin, onEditTags, onMove, onShare }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const choose = (action) => {
+    setIsOpen(false);
+    action();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Organize"
+        className="p-2 text-gray-400 hover:text-purple-300 transition-colors"
+      >
+        <MoreVertical className="h-4 w-4" />
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-44 bg-gray-900 border border-gray-700 rounded-md shadow-lg z-50 py-1">
+          <button onClick={() => choose(() => onTogglePin(chat))} className={itemClass}>
+            {chat.pinned_at ? (
+              <PinOff className="h-4 w-4 mr-2 text-gray-400" />
+            ) : (
+              <Pin className="h-4 w-4 mr-2 text-gray-400" />
+            )}
+            {chat.pinned_at ? 'Unpin' : 'Pin'}
+          </button>
+          <button onClick={() => choose(onEditTags)} className={itemClass}>
+            <Tag className="h-4 w-4 mr-2 text-gray-400" />
+            Edit tags
+          </button>
+          <button onClick={() => choose(() => onShare(chat))} className={itemClass}>
+            <Share2 className="h-4 w-4 mr-2 text-gray-400" />
+            Share
+          </button>
+          {(folders.length > 0 || chat.folder_id) && (
+            <div className="border-t border-gray-700 mt-1 pt-1">
+              <p className="px-3 py-1 text-xs text-gray-500">Move to</p>
+              {folders.map(folder => (
+                <button
+                  key={folder.id}
+                  onClick={() => choose(() => onMove(chat.id, folder.id))}
+                  className={itemClass}
+                >
+                  <Folder className="h-4 w-4 mr-2 flex-shrink-0 text-gray-400" />
+                  <span className="flex-1 truncate text-left">{folder.name}</span>
+                  {chat.folder_id === folder.id && <Check className="h-4 w-4 ml-1 text-purple-300" />}
+                </button>
+              ))}
+              {chat.folder_id && (
+                <button onClick={() => choose(() => onMove(chat.id, null))} className={itemClass}>
+                  <FolderMinus className="h-4 w-4 mr-2 text-gray-400" />
+                  Remove from folder
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useChat } from '../contexts/ChatContext';
+import { Search, X, SlidersHorizontal, Loader2 } from 'lucide-react';
+
+const HIGHLIGHT_PATTERN = /\[\[hl\]\](.*?)\[\[\/hl\]\]/g;
+
+// Snippets come back with [[hl]]…[[/hl]] markers around matches. Split on the
+// markers instead of injecting HTML so message content is never interpreted.
+const HighlightedSnippet = ({ text }) => {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(HIGHLIGHT_PATTERN)) {
+    parts.push(text.slice(lastIndex, match.index));
+    parts.push(<mark key={match.index} className="bg-purple-500/40 text-white rounded px-0.5">{match[1]}</mark>);
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(text.slice(lastIndex));
+  return <>{parts}</>;
+};
+
+// Midnight in the browser's time zone at the start of a date input's
+// `YYYY-MM-DD` day, `days` days later
+const localDayStart = (value, days = 0) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + days);
+};
+
+const SearchResult = ({ result, onOpen }) => (
+  <button
+    onClick={() => onOpen(result)}
+    className="w-full text-left p-2 rounded-md hover:bg-gray-700 transition-colors"
+  >
+    <p className="text-xs font-medium text-purple-300 truncate">{result.session_title}</p>
+    <p className="text-sm text-gray-300 line-clamp-2">
+      {result.role && (
+        <span className="text-xs text-gray-500 mr-1">
+          {result.role === 'user' ? '👤' : '🤖'}
+        </span>
+      )}
+      <HighlightedSnippet text={result.snippet} />
+    </p>
+    <p className="text-xs text-gray-500">
+      {new Date(result.created_at).toLocaleDateString()}
+    </p>
+  </button>
+);
+
+const ChatSearch = ({ onActiveChange }) => {
+  const { prompts, searchChats, openMessage } = useChat();
+  const [query, setQuery] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [promptId, setPromptId] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  // searchChats is recreated on every provider render
+  const search = useRef(searchChats);
+  search.current = searchChats;
+
+  const isActive = query.trim().length > 0;
+
+  useEffect(() => {
+    onActiveChange?.(isActive);
+  }, [isActive, onActiveChange]);
+
+  useEffect(() => {
+    if (!isActive) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    // Debounce so typing doesn't fire a query per keystroke; results of a
+    // search the user has since changed are dropped
+    let isStale = false;
+    const timeout = setTimeout(async () => {
+      setIsSearching(true);
+      const hits = await search.current({
+        query: query.trim(),
+        promptId: promptId || null,
+        from: fromDate ? localDayStart(fromDate).toISOString() : null,
+        // The "to" date is inclusive, so search up to the start of the next day
+        to: toDate ? localDayStart(toDate, 1).toISOString() : null
+      });
+      if (isStale) return;
+      setResults(hits);
+      setIsSearching(false);
+    }, 300);
+
+    return () => {
+      isStale = true;
+      clearTimeout(timeout);
+    };
+  }, [query, promptId, fromDate, toDate, isActive]);
+
+  const clearSearch = () => {
+    setQuery('');
+    setResults([]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-1">
+        <div className="flex-1 flex items-center bg-gray-900 rounded-md px-2">
+          <Search className="h-4 w-4 text-gray-500 flex-shrink-0" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search chats..."
+            className="flex-1 min-w-0 bg-transparent text-sm text-white px-2 py-1.5 focus:outline-none"
+          />
+          {query && (
+            <button onClick={clearSearch} className="p-1 text-gray-500 hover:text-gray-300">
+              <X className="h-3 w-3" />
+            </button>
+          )}
+        </div>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          title="Search filters"
+          className={`p-2 rounded-md transition-colors ${
+            showFilters || promptId || fromDate || toDate
+              ? 'text-purple-300 bg-purple-500/20'
+              : 'text-gray-400 hover:text-gray-300'
+          }`}
+        >
+          <SlidersHorizontal className="h-4 w-4" />
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="space-y-2 p-2 bg-gray-900/60 rounded-md">
+          <select
+            value={promptId}
+            onChange={(e) => setPromptId(e.target.value)}
+            className="w-full bg-gray-900 text-sm text-gray-200 border border-gray-700 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+          >
+            <option value="">All personas</option>
+            {prompts.map(prompt => (
+              <option key={prompt.id} value={prompt.id}>
+                {prompt.emoji} {prompt.title}
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center space-x-1">
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="flex-1 min-w-0 bg-gray-900 text-xs text-gray-200 border border-gray-700 rounded px-1 py-1"
+            />
+            <span className="text-xs text-gray-500">to</span>
+            <input
+              type="date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="flex-1 min-w-0 bg-gray-900 text-xs text-gray-200 border border-gray-700 rounded px-1 py-1"
+            />
+          </div>
+        </div>
+      )}
+
+      {isActive && (
+        <div className="space-y-1">
+          {isSearching ? (
+            <div className="flex justify-center p-2">
+              <Loader2 className="h-4 w-4 text-gray-500 animate-spin" />
+            </div>
+          ) : results.length === 0 ? (
+            <p className="text-gray-500 text-sm p-2">No matches</p>
+          ) : (
+            results.map((result, index) => (
+              <SearchResult
+                key={result.message_id || `${result.session_id}-${index}`}
+                result={result}
+                onOpen={(hit) => openMessage(hit.session_id, hit.message_id)}
+              />
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChatSearch;
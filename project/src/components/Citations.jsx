@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckSquare, FileText, Loader2 } from 'lucide-react';
+import { getAttachmentUrl } from '../services/attachments';
+
+const chipClass = 'inline-flex items-center max-w-[16rem] px-2 py-1 text-xs bg-black/30 border border-purple-500/20 rounded-md text-purple-200 hover:border-purple-500/50 transition-colors';
+
+const FileCitation = ({ citation }) => {
+  const [isOpening, setIsOpening] = useState(false);
+
+  // Same as attachments: a short-lived URL, created on click
+  const openFile = async () => {
+    setIsOpening(true);
+    try {
+      window.open(await getAttachmentUrl(citation.path, 60), '_blank', 'noopener');
+    } catch (error) {
+      console.error('Error opening cited file:', error.message);
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <button type="button" onClick={openFile} disabled={isOpening} title={citation.excerpt} className={chipClass}>
+      {isOpening
+        ? <Loader2 className="w-3 h-3 mr-1 flex-shrink-0 animate-spin" />
+        : <FileText className="w-3 h-3 mr-1 flex-shrink-0" />}
+      <span className="truncate">[{citation.index}] {citation.title}</span>
+    </button>
+  );
+};
+
+// Tasks and files retrieved for an assistant reply, numbered as the reply
+// cites them
+export default function Citations({ citations = [] }) {
+  if (citations.length === 0) return null;
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {citations.map(citation => (
+        citation.source_type === 'file' ? (
+          <FileCitation key={citation.index} citation={citation} />
+        ) : (
+          <Link
+            key={citation.index}
+            to={`/tasks?task=${citation.task_id}`}
+            title={citation.excerpt}
+            className={chipClass}
+          >
+            <CheckSquare className="w-3 h-3 mr-1 flex-shrink-0" />
+            <span className="truncate">[{citation.index}] {citation.title}</span>
+          </Link>
+        )
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ScrollText, Save, X } from 'lucide-react';
+
+// The running summary the assistant keeps of turns that no longer fit its
+// context window. Users can read it and correct it before the next reply.
+export default function ConversationSummary({ summary, onSave }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(summary || '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(summary || '');
+  }, [summary]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    await onSave(draft);
+    setIsSaving(false);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Conversation summary"
+        className={`p-2 rounded-md transition-colors ${
+          isOpen || summary ? 'text-purple-300 hover:bg-purple-500/20' : 'text-gray-400 hover:text-white hover:bg-gray-700'
+        }`}
+      >
+        <ScrollText className="w-4 h-4" />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-2 w-96 z-20 bg-gray-900 border border-purple-500/30 rounded-lg shadow-xl p-4 space-y-3"
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-white">Conversation summary</h3>
+              <button
+                type="button"
+                onClick={() => setIsOpen(false)}
+                className="p-1 text-gray-400 hover:text-white"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <p className="text-xs text-gray-400">
+              Older messages are condensed into this summary when the conversation outgrows the model's context.
+            </p>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={8}
+              placeholder="No summary yet"
+              className="w-full bg-black/30 border border-purple-500/20 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={isSaving || draft === (summary || '')}
+                className="px-3 py-1 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700 transition-colors flex items-center space-x-1 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                <span>{isSaving ? 'Saving...' : 'Save'}</span>
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
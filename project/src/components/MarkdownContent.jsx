@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import { Copy, Check } from 'lucide-react';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+
+// Raw HTML in messages is never rendered, and the tree is sanitized before
+// KaTeX and highlight.js add their own markup. The schema only widens the
+// default to keep remark-math's classes so formulas can be found afterwards.
+const sanitizeSchema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [['className', /^language-./, 'math-inline', 'math-display']]
+  }
+};
+
+const remarkPlugins = [remarkGfm, remarkMath];
+const rehypePlugins = [
+  [rehypeSanitize, sanitizeSchema],
+  rehypeKatex,
+  [rehypeHighlight, { plainText: ['mermaid'] }]
+];
+
+function textContent(node) {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textContent).join('');
+}
+
+function codeLanguage(node) {
+  const className = node?.properties?.className || [];
+  return className.find(name => name.startsWith('language-'))?.slice('language-'.length) || null;
+}
+
+// Mermaid is large, so it is only loaded once a diagram is on screen
+let mermaidLoader = null;
+function loadMermaid() {
+  mermaidLoader ||= import('mermaid').then(({ default: mermaid }) => {
+    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'dark' });
+    return mermaid;
+  });
+  return mermaidLoader;
+}
+
+const CodeBlock = ({ language, children }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.textContent || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="my-2 rounded-lg overflow-hidden border border-gray-700 bg-black/50">
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-800/80 text-xs text-gray-400">
+        <span>{language || 'code'}</span>
+        <button
+          type="button"
+          onClick={copyCode}
+          className="flex items-center space-x-1 hover:text-purple-300 transition-colors"
+        >
+          {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+      </div>
+      <pre ref={preRef} className="p-3 overflow-x-auto text-sm">
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+const MermaidDiagram = ({ source }) => {
+  const id = `mermaid-${useId().replace(/:/g, '')}`;
+  const [svg, setSvg] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+
+    loadMermaid()
+      .then(mermaid => mermaid.render(id, source))
+      .then(result => {
+        if (!cancelled) setSvg(result.svg);
+      })
+      .catch(() => {
+        // Incomplete while streaming, or not valid mermaid
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, source]);
+
+  if (failed || !svg) {
+    return <CodeBlock language="mermaid"><code>{source}</code></CodeBlock>;
+  }
+
+  // The strict security level runs the SVG through DOMPurify
+  return (
+    <div
+      className="my-2 p-3 rounded-lg bg-black/30 overflow-x-auto"
+      dangerouslySetInnerHTML={{ __html: svg }}
+    />
+  );
+};
+
+const components = {
+  pre: ({ node, children }) => {
+    const code = node?.children?.find(child => child.tagName === 'code');
+    const language = codeLanguage(code);
+    if (language === 'mermaid') {
+      return <MermaidDiagram source={textContent(code).trim()} />;
+    }
+    return <CodeBlock language={language}>{children}</CodeBlock>;
+  },
+  a: ({ href, children }) => (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-purple-300 underline hover:text-purple-200"
+    >
+      {children}
+    </a>
+  ),
+  p: ({ children }) => <p className="my-1 leading-relaxed">{children}</p>,
+  ul: ({ children, className }) => (
+    <ul className={`my-1 pl-5 space-y-0.5 ${className === 'contains-task-list' ? 'list-none pl-1' : 'list-disc'}`}>
+      {children}
+    </ul>
+  ),
+  ol: ({ children }) => <ol className="my-1 pl-5 space-y-0.5 list-decimal">{children}</ol>,
+  input: ({ type, checked }) => (
+    <input type={type} checked={checked} readOnly disabled className="mr-2 align-middle accent-purple-500" />
+  ),
+  h1: ({ children }) => <h1 className="mt-3 mb-1 text-xl font-semibold">{children}</h1>,
+  h2: ({ children }) => <h2 className="mt-3 mb-1 text-lg font-semibold">{children}</h2>,
+  h3: ({ children }) => <h3 className="mt-2 mb-1 font-semibold">{children}</h3>,
+  blockquote: ({ children }) => (
+    <blockquote className="my-2 pl-3 border-l-2 border-purple-500/50 text-gray-300">{children}</blockquote>
+  ),
+  table: ({ children }) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="min-w-full text-sm border border-gray-700">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => <th className="px-2 py-1 border border-gray-700 bg-black/30 text-left">{children}</th>,
+  td: ({ children }) => <td className="px-2 py-1 border border-gray-700">{children}</td>
+};
+
+export default function MarkdownContent({ content }) {
+  return (
+    <div className="markdown-content break-words">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={rehypePlugins}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+}
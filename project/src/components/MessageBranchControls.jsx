@@ -0,0 +1,54 @@
+import { ChevronLeft, ChevronRight, Edit2, RefreshCw, GitBranch } from 'lucide-react';
+
+const ControlButton = ({ icon: Icon, title, onClick, disabled }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    title={title}
+    className="p-1 text-gray-400 hover:text-purple-300 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+  >
+    <Icon className="w-3.5 h-3.5" />
+  </button>
+);
+
+// Footer of a message: step through its alternatives, edit or regenerate
+// it, or fork the conversation at this point
+export default function MessageBranchControls({
+  message,
+  alternatives,
+  disabled,
+  onSelect,
+  onEdit,
+  onRegenerate,
+  onFork
+}) {
+  const index = alternatives.findIndex(m => m.id === message.id);
+
+  return (
+    <div className="flex items-center space-x-1 mt-2 text-xs text-gray-400">
+      {alternatives.length > 1 && (
+        <div className="flex items-center mr-1">
+          <ControlButton
+            icon={ChevronLeft}
+            title="Previous version"
+            disabled={disabled || index === 0}
+            onClick={() => onSelect(alternatives[index - 1])}
+          />
+          <span className="tabular-nums">{index + 1}/{alternatives.length}</span>
+          <ControlButton
+            icon={ChevronRight}
+            title="Next version"
+            disabled={disabled || index === alternatives.length - 1}
+            onClick={() => onSelect(alternatives[index + 1])}
+          />
+        </div>
+      )}
+      {onEdit && <ControlButton icon={Edit2} title="Edit message" disabled={disabled} onClick={onEdit} />}
+      {onRegenerate && (
+        <ControlButton icon={RefreshCw} title="Regenerate reply" disabled={disabled} onClick={onRegenerate} />
+      )}
+      <ControlButton icon={GitBranch} title="Branch from here" disabled={disabled} onClick={onFork} />
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { Cpu } from 'lucide-react';
+
+const providers = [
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'anthropic', label: 'Anthropic' },
+  { value: 'local', label: 'Local (Ollama / llama.cpp)' },
+  { value: 'mock', label: 'Mock' }
+];
+
+// `defaultLabel` names what an empty provider falls back to: the persona for
+// a chat, the deployment default for a persona
+export default function ModelSelector({ provider, model, onChange, defaultLabel = 'Persona default' }) {
+  const [modelInput, setModelInput] = useState(model || '');
+
+  useEffect(() => {
+    setModelInput(model || '');
+  }, [model]);
+
+  const handleProviderChange = (e) => {
+    // A model name only makes sense for the provider it was typed for
+    onChange(e.target.value, null);
+  };
+
+  const commitModel = () => {
+    if ((modelInput.trim() || null) !== (model || null)) {
+      onChange(provider, modelInput.trim());
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2 text-sm">
+      <Cpu className="w-4 h-4 text-purple-300" />
+      <select
+        value={provider || ''}
+        onChange={handleProviderChange}
+        className="bg-gray-800 text-gray-200 border border-gray-700 rounded-md px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+      >
+        <option value="">{defaultLabel}</option>
+        {providers.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {provider && (
+        <input
+          type="text"
+          value={modelInput}
+          onChange={(e) => setModelInput(e.target.value)}
+          onBlur={commitModel}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          placeholder="Default model"
+          className="w-40 bg-gray-800 text-gray-200 border border-gray-700 rounded-md px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+        />
+      )}
+    </div>
+  );
+}
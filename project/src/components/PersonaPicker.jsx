@@ -0,0 +1,57 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { MessageSquare, Users } from 'lucide-react';
+
+const PersonaOption = ({ emoji, title, subtitle, onClick }) => (
+  <button
+    onClick={onClick}
+    className="w-full flex items-start p-2 rounded-md text-left hover:bg-gray-700 transition-colors"
+  >
+    <span className="w-6 flex-shrink-0 text-center">{emoji}</span>
+    <span className="ml-2 min-w-0">
+      <span className="block text-sm text-gray-200 truncate">{title}</span>
+      {subtitle && <span className="block text-xs text-gray-500 line-clamp-2">{subtitle}</span>}
+    </span>
+  </button>
+);
+
+// Choose how a new chat starts: blank, or with one of the user's or the
+// built-in personas
+export default function PersonaPicker({ prompts, onPick }) {
+  const ownPrompts = prompts.filter(prompt => !prompt.is_default);
+  const defaultPrompts = prompts.filter(prompt => prompt.is_default);
+
+  const renderGroup = (label, group) => group.length > 0 && (
+    <div>
+      <h4 className="px-2 pt-2 text-xs font-semibold text-gray-500 uppercase tracking-wider">{label}</h4>
+      {group.map(prompt => (
+        <PersonaOption
+          key={prompt.id}
+          emoji={prompt.emoji}
+          title={prompt.title}
+          subtitle={prompt.system_prompt}
+          onClick={() => onPick(prompt.id)}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-md shadow-lg p-1 max-h-96 overflow-y-auto">
+      <PersonaOption
+        emoji={<MessageSquare className="inline h-4 w-4 text-gray-400" />}
+        title="Blank chat"
+        onClick={() => onPick(null)}
+      />
+      {renderGroup('Your personas', ownPrompts)}
+      {renderGroup('Built-in', defaultPrompts)}
+      <Link
+        to="/personas"
+        className="flex items-center p-2 mt-1 border-t border-gray-700 text-sm text-purple-300 hover:text-purple-200"
+      >
+        <Users className="h-4 w-4 mr-2" />
+        Manage personas
+      </Link>
+    </div>
+  );
+}
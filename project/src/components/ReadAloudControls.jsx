@@ -0,0 +1,37 @@
+import { Volume2, VolumeX, Pause, Play, SkipForward } from 'lucide-react';
+
+const buttonClass = 'p-2 rounded-md transition-colors text-purple-300 hover:bg-purple-500/20';
+
+// Turns reading replies aloud on and off, with pause and skip while a reply
+// is being read. `reading` is what useReadAloud returns.
+export default function ReadAloudControls({ enabled, onToggle, reading }) {
+  return (
+    <div className="flex items-center">
+      {reading.isReading && (
+        <>
+          <button
+            type="button"
+            onClick={reading.isPaused ? reading.resume : reading.pause}
+            title={reading.isPaused ? 'Resume reading' : 'Pause reading'}
+            className={buttonClass}
+          >
+            {reading.isPaused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+          </button>
+          <button type="button" onClick={reading.skip} title="Skip sentence" className={buttonClass}>
+            <SkipForward className="w-4 h-4" />
+          </button>
+        </>
+      )}
+      <button
+        type="button"
+        onClick={onToggle}
+        title={enabled ? 'Stop reading replies aloud' : 'Read replies aloud'}
+        className={`p-2 rounded-md transition-colors ${
+          enabled ? 'text-purple-300 hover:bg-purple-500/20' : 'text-gray-400 hover:text-white hover:bg-gray-700'
+        }`}
+      >
+        {enabled ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+      </button>
+    </div>
+  );
+}
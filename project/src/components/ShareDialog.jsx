@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { X, Link2, Copy, Check, Trash2, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { listShares, createShare, revokeShare, shareUrl } from '../services/sharing';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', days: null },
+  { label: 'Expires in 1 day', days: 1 },
+  { label: 'Expires in 7 days', days: 7 },
+  { label: 'Expires in 30 days', days: 30 }
+];
+
+const ShareLink = ({ share, onRevoke }) => {
+  const [copied, setCopied] = useState(false);
+  const [confirmRevoke, setConfirmRevoke] = useState(false);
+  const url = shareUrl(share.token);
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleRevoke = () => {
+    if (confirmRevoke) {
+      onRevoke(share.id);
+    } else {
+      setConfirmRevoke(true);
+      setTimeout(() => setConfirmRevoke(false), 3000);
+    }
+  };
+
+  return (
+    <li className="p-3 bg-gray-900 border border-gray-700 rounded-md">
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={url}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 bg-transparent text-sm text-gray-200 focus:outline-none"
+        />
+        <button onClick={copy} title="Copy link" className="p-1 text-gray-400 hover:text-purple-300">
+          {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+        </button>
+        <button
+          onClick={handleRevoke}
+          title={confirmRevoke ? 'Click again to revoke' : 'Revoke link'}
+          className={`p-1 rounded transition-colors ${
+            confirmRevoke ? 'bg-red-500/20 text-red-400' : 'text-gray-400 hover:text-red-400'
+          }`}
+        >
+          {confirmRevoke ? <Check className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+        </button>
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        Created {new Date(share.created_at).toLocaleDateString()}
+        {' · '}
+        {share.expires_at ? `expires ${new Date(share.expires_at).toLocaleString()}` : 'no expiry'}
+      </p>
+    </li>
+  );
+};
+
+// Public read-only links to a chat. Anyone with a link can read the
+// conversation, without its system prompt, until it expires or is revoked.
+export default function ShareDialog({ chat, onClose }) {
+  const { user } = useAuth();
+  const { addNotification } = useNotification();
+  const [shares, setShares] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isCreating, setIsCreating] = useState(false);
+  const [expiryDays, setExpiryDays] = useState('');
+
+  useEffect(() => {
+    listShares(chat.id)
+      .then(setShares)
+      .catch(error => {
+        console.error('Error loading share links:', error.message);
+        addNotification('Failed to load share links', 'error');
+      })
+      .finally(() => setIsLoading(false));
+  }, [chat.id, addNotification]);
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    try {
+      const share = await createShare(user.id, chat.id, expiryDays ? Number(expiryDays) : null);
+      setShares(prev => [share, ...prev]);
+      await navigator.clipboard?.writeText(shareUrl(share.token)).catch(() => {});
+      addNotification('Share link created and copied', 'success');
+    } catch (error) {
+      console.error('Error creating share link:', error.message);
+      addNotification('Failed to create share link', 'error');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (shareId) => {
+    try {
+      await revokeShare(shareId);
+      setShares(prev => prev.filter(share => share.id !== shareId));
+      addNotification('Share link revoked', 'success');
+    } catch (error) {
+      console.error('Error revoking share link:', error.message);
+      addNotification('Failed to revoke share link', 'error');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-md bg-gray-800 border border-gray-700 rounded-xl p-6 space-y-4"
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="flex items-center text-lg font-semibold text-white min-w-0">
+            <Link2 className="w-5 h-5 mr-2 flex-shrink-0 text-purple-300" />
+            <span className="truncate">Share &quot;{chat.title}&quot;</span>
+          </h2>
+          <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-400">
+          Anyone with the link can read this conversation. System prompts, tool results and
+          attachment contents are not shared.
+        </p>
+        <div className="flex items-center space-x-2">
+          <select
+            value={expiryDays}
+            onChange={(e) => setExpiryDays(e.target.value)}
+            className="flex-1 bg-gray-900 text-white text-sm border border-gray-700 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-purple-500"
+          >
+            {EXPIRY_OPTIONS.map(({ label, days }) => (
+              <option key={label} value={days ?? ''}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleCreate}
+            disabled={isCreating}
+            className="flex items-center px-4 py-2 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+          >
+            {isCreating && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Create link
+          </button>
+        </div>
+        {isLoading ? (
+          <p className="text-sm text-gray-400">Loading links...</p>
+        ) : shares.length > 0 && (
+          <ul className="space-y-2 max-h-64 overflow-y-auto">
+            {shares.map(share => (
+              <ShareLink key={share.id} share={share} onRevoke={handleRevoke} />
+            ))}
+          </ul>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
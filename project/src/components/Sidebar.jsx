@@ -1,5 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { useChat } from '../contexts/ChatContext';
+import ChatSearch from './ChatSearch';
+import PersonaPicker from './PersonaPicker';
+import TemplateForm from './TemplateForm';
+import ChatOrganizeMenu from './ChatOrganizeMenu';
+import ShareDialog from './ShareDialog';
+import { templateVariables } from '../services/templates';
+import { formatTokens, formatCost } from '../services/usage';
+import { groupChatsByDate, byRecentActivity, tagsInUse } from '../services/chatGroups';
 import { 
   PlusCircle, 
   MessageSquare, 
@@ -15,13 +23,83 @@ import {
   MoreVertical,
   ChevronDown,
   ChevronUp,
-  Save
+  Save,
+  Download,
+  Upload,
+  FileText,
+  FileJson,
+  Printer,
+  GitBranch,
+  Pin,
+  Folder,
+  FolderOpen,
+  FolderPlus,
+  Tag
 } from 'lucide-react';
 
-const ChatItem = ({ chat, isSelected, onSelect, onDelete, isExpanded, onToggleExpand, onRename }) => {
+const exportFormats = [
+  { id: 'markdown', label: 'Markdown', icon: FileText },
+  { id: 'json', label: 'JSON', icon: FileJson },
+  { id: 'pdf', label: 'PDF (print)', icon: Printer }
+];
+
+const ExportMenu = ({ chatIds, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Export selected chats"
+        className="p-2 text-gray-400 hover:text-purple-300 transition-colors"
+      >
+        <Download className="h-5 w-5" />
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-36 bg-gray-900 border border-gray-700 rounded-md shadow-lg z-50 py-1">
+          {exportFormats.map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => {
+                setIsOpen(false);
+                onExport(chatIds, id);
+              }}
+              className="w-full flex items-center px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-700"
+            >
+              <Icon className="h-4 w-4 mr-2 text-gray-400" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChatItem = ({
+  chat, isActive, isSelected, onOpen, onSelect, onDelete, isExpanded, onToggleExpand, onRename,
+  folders, onTogglePin, onMove, onUpdateTags, onTagClick, onShare
+}) => {
   const [showConfirmDelete, setShowConfirmDelete] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [newTitle, setNewTitle] = useState(chat.title);
+  const [isEditingTags, setIsEditingTags] = useState(false);
+  const [tagDraft, setTagDraft] = useState('');
+  // The last exchanges, without system prompts or tool results
+  const previewMessages = (chat.messages || [])
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .slice(-3);
+
+  const startEditingTags = () => {
+    setTagDraft((chat.tags || []).join(', '));
+    setIsEditingTags(true);
+  };
+
+  const handleSaveTags = (e) => {
+    e.preventDefault();
+    onUpdateTags(chat.id, tagDraft.split(','));
+    setIsEditingTags(false);
+  };
 
   const handleDelete = (e) => {
     e.stopPropagation();
@@ -45,22 +123,33 @@ const ChatItem = ({ chat, isSelected, onSelect, onDelete, isExpanded, onToggleEx
   return (
     <div className="space-y-1">
       <div 
+        draggable={!isEditing && !isEditingTags}
+        onDragStart={(e) => {
+          e.dataTransfer.setData('text/chat-id', chat.id);
+          e.dataTransfer.effectAllowed = 'move';
+        }}
         className={`flex items-center p-2 rounded-md transition-colors ${
-          isSelected ? 'bg-gray-700' : 'hover:bg-gray-700'
+          isActive || isSelected ? 'bg-gray-700' : 'hover:bg-gray-700'
         }`}
       >
         <div 
-          className="flex-1 flex items-center"
-          onClick={() => !isEditing && onSelect(chat.id)}
+          className="flex-1 flex items-center min-w-0 cursor-pointer"
+          onClick={() => !isEditing && onOpen(chat)}
         >
-          <div className="flex-shrink-0 mr-3">
+          <div
+            className="flex-shrink-0 mr-3"
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelect(chat.id);
+            }}
+          >
             {isSelected ? (
               <CheckSquare className="h-5 w-5 text-indigo-500" />
             ) : (
               <Square className="h-5 w-5 text-gray-500" />
             )}
           </div>
-          <div className="flex-1 min-w-0">
+          <div className="flex-1 min-w-0" title={isEditing ? undefined : chat.headline || undefined}>
             {isEditing ? (
               <form onSubmit={handleRename} className="flex items-center">
                 <input
@@ -80,12 +169,37 @@ const ChatItem = ({ chat, isSelected, onSelect, onDelete, isExpanded, onToggleEx
               </form>
             ) : (
               <>
-                <p className="text-sm font-medium text-gray-200 truncate">
-                  {chat.title}
+                <p className={`flex items-center text-sm font-medium ${isActive ? 'text-purple-300' : 'text-gray-200'}`}>
+                  {chat.pinned_at && (
+                    <Pin className="h-3 w-3 mr-1 flex-shrink-0 text-purple-400" />
+                  )}
+                  {chat.parent_session_id && (
+                    <GitBranch className="h-3 w-3 mr-1 flex-shrink-0 text-gray-500" />
+                  )}
+                  <span className="truncate">{chat.title}</span>
                 </p>
                 <p className="text-xs text-gray-400 truncate">
                   {new Date(chat.created_at).toLocaleDateString()}
+                  {chat.total_tokens > 0 && (
+                    <> · {formatTokens(chat.total_tokens)} tokens · {formatCost(chat.total_cost)}</>
+                  )}
                 </p>
+                {chat.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {chat.tags.map(tag => (
+                      <button
+                        key={tag}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onTagClick(tag);
+                        }}
+                        className="px-1.5 text-xs rounded bg-purple-500/20 text-purple-300 hover:bg-purple-500/30"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </>
             )}
           </div>
@@ -94,11 +208,22 @@ const ChatItem = ({ chat, isSelected, onSelect, onDelete, isExpanded, onToggleEx
           {!isEditing && (
             <>
               <button
-                onClick={() => setIsEditing(true)}
+                onClick={() => {
+                  setNewTitle(chat.title);
+                  setIsEditing(true);
+                }}
                 className="p-2 text-gray-400 hover:text-purple-300 transition-colors"
               >
                 <Edit2 className="h-4 w-4" />
               </button>
+              <ChatOrganizeMenu
+                chat={chat}
+                folders={folders}
+                onTogglePin={onTogglePin}
+                onEditTags={startEditingTags}
+                onMove={onMove}
+                onShare={onShare}
+              />
               <button
                 onClick={onToggleExpand}
                 className="p-2 text-gray-400 hover:text-gray-300 transition-colors"
@@ -127,9 +252,29 @@ const ChatItem = ({ chat, isSelected, onSelect, onDelete, isExpanded, onToggleEx
           )}
         </div>
       </div>
-      {isExpanded && chat.messages && chat.messages.length > 0 && (
+      {isEditingTags && (
+        <form onSubmit={handleSaveTags} className="flex items-center ml-8 px-2">
+          <Tag className="h-4 w-4 mr-2 flex-shrink-0 text-gray-500" />
+          <input
+            type="text"
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            onBlur={handleSaveTags}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') {
+                setTagDraft((chat.tags || []).join(', '));
+                setIsEditingTags(false);
+              }
+            }}
+            placeholder="work, ideas"
+            className="flex-1 min-w-0 bg-gray-900 text-white text-sm rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+            autoFocus
+          />
+        </form>
+      )}
+      {isExpanded && previewMessages.length > 0 && (
         <div className="ml-8 pl-2 border-l border-gray-700 space-y-1">
-          {chat.messages.slice(-3).map((message, index) => (
+          {previewMessages.map((message, index) => (
             <div 
               key={message.id || index}
               className="text-sm text-gray-400 truncate py-1"
@@ -146,22 +291,186 @@ const ChatItem = ({ chat, isSelected, onSelect, onDelete, isExpanded, onToggleEx
   );
 };
 
+// Drop target id of the chats that are in no folder
+const UNFILED = 'unfiled';
+
+// Chats dragged from the list can be dropped on a folder, or on the
+// unfiled list to take them out of their folder
+const dropTarget = (targetId, dragOver, setDragOver, onDropChat) => ({
+  onDragOver: (e) => {
+    if (!e.dataTransfer.types.includes('text/chat-id')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dragOver !== targetId) setDragOver(targetId);
+  },
+  onDragLeave: (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(null);
+  },
+  onDrop: (e) => {
+    e.preventDefault();
+    setDragOver(null);
+    const chatId = e.dataTransfer.getData('text/chat-id');
+    if (chatId) onDropChat(chatId, targetId);
+  }
+});
+
+const FolderSection = ({ folder, chatCount, isOpen, onToggle, isDragOver, dropProps, onRename, onDelete, children }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(folder.name);
+  const [showConfirmDelete, setShowConfirmDelete] = useState(false);
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (name.trim() && name.trim() !== folder.name) {
+      onRename(folder.id, name);
+    }
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (showConfirmDelete) {
+      onDelete(folder.id);
+    } else {
+      setShowConfirmDelete(true);
+      setTimeout(() => setShowConfirmDelete(false), 3000);
+    }
+  };
+
+  return (
+    <div
+      {...dropProps}
+      className={`rounded-md transition-colors ${isDragOver ? 'bg-purple-500/20 ring-1 ring-purple-500/50' : ''}`}
+    >
+      <div className="group flex items-center px-2 py-1 text-sm text-gray-300">
+        {isEditing ? (
+          <form onSubmit={handleRename} className="flex-1 flex items-center">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onBlur={handleRename}
+              className="flex-1 min-w-0 bg-gray-900 text-white text-sm rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+              autoFocus
+            />
+          </form>
+        ) : (
+          <>
+            <button onClick={onToggle} className="flex-1 flex items-center min-w-0 hover:text-white">
+              {isOpen ? (
+                <FolderOpen className="h-4 w-4 mr-2 flex-shrink-0 text-purple-400" />
+              ) : (
+                <Folder className="h-4 w-4 mr-2 flex-shrink-0 text-purple-400" />
+              )}
+              <span className="truncate">{folder.name}</span>
+              <span className="ml-2 text-xs text-gray-500">{chatCount}</span>
+            </button>
+            <button
+              onClick={() => setIsEditing(true)}
+              title="Rename folder"
+              className="p-1 text-gray-500 hover:text-purple-300 opacity-0 group-hover:opacity-100 transition-opacity"
+            >
+              <Edit2 className="h-3 w-3" />
+            </button>
+            <button
+              onClick={handleDelete}
+              title={showConfirmDelete ? 'Click again to delete; its chats are kept' : 'Delete folder'}
+              className={`p-1 rounded transition-colors ${
+                showConfirmDelete
+                  ? 'bg-red-500/20 text-red-400'
+                  : 'text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100'
+              }`}
+            >
+              {showConfirmDelete ? <Check className="h-3 w-3" /> : <Trash2 className="h-3 w-3" />}
+            </button>
+          </>
+        )}
+      </div>
+      {isOpen && (
+        <div className="ml-3 pl-1 border-l border-gray-700 space-y-2 pb-1">
+          {chatCount === 0 ? (
+            <p className="px-2 py-1 text-xs text-gray-500">Drag chats here</p>
+          ) : children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SectionHeading = ({ children }) => (
+  <h3 className="px-2 text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">
+    {children}
+  </h3>
+);
+
 const Sidebar = () => {
   const { 
     chats = [], 
+    activeChat,
+    prompts,
     createNewChat, 
     selectedChats,
     toggleChatSelection,
     deleteChats,
     clearSelection,
     setActiveChat,
-    updateChatTitle
+    loadMessages,
+    updateChatTitle,
+    exportChats,
+    importChats,
+    folders,
+    createFolder,
+    renameFolder,
+    deleteFolder,
+    moveChatToFolder,
+    togglePinChat,
+    updateChatTags
   } = useChat();
   const [isExpanded, setIsExpanded] = useState(true);
   const [expandedChats, setExpandedChats] = useState(new Set());
   const [showSidebar, setShowSidebar] = useState(true);
+  const [isSearching, setIsSearching] = useState(false);
+  const [showPersonaPicker, setShowPersonaPicker] = useState(false);
+  // Persona whose `{{variables}}` are being filled in before its chat starts
+  const [templatePrompt, setTemplatePrompt] = useState(null);
+  const importInputRef = useRef(null);
+  const [openFolders, setOpenFolders] = useState(new Set());
+  const [newFolderName, setNewFolderName] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const [activeTag, setActiveTag] = useState(null);
+  const [sharingChat, setSharingChat] = useState(null);
+
+  const startChat = async (promptId, variables) => {
+    setShowPersonaPicker(false);
+    setTemplatePrompt(null);
+    const newChat = await createNewChat(promptId, variables);
+    if (newChat) {
+      setExpandedChats(prev => new Set(prev).add(newChat.id));
+    }
+  };
+
+  const pickPersona = (promptId) => {
+    const prompt = prompts.find(p => p.id === promptId);
+    if (prompt && templateVariables(prompt.system_prompt).length > 0) {
+      setShowPersonaPicker(false);
+      setTemplatePrompt(prompt);
+    } else {
+      startChat(promptId);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      await importChats(file);
+    }
+  };
   
-  const toggleChatExpansion = (chatId) => {
+  const toggleChatExpansion = (chat) => {
+    const chatId = chat.id;
+    if (!expandedChats.has(chatId) && !chat.messages) {
+      loadMessages(chatId);
+    }
     setExpandedChats(prev => {
       const next = new Set(prev);
       if (next.has(chatId)) {
@@ -173,6 +482,75 @@ const Sidebar = () => {
     });
   };
 
+  const toggleFolder = (folderId) => {
+    setOpenFolders(prev => {
+      const next = new Set(prev);
+      if (next.has(folderId)) {
+        next.delete(folderId);
+      } else {
+        next.add(folderId);
+      }
+      return next;
+    });
+  };
+
+  const handleCreateFolder = async (e) => {
+    e.preventDefault();
+    const name = newFolderName?.trim();
+    setNewFolderName(null);
+    if (!name) return;
+    const folder = await createFolder(name);
+    if (folder) {
+      setOpenFolders(prev => new Set(prev).add(folder.id));
+    }
+  };
+
+  const dropChat = (chatId, targetId) => {
+    const folderId = targetId === UNFILED ? null : targetId;
+    const chat = chats.find(c => c.id === chatId);
+    if (chat && (chat.folder_id || null) !== folderId) {
+      moveChatToFolder(chatId, folderId);
+    }
+  };
+
+  const dropProps = (folderId) => dropTarget(folderId, dragOver, setDragOver, dropChat);
+
+  const renderChat = (chat) => (
+    <ChatItem 
+      key={chat.id} 
+      chat={chat}
+      isActive={activeChat?.id === chat.id}
+      isSelected={selectedChats.has(chat.id)}
+      onOpen={setActiveChat}
+      onSelect={toggleChatSelection}
+      onDelete={deleteChats}
+      isExpanded={expandedChats.has(chat.id)}
+      onToggleExpand={() => toggleChatExpansion(chat)}
+      onRename={updateChatTitle}
+      folders={folders}
+      onTogglePin={togglePinChat}
+      onMove={moveChatToFolder}
+      onUpdateTags={updateChatTags}
+      onTagClick={setActiveTag}
+      onShare={setSharingChat}
+    />
+  );
+
+  // Pinned chats are listed once, above the folders; the rest go to their
+  // folder, or are grouped by last activity when they have none
+  const tags = tagsInUse(chats);
+  const visibleChats = activeTag ? chats.filter(chat => chat.tags?.includes(activeTag)) : chats;
+  const pinnedChats = visibleChats
+    .filter(chat => chat.pinned_at)
+    .sort((a, b) => new Date(b.pinned_at) - new Date(a.pinned_at));
+  const folderChats = (folderId) => visibleChats
+    .filter(chat => !chat.pinned_at && chat.folder_id === folderId)
+    .sort(byRecentActivity);
+  const knownFolders = new Set(folders.map(folder => folder.id));
+  const dateGroups = groupChatsByDate(
+    visibleChats.filter(chat => !chat.pinned_at && (!chat.folder_id || !knownFolders.has(chat.folder_id)))
+  );
+
   return (
     <div className="relative h-full">
       <button
@@ -202,6 +580,7 @@ const Sidebar = () => {
                 {selectedChats.size} selected
               </span>
               <div className="space-x-2">
+                <ExportMenu chatIds={selectedChats} onExport={exportChats} />
                 <button
                   onClick={() => {
                     deleteChats(selectedChats);
@@ -220,46 +599,138 @@ const Sidebar = () => {
               </div>
             </div>
           ) : (
-            <button
-              onClick={() => {
-                const newChat = createNewChat(null);
-                if (newChat) {
-                  setActiveChat(newChat);
-                  setExpandedChats(prev => new Set(prev).add(newChat.id));
-                }
-              }}
-              className="w-full flex items-center justify-center py-2 px-4 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md transition-colors"
-            >
-              <PlusCircle className="h-4 w-4 mr-2" />
-              <span className="text-sm font-medium">New Chat</span>
-            </button>
+            <div className="relative flex items-center space-x-2">
+              <button
+                onClick={() => setShowPersonaPicker(!showPersonaPicker)}
+                className="flex-1 flex items-center justify-center py-2 px-4 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md transition-colors"
+              >
+                <PlusCircle className="h-4 w-4 mr-2" />
+                <span className="text-sm font-medium">New Chat</span>
+              </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                title="Import chats from JSON"
+                className="p-2 text-gray-400 hover:text-purple-300 bg-gray-700 rounded-md transition-colors"
+              >
+                <Upload className="h-4 w-4" />
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                className="hidden"
+              />
+              {showPersonaPicker && (
+                <div className="absolute left-0 right-0 top-full mt-1 z-50 !ml-0">
+                  <PersonaPicker prompts={prompts} onPick={pickPersona} />
+                </div>
+              )}
+            </div>
           )}
         </div>
         
         <div className="flex-1 overflow-y-auto p-2">
-          <div className="mt-2">
-            <h3 className="px-2 text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">
-              Recent Chats
-            </h3>
-            
-            {(!chats || chats.length === 0) ? (
-              <p className="text-gray-500 text-sm p-2">No chats yet</p>
-            ) : (
-              <div className="space-y-2">
-                {chats.map((chat) => (
-                  <ChatItem 
-                    key={chat.id} 
-                    chat={chat}
-                    isSelected={selectedChats.has(chat.id)}
-                    onSelect={toggleChatSelection}
-                    onDelete={deleteChats}
-                    isExpanded={expandedChats.has(chat.id)}
-                    onToggleExpand={() => toggleChatExpansion(chat.id)}
-                    onRename={updateChatTitle}
-                  />
+          <ChatSearch onActiveChange={setIsSearching} />
+
+          <div className={`mt-2 space-y-4 ${isSearching ? 'hidden' : ''}`}>
+            {tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 px-2">
+                {tags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                    className={`flex items-center px-2 py-0.5 text-xs rounded-full transition-colors ${
+                      activeTag === tag
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                    }`}
+                  >
+                    #{tag}
+                    {activeTag === tag && <X className="h-3 w-3 ml-1" />}
+                  </button>
                 ))}
               </div>
             )}
+
+            {pinnedChats.length > 0 && (
+              <div>
+                <SectionHeading>Pinned</SectionHeading>
+                <div className="space-y-2">{pinnedChats.map(renderChat)}</div>
+              </div>
+            )}
+
+            <div>
+              <div className="flex items-center justify-between pr-1">
+                <SectionHeading>Folders</SectionHeading>
+                <button
+                  onClick={() => setNewFolderName('')}
+                  title="New folder"
+                  className="p-1 mb-2 text-gray-500 hover:text-purple-300 transition-colors"
+                >
+                  <FolderPlus className="h-4 w-4" />
+                </button>
+              </div>
+              {newFolderName !== null && (
+                <form onSubmit={handleCreateFolder} className="px-2 mb-2">
+                  <input
+                    type="text"
+                    value={newFolderName}
+                    onChange={(e) => setNewFolderName(e.target.value)}
+                    onBlur={handleCreateFolder}
+                    onKeyDown={(e) => e.key === 'Escape' && setNewFolderName(null)}
+                    placeholder="Folder name"
+                    className="w-full bg-gray-900 text-white text-sm rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+                    autoFocus
+                  />
+                </form>
+              )}
+              {folders.length === 0 && newFolderName === null ? (
+                <p className="px-2 text-xs text-gray-500">Create a folder, then drag chats onto it</p>
+              ) : (
+                <div className="space-y-1">
+                  {folders.map(folder => {
+                    const inFolder = folderChats(folder.id);
+                    return (
+                      <FolderSection
+                        key={folder.id}
+                        folder={folder}
+                        chatCount={inFolder.length}
+                        isOpen={openFolders.has(folder.id) || dragOver === folder.id}
+                        onToggle={() => toggleFolder(folder.id)}
+                        isDragOver={dragOver === folder.id}
+                        dropProps={dropProps(folder.id)}
+                        onRename={renameFolder}
+                        onDelete={deleteFolder}
+                      >
+                        {inFolder.map(renderChat)}
+                      </FolderSection>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            <div
+              {...dropProps(UNFILED)}
+              className={`min-h-[2rem] rounded-md transition-colors ${dragOver === UNFILED ? 'bg-purple-500/10 ring-1 ring-purple-500/30' : ''}`}
+            >
+              {(!chats || chats.length === 0) ? (
+                <>
+                  <SectionHeading>Recent Chats</SectionHeading>
+                  <p className="text-gray-500 text-sm p-2">No chats yet</p>
+                </>
+              ) : visibleChats.length === 0 ? (
+                <p className="text-gray-500 text-sm p-2">No chats tagged #{activeTag}</p>
+              ) : (
+                dateGroups.map(group => (
+                  <div key={group.label} className="mb-4">
+                    <SectionHeading>{group.label}</SectionHeading>
+                    <div className="space-y-2">{group.chats.map(renderChat)}</div>
+                  </div>
+                ))
+              )}
+            </div>
           </div>
         </div>
         
@@ -269,8 +740,21 @@ const Sidebar = () => {
           </div>
         </div>
       </div>
+
+      {templatePrompt && (
+        <TemplateForm
+          title={`${templatePrompt.emoji || ''} ${templatePrompt.title}`.trim()}
+          template={templatePrompt.system_prompt}
+          onSubmit={(values) => startChat(templatePrompt.id, values)}
+          onCancel={() => setTemplatePrompt(null)}
+        />
+      )}
+
+      {sharingChat && (
+        <ShareDialog chat={sharingChat} onClose={() => setSharingChat(null)} />
+      )}
     </div>
   );
 };
 
-export default Sidebar;
\ No newline at end of file
+export default Sidebar;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Terminal } from 'lucide-react';
+
+// Autocomplete for slash commands: the commands matching what has been typed,
+// then the usage of the chosen one and the values its current argument takes
+export default function SlashCommandMenu({ hint, options, highlighted, onPick }) {
+  if (!hint && options.length === 0) return null;
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-md shadow-lg py-1 max-h-72 overflow-y-auto">
+      {hint && (
+        <p className="flex items-center px-3 py-1.5 text-xs font-mono text-gray-400">
+          <Terminal className="h-3 w-3 mr-2 flex-shrink-0 text-purple-300" />
+          {hint}
+        </p>
+      )}
+      {options.map((option, index) => (
+        <button
+          key={option.value}
+          type="button"
+          // Keep focus in the composer
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onPick(option)}
+          className={`w-full flex items-baseline px-3 py-1.5 text-left text-sm transition-colors ${
+            index === highlighted ? 'bg-gray-700' : 'hover:bg-gray-800'
+          }`}
+        >
+          <span className="font-mono text-purple-200 truncate">{option.label}</span>
+          {option.detail && <span className="ml-3 text-xs text-gray-500 truncate">{option.detail}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
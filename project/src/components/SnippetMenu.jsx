@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Search, Plus, Edit2, Trash2, Braces } from 'lucide-react';
+import { templateVariables } from '../services/templates';
+
+const SnippetEditor = ({ initial, onSave, onCancel }) => {
+  const [title, setTitle] = useState(initial.title || '');
+  const [content, setContent] = useState(initial.content || '');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!title.trim() || !content.trim()) return;
+    await onSave({ title, content });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-2 space-y-2">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Snippet name"
+        autoFocus
+        className="w-full bg-gray-800 text-white text-sm border border-gray-700 rounded-md px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+      />
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        rows={4}
+        placeholder="Text to insert; use {{name}} for parts to fill in"
+        className="w-full bg-gray-800 text-white text-sm border border-gray-700 rounded-md px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500"
+      />
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-xs text-gray-300 rounded-md hover:bg-gray-700 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!title.trim() || !content.trim()}
+          className="px-3 py-1 text-xs bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// The user's snippet library as a popover over the chat input. `draft` is the
+// current input, offered as the content of a new snippet.
+export default function SnippetMenu({ snippets, draft, onInsert, onCreate, onUpdate, onDelete }) {
+  const [query, setQuery] = useState('');
+  // null, 'new' or the snippet being edited
+  const [editing, setEditing] = useState(null);
+
+  const needle = query.trim().toLowerCase();
+  const matches = snippets.filter(snippet =>
+    !needle ||
+    snippet.title.toLowerCase().includes(needle) ||
+    snippet.content.toLowerCase().includes(needle)
+  );
+
+  const handleSave = async (fields) => {
+    const saved = editing === 'new'
+      ? await onCreate(fields)
+      : await onUpdate(editing.id, fields);
+    if (saved) setEditing(null);
+  };
+
+  if (editing) {
+    return (
+      <div className="bg-gray-900 border border-gray-700 rounded-md shadow-lg">
+        <SnippetEditor
+          initial={editing === 'new' ? { content: draft } : editing}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-md shadow-lg p-1">
+      <div className="flex items-center px-2 py-1 border-b border-gray-700">
+        <Search className="w-4 h-4 text-gray-500" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search snippets"
+          autoFocus
+          className="flex-1 ml-2 bg-transparent text-sm text-white placeholder-gray-500 focus:outline-none"
+        />
+      </div>
+      <div className="max-h-64 overflow-y-auto">
+        {matches.length === 0 ? (
+          <p className="p-3 text-sm text-gray-500">
+            {snippets.length === 0 ? 'No snippets yet' : 'No matching snippets'}
+          </p>
+        ) : (
+          matches.map(snippet => (
+            <div key={snippet.id} className="group flex items-start rounded-md hover:bg-gray-700">
+              <button
+                type="button"
+                onClick={() => onInsert(snippet)}
+                className="flex-1 min-w-0 p-2 text-left"
+              >
+                <span className="flex items-center text-sm text-gray-200">
+                  <span className="truncate">{snippet.title}</span>
+                  {templateVariables(snippet.content).length > 0 && (
+                    <Braces className="w-3 h-3 ml-1 flex-shrink-0 text-purple-300" />
+                  )}
+                </span>
+                <span className="block text-xs text-gray-500 truncate">{snippet.content}</span>
+              </button>
+              <div className="flex p-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  onClick={() => setEditing(snippet)}
+                  title="Edit"
+                  className="p-1 text-gray-400 hover:text-purple-300"
+                >
+                  <Edit2 className="w-3 h-3" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(snippet.id)}
+                  title="Delete"
+                  className="p-1 text-gray-400 hover:text-red-400"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={() => setEditing('new')}
+        className="w-full flex items-center p-2 mt-1 border-t border-gray-700 text-sm text-purple-300 hover:text-purple-200"
+      >
+        <Plus className="w-4 h-4 mr-2" />
+        {draft.trim() ? 'Save message as snippet' : 'New snippet'}
+      </button>
+    </div>
+  );
+}
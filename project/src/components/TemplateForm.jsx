@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import { templateVariables, variableLabel, variableInputType } from '../services/templates';
+
+// Form generated from the `{{variables}}` of a persona or snippet; built-in
+// variables such as `{{today}}` are filled in without asking
+export default function TemplateForm({ title, template, submitLabel = 'Start', onSubmit, onCancel }) {
+  const variables = templateVariables(template);
+  const [values, setValues] = useState(() => Object.fromEntries(variables.map(name => [name, ''])));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(values);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onCancel}
+    >
+      <motion.form
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        className="w-full max-w-md bg-gray-800 border border-gray-700 rounded-xl p-6 space-y-4"
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-white truncate">{title}</h2>
+          <button type="button" onClick={onCancel} className="p-1 text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        {variables.map((name, index) => (
+          <label key={name} className="block">
+            <span className="block text-sm text-gray-300 mb-1">{variableLabel(name)}</span>
+            <input
+              type={variableInputType(name)}
+              value={values[name]}
+              onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+              autoFocus={index === 0}
+              required
+              className="w-full bg-gray-900 text-white border border-gray-700 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-purple-500"
+            />
+          </label>
+        ))}
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-300 rounded-md hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </motion.form>
+    </motion.div>
+  );
+}
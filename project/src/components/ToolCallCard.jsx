@@ -0,0 +1,70 @@
+import { CheckSquare, Calendar, Mail, ListTodo, Brain, Check, X, Loader2, AlertTriangle } from 'lucide-react';
+
+const toolLabels = {
+  create_task: { icon: CheckSquare, label: 'Create task' },
+  create_calendar_event: { icon: Calendar, label: 'Schedule event' },
+  send_email: { icon: Mail, label: 'Send email' },
+  save_memory: { icon: Brain, label: 'Remember' },
+  create_asana_task: { icon: ListTodo, label: 'Create Asana task' }
+};
+
+const statusStyles = {
+  completed: 'text-green-300',
+  declined: 'text-gray-400',
+  failed: 'text-red-300'
+};
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default function ToolCallCard({ call, isRunning, disabled, onConfirm, onDecline }) {
+  const { icon: Icon, label } = toolLabels[call.name] || { icon: ListTodo, label: call.name };
+  const isPending = call.status === 'pending';
+
+  return (
+    <div className="mt-2 p-3 bg-black/30 border border-purple-500/30 rounded-lg space-y-2">
+      <div className="flex items-center space-x-2">
+        <Icon className="w-4 h-4 text-purple-300" />
+        <span className="text-sm font-medium text-purple-200">{label}</span>
+      </div>
+
+      <dl className="text-sm space-y-1">
+        {Object.entries(call.arguments || {}).map(([key, value]) => (
+          <div key={key} className="flex space-x-2">
+            <dt className="text-gray-400 capitalize">{key.replace(/_/g, ' ')}:</dt>
+            <dd className="text-gray-200 break-words min-w-0">{formatValue(value)}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {isPending ? (
+        <div className="flex items-center space-x-2 pt-1">
+          <button
+            onClick={onConfirm}
+            disabled={disabled}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+          >
+            {isRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+            <span>Confirm</span>
+          </button>
+          <button
+            onClick={onDecline}
+            disabled={disabled}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-black/30 text-gray-300 rounded-md hover:bg-gray-700 transition-colors disabled:opacity-50"
+          >
+            <X className="w-4 h-4" />
+            <span>Decline</span>
+          </button>
+        </div>
+      ) : (
+        <p className={`flex items-center space-x-1 text-sm ${statusStyles[call.status] || 'text-gray-400'}`}>
+          {call.status === 'failed' ? <AlertTriangle className="w-4 h-4" /> : <Check className="w-4 h-4" />}
+          <span>{call.summary || call.status}</span>
+        </p>
+      )}
+    </div>
+  );
+}
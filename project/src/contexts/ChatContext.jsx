@@ -1,7 +1,19 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import { createClient } from '@supabase/supabase-js';
 import { useAuth } from './AuthContext';
 import { useNotification } from './NotificationContext';
+import {
+  toExportRecord,
+  toMarkdown,
+  toJSON,
+  printChats,
+  downloadFile,
+  exportFilename,
+  parseChatImport
+} from '../services/chatExport';
+import { activeBranch, activate, withMessages } from '../services/messageTree';
+import { fillTemplate } from '../services/templates';
+import { useRealtimeChanges, upsertRow } from '../hooks/useRealtimeChanges';
 
 const supabase = createClient(
   import.meta.env.VITE_SUPABASE_URL,
@@ -10,14 +22,23 @@ const supabase = createClient(
 
 export const ChatContext = createContext();
 
+const byName = (a, b) => a.name.localeCompare(b.name);
+
 export function ChatProvider({ children }) {
   const { user } = useAuth();
   const { addNotification } = useNotification();
   const [chats, setChats] = useState([]);
   const [prompts, setPrompts] = useState([]);
+  const [snippets, setSnippets] = useState([]);
+  const [folders, setFolders] = useState([]);
   const [activeChat, setActiveChat] = useState(null);
   const [selectedChats, setSelectedChats] = useState(new Set());
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  // Last message of each session's active branch, i.e. the parent of the
+  // next message. Kept in a ref so a reply saved right after the user's
+  // message chains onto it before state has re-rendered.
+  const branchLeaves = useRef(new Map());
 
   useEffect(() => {
     if (user) {
@@ -36,13 +57,29 @@ export function ChatProvider({ children }) {
       if (promptsError) throw promptsError;
       setPrompts(promptsData || []);
 
-      // Load chat sessions with their latest message
+      const { data: snippetsData, error: snippetsError } = await supabase
+        .from('prompt_snippets')
+        .select('*')
+        .order('title');
+
+      if (snippetsError) throw snippetsError;
+      setSnippets(snippetsData || []);
+
+      const { data: foldersData, error: foldersError } = await supabase
+        .from('chat_folders')
+        .select('*')
+        .order('name');
+
+      if (foldersError) throw foldersError;
+      setFolders(foldersData || []);
+
+      // Load chat sessions only; messages are fetched per session when it
+      // is opened, so `messages` stays undefined until then
       const { data: chatsData, error: chatsError } = await supabase
         .from('chat_sessions')
         .select(`
           *,
-          prompt:chat_prompts(*),
-          messages:chat_messages(*)
+          prompt:chat_prompts(*)
         `)
         .order('updated_at', { ascending: false });
 
@@ -51,7 +88,7 @@ export function ChatProvider({ children }) {
 
       // Set active chat to the most recent one if none is selected
       if (chatsData?.length > 0 && !activeChat) {
-        setActiveChat(chatsData[0]);
+        openChat(chatsData[0]);
       }
     } catch (error) {
       console.error('Error loading chats and prompts:', error.message);
@@ -61,7 +98,95 @@ export function ChatProvider({ children }) {
     }
   };
 
-  const createNewChat = async (promptId = null) => {
+  const loadMessages = async (chatId) => {
+    try {
+      const { data: messages, error } = await supabase
+        .from('chat_messages')
+        .select('*')
+        .eq('session_id', chatId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const branch = activeBranch(messages);
+      branchLeaves.current.set(chatId, branch[branch.length - 1]?.id || null);
+      setChats(prev => prev.map(chat =>
+        chat.id === chatId ? withMessages(chat, messages) : chat
+      ));
+      setActiveChat(prev => (prev?.id === chatId ? withMessages(prev, messages) : prev));
+      return branch;
+    } catch (error) {
+      console.error('Error loading messages:', error.message);
+      addNotification('Failed to load messages', 'error');
+      return [];
+    }
+  };
+
+  const openChat = (chat) => {
+    setActiveChat(chat);
+    if (chat && !chat.messages) {
+      loadMessages(chat.id);
+    }
+  };
+
+  // Open a chat and ask the transcript to scroll to one of its messages
+  const openMessage = (chatId, messageId = null) => {
+    const chat = chats.find(c => c.id === chatId);
+    if (!chat) return;
+    if (activeChat?.id !== chatId) openChat(chat);
+    setFocusedMessageId(messageId);
+  };
+
+  // Stable, so effects can depend on it
+  const clearFocusedMessage = useCallback(() => {
+    setFocusedMessageId(null);
+  }, []);
+
+  const searchChats = async ({ query, promptId = null, from = null, to = null }) => {
+    try {
+      const { data, error } = await supabase.rpc('search_chat_history', {
+        search_query: query,
+        filter_prompt_id: promptId,
+        from_date: from,
+        to_date: to
+      });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error searching chats:', error.message);
+      addNotification('Search failed', 'error');
+      return [];
+    }
+  };
+
+  // Re-read a session row (e.g. after the API updated its summary) while
+  // keeping the messages already in memory
+  const refreshChat = async (chatId) => {
+    const { data, error } = await supabase
+      .from('chat_sessions')
+      .select('*, prompt:chat_prompts(*)')
+      .eq('id', chatId)
+      .single();
+
+    if (error) {
+      console.error('Error refreshing chat:', error.message);
+      return;
+    }
+
+    setChats(prev => prev.map(chat =>
+      chat.id === chatId ? { ...data, messages: chat.messages, allMessages: chat.allMessages } : chat
+    ));
+    setActiveChat(prev => (
+      prev?.id === chatId ? { ...data, messages: prev.messages, allMessages: prev.allMessages } : prev
+    ));
+  };
+
+  const getBranchLeaf = (chatId) => branchLeaves.current.get(chatId) || null;
+
+  // `variables` fills the persona's `{{placeholders}}`; built-ins such as
+  // `{{today}}` are resolved when the chat starts
+  const createNewChat = async (promptId = null, variables = {}) => {
     try {
       // Only validate promptId if it's not null
       if (promptId !== null && typeof promptId !== 'string') {
@@ -92,18 +217,31 @@ export function ChatProvider({ children }) {
 
       if (error) throw error;
 
-      if (prompt?.instructions) {
-        await supabase
+      // The persona text is copied into the session, so later edits to the
+      // persona don't change conversations already started with it
+      let systemMessage = null;
+      if (prompt?.system_prompt) {
+        const { data, error: messageError } = await supabase
           .from('chat_messages')
           .insert({
             session_id: chat.id,
             role: 'system',
-            content: prompt.instructions
-          });
+            content: fillTemplate(prompt.system_prompt, variables)
+          })
+          .select()
+          .single();
+
+        if (messageError) {
+          // A chat without its persona would answer as the plain assistant
+          await supabase.from('chat_sessions').delete().eq('id', chat.id);
+          throw messageError;
+        }
+        systemMessage = data;
       }
 
-      const newChat = { ...chat, messages: [], prompt };
-      setChats([newChat, ...chats]);
+      branchLeaves.current.set(chat.id, systemMessage?.id || null);
+      const newChat = withMessages({ ...chat, prompt }, systemMessage ? [systemMessage] : []);
+      setChats(prev => [newChat, ...prev.filter(chat => chat.id !== newChat.id)]);
       setActiveChat(newChat);
       return newChat;
     } catch (error) {
@@ -113,15 +251,24 @@ export function ChatProvider({ children }) {
     }
   };
 
-  const createCustomPrompt = async (title, emoji, instructions) => {
+  // Personas: built-in defaults are read-only; user-owned prompts can be
+  // edited, and every edit of their content is kept as a version by the
+  // database.
+  const promptFields = ({ title, emoji, system_prompt, provider, model }) => ({
+    title: title.trim(),
+    emoji: emoji || null,
+    system_prompt: system_prompt.trim(),
+    provider: provider || null,
+    model: model || null
+  });
+
+  const createCustomPrompt = async (fields) => {
     try {
       const { data: prompt, error } = await supabase
         .from('chat_prompts')
         .insert({
+          ...promptFields(fields),
           user_id: user.id,
-          title,
-          emoji,
-          instructions,
           is_default: false
         })
         .select()
@@ -129,41 +276,188 @@ export function ChatProvider({ children }) {
 
       if (error) throw error;
 
-      setPrompts([prompt, ...prompts]);
+      setPrompts(prev => [prompt, ...prev]);
+      addNotification('Persona created', 'success');
       return prompt;
     } catch (error) {
       console.error('Error creating custom prompt:', error.message);
-      addNotification('Failed to create custom prompt', 'error');
+      addNotification('Failed to create persona', 'error');
       return null;
     }
   };
 
-  const addMessage = async (content, role = 'user') => {
-    if (!activeChat) return;
+  const updateCustomPrompt = async (promptId, fields) => {
+    try {
+      const { data: prompt, error } = await supabase
+        .from('chat_prompts')
+        .update(promptFields(fields))
+        .eq('id', promptId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setPrompts(prev => prev.map(p => (p.id === promptId ? prompt : p)));
+      // Sessions embed their prompt for provider/model resolution
+      setChats(prev => prev.map(chat => (chat.prompt_id === promptId ? { ...chat, prompt } : chat)));
+      setActiveChat(prev => (prev?.prompt_id === promptId ? { ...prev, prompt } : prev));
+      addNotification('Persona saved', 'success');
+      return prompt;
+    } catch (error) {
+      console.error('Error updating custom prompt:', error.message);
+      addNotification('Failed to save persona', 'error');
+      return null;
+    }
+  };
+
+  const duplicatePrompt = async (prompt) => {
+    return createCustomPrompt({ ...prompt, title: `${prompt.title} (copy)` });
+  };
+
+  const deleteCustomPrompt = async (promptId) => {
+    try {
+      const { error } = await supabase
+        .from('chat_prompts')
+        .delete()
+        .eq('id', promptId);
+
+      if (error) throw error;
+
+      setPrompts(prev => prev.filter(p => p.id !== promptId));
+      setChats(prev => prev.map(chat =>
+        chat.prompt_id === promptId ? { ...chat, prompt_id: null, prompt: null } : chat
+      ));
+      setActiveChat(prev => (prev?.prompt_id === promptId ? { ...prev, prompt_id: null, prompt: null } : prev));
+      addNotification('Persona deleted', 'success');
+    } catch (error) {
+      console.error('Error deleting custom prompt:', error.message);
+      addNotification('Failed to delete persona', 'error');
+    }
+  };
+
+  const getPromptVersions = async (promptId) => {
+    try {
+      const { data, error } = await supabase
+        .from('chat_prompt_versions')
+        .select('*')
+        .eq('prompt_id', promptId)
+        .order('version', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error loading prompt versions:', error.message);
+      addNotification('Failed to load persona history', 'error');
+      return [];
+    }
+  };
+
+  // Restoring is an edit too, so the replaced content becomes a version
+  const restorePromptVersion = async (version) => {
+    return updateCustomPrompt(version.prompt_id, version);
+  };
+
+  // Snippets: the user's reusable message fragments, inserted from the chat
+  // input
+  const snippetFields = ({ title, content }) => ({
+    title: title.trim(),
+    content: content.trim()
+  });
+
+  const createSnippet = async (fields) => {
+    try {
+      const { data: snippet, error } = await supabase
+        .from('prompt_snippets')
+        .insert({ ...snippetFields(fields), user_id: user.id })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setSnippets(prev => [...prev, snippet].sort((a, b) => a.title.localeCompare(b.title)));
+      addNotification('Snippet saved', 'success');
+      return snippet;
+    } catch (error) {
+      console.error('Error creating snippet:', error.message);
+      addNotification('Failed to save snippet', 'error');
+      return null;
+    }
+  };
+
+  const updateSnippet = async (snippetId, fields) => {
+    try {
+      const { data: snippet, error } = await supabase
+        .from('prompt_snippets')
+        .update(snippetFields(fields))
+        .eq('id', snippetId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setSnippets(prev => prev
+        .map(s => (s.id === snippetId ? snippet : s))
+        .sort((a, b) => a.title.localeCompare(b.title)));
+      return snippet;
+    } catch (error) {
+      console.error('Error updating snippet:', error.message);
+      addNotification('Failed to save snippet', 'error');
+      return null;
+    }
+  };
+
+  const deleteSnippet = async (snippetId) => {
+    try {
+      const { error } = await supabase
+        .from('prompt_snippets')
+        .delete()
+        .eq('id', snippetId);
+
+      if (error) throw error;
+
+      setSnippets(prev => prev.filter(s => s.id !== snippetId));
+    } catch (error) {
+      console.error('Error deleting snippet:', error.message);
+      addNotification('Failed to delete snippet', 'error');
+    }
+  };
+
+  // `fields` carries extra chat_messages columns (e.g. attachments) and may
+  // set `session_id` when the target chat was created in the same handler and
+  // is not yet the rendered activeChat. Without a `parent_id` the message
+  // continues the session's active branch; with one it becomes a new
+  // alternative under that parent.
+  const addMessage = async (content, role = 'user', fields = {}) => {
+    const sessionId = fields.session_id || activeChat?.id;
+    if (!sessionId) return;
 
     try {
       const { data: message, error } = await supabase
         .from('chat_messages')
         .insert({
-          session_id: activeChat.id,
+          session_id: sessionId,
           role,
-          content
+          content,
+          parent_id: getBranchLeaf(sessionId),
+          ...fields
         })
         .select()
         .single();
 
       if (error) throw error;
+      branchLeaves.current.set(sessionId, message.id);
 
-      const updatedChat = {
-        ...activeChat,
-        messages: [...(activeChat.messages || []), message],
+      // Functional updates: a reply is often added right after the user's
+      // message, before this closure's activeChat has re-rendered.
+      const appendMessage = (chat) => ({
+        ...withMessages(chat, activate([...(chat.allMessages || []).filter(m => m.id !== message.id), message], message)),
         updated_at: new Date().toISOString()
-      };
+      });
 
-      setChats(chats.map(chat => 
-        chat.id === activeChat.id ? updatedChat : chat
+      setChats(prev => prev.map(chat =>
+        chat.id === message.session_id ? appendMessage(chat) : chat
       ));
-      setActiveChat(updatedChat);
+      setActiveChat(prev => (prev?.id === message.session_id ? appendMessage(prev) : prev));
 
       return message;
     } catch (error) {
@@ -173,29 +467,336 @@ export function ChatProvider({ children }) {
     }
   };
 
+  const updateMessage = async (messageId, fields) => {
+    try {
+      const { data: message, error } = await supabase
+        .from('chat_messages')
+        .update(fields)
+        .eq('id', messageId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const replaceMessage = (chat) => withMessages(
+        chat,
+        (chat.allMessages || []).map(m => (m.id === messageId ? message : m))
+      );
+
+      setChats(prev => prev.map(chat =>
+        chat.id === message.session_id ? replaceMessage(chat) : chat
+      ));
+      setActiveChat(prev => (prev?.id === message.session_id ? replaceMessage(prev) : prev));
+
+      return message;
+    } catch (error) {
+      console.error('Error updating message:', error.message);
+      addNotification('Failed to update message', 'error');
+      return null;
+    }
+  };
+
+  // A summary that already covers `message` may describe turns of the branch
+  // being left, so it is dropped and rebuilt by the API from the new branch.
+  const resetSummaryFrom = async (message) => {
+    const chat = chats.find(c => c.id === message.session_id);
+    if (!chat?.summary_until || new Date(message.created_at) > new Date(chat.summary_until)) return;
+
+    const changes = { summary: null, summary_until: null };
+    const { error } = await supabase
+      .from('chat_sessions')
+      .update(changes)
+      .eq('id', chat.id);
+
+    if (error) {
+      console.error('Error resetting chat summary:', error.message);
+      return;
+    }
+
+    setChats(prev => prev.map(c => (c.id === chat.id ? { ...c, ...changes } : c)));
+    setActiveChat(prev => (prev?.id === chat.id ? { ...prev, ...changes } : prev));
+  };
+
+  // Save an edited copy of a message as a new alternative next to it. The
+  // caller regenerates the reply from the returned message.
+  const editMessage = async (message, content) => {
+    const edited = await addMessage(content, message.role, {
+      session_id: message.session_id,
+      parent_id: message.parent_id || null,
+      attachments: message.attachments || []
+    });
+    if (edited) await resetSummaryFrom(message);
+    return edited;
+  };
+
+  // Show another alternative of a message, along with the branch below it
+  const selectAlternative = async (message) => {
+    const chat = chats.find(c => c.id === message.session_id);
+    if (!chat) return;
+
+    try {
+      let siblings = supabase
+        .from('chat_messages')
+        .update({ is_active: false })
+        .eq('session_id', message.session_id)
+        .neq('id', message.id);
+      siblings = message.parent_id ? siblings.eq('parent_id', message.parent_id) : siblings.is('parent_id', null);
+
+      const { error: siblingsError } = await siblings;
+      if (siblingsError) throw siblingsError;
+
+      const { error } = await supabase
+        .from('chat_messages')
+        .update({ is_active: true })
+        .eq('id', message.id);
+
+      if (error) throw error;
+
+      const branch = activeBranch(activate(chat.allMessages, message));
+      branchLeaves.current.set(chat.id, branch[branch.length - 1]?.id || null);
+
+      setChats(prev => prev.map(c =>
+        c.id === chat.id ? withMessages(c, activate(c.allMessages, message)) : c
+      ));
+      setActiveChat(prev => (prev?.id === chat.id ? withMessages(prev, activate(prev.allMessages, message)) : prev));
+      await resetSummaryFrom(message);
+    } catch (error) {
+      console.error('Error switching alternative:', error.message);
+      addNotification('Failed to switch message version', 'error');
+    }
+  };
+
+  // Insert `messages` into a session as a single chain, keeping their
+  // timestamps. Ids are generated up front so each row can point at the
+  // previous one in the same insert.
+  const insertMessageChain = async (sessionId, messages) => {
+    if (messages.length === 0) return [];
+
+    const ids = messages.map(() => crypto.randomUUID());
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .insert(messages.map((message, index) => ({
+        id: ids[index],
+        session_id: sessionId,
+        parent_id: index > 0 ? ids[index - 1] : null,
+        role: message.role,
+        content: message.content,
+        attachments: message.attachments || [],
+        metadata: message.metadata || {},
+        ...(message.created_at && { created_at: message.created_at })
+      })))
+      .select();
+
+    if (error) throw error;
+    branchLeaves.current.set(sessionId, ids[ids.length - 1]);
+    return data;
+  };
+
+  // Copy the active branch up to `message` into a new session linked to
+  // the original one, and open it
+  const forkChat = async (message) => {
+    const chat = chats.find(c => c.id === message.session_id);
+    if (!chat?.messages) return null;
+
+    try {
+      const upToMessage = chat.messages.slice(0, chat.messages.findIndex(m => m.id === message.id) + 1);
+      const keepSummary = chat.summary_until && new Date(chat.summary_until) <= new Date(message.created_at);
+
+      const { data: fork, error } = await supabase
+        .from('chat_sessions')
+        .insert({
+          user_id: user.id,
+          prompt_id: chat.prompt_id,
+          title: `${chat.title} (branch)`,
+          provider: chat.provider,
+          model: chat.model,
+          summary: keepSummary ? chat.summary : null,
+          summary_until: keepSummary ? chat.summary_until : null,
+          parent_session_id: chat.id,
+          forked_from_message_id: message.id
+        })
+        .select('*, prompt:chat_prompts(*)')
+        .single();
+
+      if (error) throw error;
+
+      const newChat = withMessages(fork, await insertMessageChain(fork.id, upToMessage));
+      setChats(prev => [newChat, ...prev.filter(chat => chat.id !== newChat.id)]);
+      setActiveChat(newChat);
+      addNotification('Created a new branch', 'success');
+      return newChat;
+    } catch (error) {
+      console.error('Error forking chat:', error.message);
+      addNotification('Failed to create branch', 'error');
+      return null;
+    }
+  };
+
+  // Titles are generated by the server after replies; a title the user
+  // gives is kept from then on
   const updateChatTitle = async (chatId, newTitle) => {
     try {
+      const changes = { title: newTitle, title_source: 'user' };
       const { error } = await supabase
         .from('chat_sessions')
-        .update({ title: newTitle })
+        .update(changes)
         .eq('id', chatId);
 
       if (error) throw error;
 
-      const updatedChats = chats.map(chat =>
-        chat.id === chatId ? { ...chat, title: newTitle } : chat
-      );
-
-      setChats(updatedChats);
-      if (activeChat?.id === chatId) {
-        setActiveChat({ ...activeChat, title: newTitle });
-      }
+      setChats(prev => prev.map(chat =>
+        chat.id === chatId ? { ...chat, ...changes } : chat
+      ));
+      setActiveChat(prev => (prev?.id === chatId ? { ...prev, ...changes } : prev));
     } catch (error) {
       console.error('Error updating chat title:', error.message);
       addNotification('Failed to update chat title', 'error');
     }
   };
 
+  const updateChatSummary = async (chatId, summary) => {
+    try {
+      const changes = { summary: summary.trim() || null };
+      const { error } = await supabase
+        .from('chat_sessions')
+        .update(changes)
+        .eq('id', chatId);
+
+      if (error) throw error;
+
+      setChats(prev => prev.map(chat =>
+        chat.id === chatId ? { ...chat, ...changes } : chat
+      ));
+      setActiveChat(prev => (prev?.id === chatId ? { ...prev, ...changes } : prev));
+      addNotification('Summary saved', 'success');
+    } catch (error) {
+      console.error('Error updating chat summary:', error.message);
+      addNotification('Failed to save summary', 'error');
+    }
+  };
+
+  const updateChatModel = async (chatId, provider, model) => {
+    try {
+      const changes = { provider: provider || null, model: model || null };
+      const { error } = await supabase
+        .from('chat_sessions')
+        .update(changes)
+        .eq('id', chatId);
+
+      if (error) throw error;
+
+      setChats(prev => prev.map(chat =>
+        chat.id === chatId ? { ...chat, ...changes } : chat
+      ));
+      setActiveChat(prev => (prev?.id === chatId ? { ...prev, ...changes } : prev));
+    } catch (error) {
+      console.error('Error updating chat model:', error.message);
+      addNotification('Failed to update model', 'error');
+    }
+  };
+
+  // Folder, pin and tag changes show at once and are rolled back if the
+  // save fails
+  const updateChatOrganization = async (chatId, changes, failureMessage) => {
+    const chat = chats.find(c => c.id === chatId);
+    if (!chat) return;
+    const previous = Object.fromEntries(Object.keys(changes).map(key => [key, chat[key] ?? null]));
+    const apply = (fields) => {
+      setChats(prev => prev.map(c => (c.id === chatId ? { ...c, ...fields } : c)));
+      setActiveChat(prev => (prev?.id === chatId ? { ...prev, ...fields } : prev));
+    };
+
+    apply(changes);
+    try {
+      const { error } = await supabase
+        .from('chat_sessions')
+        .update(changes)
+        .eq('id', chatId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error organizing chat:', error.message);
+      apply(previous);
+      addNotification(failureMessage, 'error');
+    }
+  };
+
+  const moveChatToFolder = (chatId, folderId) =>
+    updateChatOrganization(chatId, { folder_id: folderId || null }, 'Failed to move chat');
+
+  const togglePinChat = (chat) =>
+    updateChatOrganization(
+      chat.id,
+      { pinned_at: chat.pinned_at ? null : new Date().toISOString() },
+      chat.pinned_at ? 'Failed to unpin chat' : 'Failed to pin chat'
+    );
+
+  // Tags are stored lowercase and without duplicates
+  const updateChatTags = (chatId, tags) =>
+    updateChatOrganization(
+      chatId,
+      { tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))] },
+      'Failed to update tags'
+    );
+
+  const createFolder = async (name) => {
+    try {
+      const { data: folder, error } = await supabase
+        .from('chat_folders')
+        .insert({ user_id: user.id, name: name.trim() })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setFolders(prev => upsertRow(prev, folder).sort(byName));
+      return folder;
+    } catch (error) {
+      console.error('Error creating folder:', error.message);
+      addNotification('Failed to create folder', 'error');
+      return null;
+    }
+  };
+
+  const renameFolder = async (folderId, name) => {
+    try {
+      const { data: folder, error } = await supabase
+        .from('chat_folders')
+        .update({ name: name.trim() })
+        .eq('id', folderId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setFolders(prev => upsertRow(prev, folder).sort(byName));
+    } catch (error) {
+      console.error('Error renaming folder:', error.message);
+      addNotification('Failed to rename folder', 'error');
+    }
+  };
+
+  // The database moves the folder's chats out of it (ON DELETE SET NULL)
+  const deleteFolder = async (folderId) => {
+    try {
+      const { error } = await supabase
+        .from('chat_folders')
+        .delete()
+        .eq('id', folderId);
+
+      if (error) throw error;
+
+      setFolders(prev => prev.filter(f => f.id !== folderId));
+      setChats(prev => prev.map(chat =>
+        chat.folder_id === folderId ? { ...chat, folder_id: null } : chat
+      ));
+      setActiveChat(prev => (prev?.folder_id === folderId ? { ...prev, folder_id: null } : prev));
+    } catch (error) {
+      console.error('Error deleting folder:', error.message);
+      addNotification('Failed to delete folder', 'error');
+    }
+  };
+
   const deleteChats = async (chatIds) => {
     try {
       const { error } = await supabase
@@ -209,7 +810,7 @@ export function ChatProvider({ children }) {
       setChats(updatedChats);
 
       if (activeChat && chatIds.has(activeChat.id)) {
-        setActiveChat(updatedChats[0] || null);
+        openChat(updatedChats[0] || null);
       }
 
       setSelectedChats(new Set());
@@ -225,6 +826,214 @@ export function ChatProvider({ children }) {
     }
   };
 
+  // Resolve the given chats with their messages, fetching transcripts that
+  // have not been opened yet
+  const loadChatsForExport = async (chatIds) => {
+    const ids = Array.from(chatIds);
+    const unloaded = chats.filter(chat => ids.includes(chat.id) && !chat.messages).map(chat => chat.id);
+    let fetched = [];
+
+    if (unloaded.length > 0) {
+      const { data, error } = await supabase
+        .from('chat_messages')
+        .select('*')
+        .in('session_id', unloaded)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      fetched = data || [];
+    }
+
+    return chats
+      .filter(chat => ids.includes(chat.id))
+      .map(chat => chat.messages
+        ? chat
+        : withMessages(chat, fetched.filter(m => m.session_id === chat.id)));
+  };
+
+  const exportChats = async (chatIds, format) => {
+    const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+    try {
+      const records = (await loadChatsForExport(chatIds)).map(toExportRecord);
+
+      if (format === 'markdown') {
+        downloadFile(exportFilename(records, 'md'), toMarkdown(records), 'text/markdown');
+      } else if (format === 'json') {
+        downloadFile(exportFilename(records, 'json'), toJSON(records), 'application/json');
+      } else if (format === 'pdf') {
+        printChats(records, printWindow);
+      } else {
+        throw new Error(`Unknown export format: ${format}`);
+      }
+    } catch (error) {
+      printWindow?.close();
+      console.error('Error exporting chats:', error.message);
+      addNotification('Failed to export chats', 'error');
+    }
+  };
+
+  const importChats = async (file) => {
+    try {
+      const imported = parseChatImport(await file.text());
+      const created = [];
+
+      for (const record of imported) {
+        // Personas are matched by title; unknown ones import as plain chats
+        const prompt = record.persona
+          ? prompts.find(p => p.title === record.persona.title) || null
+          : null;
+
+        const { data: chat, error } = await supabase
+          .from('chat_sessions')
+          .insert({
+            user_id: user.id,
+            prompt_id: prompt?.id || null,
+            title: record.title,
+            provider: record.provider || null,
+            model: record.model || null,
+            summary: record.summary || null,
+            ...(record.created_at && { created_at: record.created_at })
+          })
+          .select('*, prompt:chat_prompts(*)')
+          .single();
+
+        if (error) throw error;
+
+        const messages = await insertMessageChain(chat.id, record.messages);
+        created.push(withMessages(chat, messages));
+      }
+
+      setChats(prev => [...created, ...prev.filter(chat => !created.some(c => c.id === chat.id))]);
+      if (created.length > 0) openChat(created[0]);
+      addNotification(`Imported ${created.length} chat${created.length === 1 ? '' : 's'}`, 'success');
+      return created;
+    } catch (error) {
+      console.error('Error importing chats:', error.message);
+      addNotification(`Failed to import chats: ${error.message}`, 'error');
+      return [];
+    }
+  };
+
+  // Realtime: rows changed on another device (or echoes of this device's
+  // own saves, which are applied idempotently). Sessions and messages take
+  // the database's version, which arrives in commit order; messages are
+  // only tracked for chats whose transcript is loaded.
+  const applyFolderChange = ({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      setFolders(prev => prev.filter(f => f.id !== old.id));
+    } else {
+      setFolders(prev => upsertRow(prev, row).sort(byName));
+    }
+  };
+
+  const applySessionChange = ({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      setChats(prev => prev.filter(chat => chat.id !== old.id));
+      setSelectedChats(prev => {
+        if (!prev.has(old.id)) return prev;
+        const next = new Set(prev);
+        next.delete(old.id);
+        return next;
+      });
+      if (activeChat?.id === old.id) {
+        openChat(chats.find(chat => chat.id !== old.id) || null);
+      }
+      return;
+    }
+
+    const prompt = prompts.find(p => p.id === row.prompt_id) || null;
+    const merge = (chat) => ({
+      ...chat,
+      ...row,
+      prompt: chat.prompt_id === row.prompt_id ? chat.prompt : prompt
+    });
+
+    setChats(prev => (prev.some(chat => chat.id === row.id)
+      ? prev.map(chat => (chat.id === row.id ? merge(chat) : chat))
+      : [{ ...row, prompt }, ...prev]));
+    setActiveChat(prev => (prev?.id === row.id ? merge(prev) : prev));
+  };
+
+  // Chats whose branch a realtime change moved. Their leaves are updated
+  // from the rendered state, not inside the state updaters.
+  const movedBranches = useRef(new Set());
+
+  useEffect(() => {
+    if (movedBranches.current.size === 0) return;
+    for (const chat of [...chats, activeChat]) {
+      if (chat?.allMessages && movedBranches.current.has(chat.id)) {
+        branchLeaves.current.set(chat.id, chat.messages[chat.messages.length - 1]?.id || null);
+      }
+    }
+    movedBranches.current.clear();
+  }, [chats, activeChat]);
+
+  const applyMessageChange = ({ eventType, new: row, old }) => {
+    const sessionId = row?.session_id || old?.session_id;
+    const update = (chat) => {
+      if (!chat.allMessages) return chat;
+      if (sessionId && chat.id !== sessionId) return chat;
+
+      let messages = chat.allMessages;
+      if (eventType === 'DELETE') {
+        if (!messages.some(m => m.id === old.id)) return chat;
+        messages = messages.filter(m => m.id !== old.id);
+      } else if (messages.some(m => m.id === row.id)) {
+        messages = messages.map(m => (m.id === row.id ? { ...m, ...row } : m));
+      } else {
+        messages = row.is_active ? activate([...messages, row], row) : [...messages, row];
+      }
+
+      return withMessages(chat, messages);
+    };
+
+    // Deletes carry only the old row's id, so find the chats that held it
+    const affected = sessionId
+      ? [sessionId]
+      : [...chats, activeChat].filter(chat => chat?.allMessages?.some(m => m.id === old.id)).map(chat => chat.id);
+    affected.forEach(id => movedBranches.current.add(id));
+
+    setChats(prev => prev.map(update));
+    setActiveChat(prev => prev && update(prev));
+  };
+
+  // Changes missed while offline: re-read sessions and folders, keeping the
+  // transcripts already loaded, then reload the open one
+  const resyncChats = async () => {
+    try {
+      const [{ data: sessions, error: sessionsError }, { data: foldersData, error: foldersError }] = await Promise.all([
+        supabase.from('chat_sessions').select('*, prompt:chat_prompts(*)').order('updated_at', { ascending: false }),
+        supabase.from('chat_folders').select('*').order('name')
+      ]);
+
+      if (sessionsError) throw sessionsError;
+      if (foldersError) throw foldersError;
+
+      setFolders(foldersData || []);
+      setChats(prev => (sessions || []).map(row => {
+        const loaded = prev.find(chat => chat.id === row.id);
+        return loaded?.allMessages ? { ...row, messages: loaded.messages, allMessages: loaded.allMessages } : row;
+      }));
+      if (activeChat && !sessions?.some(row => row.id === activeChat.id)) {
+        openChat(sessions?.[0] || null);
+      } else if (activeChat) {
+        loadMessages(activeChat.id);
+      }
+    } catch (error) {
+      console.error('Error syncing chats:', error.message);
+    }
+  };
+
+  useRealtimeChanges('chats', ['chat_sessions', 'chat_messages', 'chat_folders'], {
+    enabled: !!user,
+    onChange: (change) => {
+      if (change.table === 'chat_folders') applyFolderChange(change);
+      else if (change.table === 'chat_sessions') applySessionChange(change);
+      else applyMessageChange(change);
+    },
+    onResync: resyncChats
+  });
+
   const toggleChatSelection = (chatId) => {
     setSelectedChats(prev => {
       const newSelection = new Set(prev);
@@ -247,14 +1056,46 @@ export function ChatProvider({ children }) {
         chats,
         activeChat,
         prompts,
+        snippets,
+        folders,
         isLoading,
         selectedChats,
-        setActiveChat,
+        setActiveChat: openChat,
+        focusedMessageId,
+        openMessage,
+        clearFocusedMessage,
+        searchChats,
+        loadMessages,
+        refreshChat,
+        getBranchLeaf,
         createNewChat,
         createCustomPrompt,
+        updateCustomPrompt,
+        duplicatePrompt,
+        deleteCustomPrompt,
+        getPromptVersions,
+        restorePromptVersion,
+        createSnippet,
+        updateSnippet,
+        deleteSnippet,
         addMessage,
+        updateMessage,
+        editMessage,
+        selectAlternative,
+        resetSummaryFrom,
+        forkChat,
         updateChatTitle,
+        updateChatModel,
+        updateChatSummary,
+        moveChatToFolder,
+        togglePinChat,
+        updateChatTags,
+        createFolder,
+        renameFolder,
+        deleteFolder,
         deleteChats,
+        exportChats,
+        importChats,
         toggleChatSelection,
         clearSelection
       }}
@@ -1,17 +1,18 @@
-import { createContext, useState, useContext } from 'react';
+import { createContext, useState, useContext, useCallback } from 'react';
 
 const NotificationContext = createContext();
 
 export function NotificationProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
 
-  const addNotification = (message, type = 'info') => {
+  // Stable, so pages can list it among their hooks' dependencies
+  const addNotification = useCallback((message, type = 'info') => {
     const id = Date.now();
     setNotifications((prev) => [...prev, { id, message, type }]);
     setTimeout(() => {
       setNotifications((prev) => prev.filter((n) => n.id !== id));
     }, 3000); // Auto dismiss after 3 seconds
-  };
+  }, []);
 
   return (
     <NotificationContext.Provider value={{ addNotification }}>
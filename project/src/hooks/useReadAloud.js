@@ -0,0 +1,55 @@
+import { useState, useRef, useEffect } from 'react';
+import {
+  startReading,
+  feedReading,
+  finishReading,
+  pauseReading,
+  resumeReading,
+  skipSentence,
+  stopReading,
+  readingState,
+  subscribeReading
+} from '../services/readAloud';
+
+// Reads each streamed reply aloud as it arrives, while `enabled`. `settings`
+// are the reader's `{ engine, voice, rate, pitch, lang, onError }`, taken
+// when a reply starts. Returns the reading's `isReading` and `isPaused`
+// with its controls.
+export function useReadAloud({ enabled, streamingText, isStreaming, settings }) {
+  const [state, setState] = useState(readingState);
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  // The reply read so far; empty between replies
+  const heard = useRef('');
+
+  useEffect(() => subscribeReading(setState), []);
+
+  // Leaving the chat, or turning reading off, stops it
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return () => {
+      heard.current = '';
+      stopReading();
+    };
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (isStreaming && streamingText) {
+      if (!heard.current) startReading(settingsRef.current);
+      heard.current = streamingText;
+      feedReading(streamingText);
+    } else if (!isStreaming && heard.current) {
+      finishReading(heard.current);
+      heard.current = '';
+    }
+  }, [enabled, isStreaming, streamingText]);
+
+  return {
+    ...state,
+    pause: pauseReading,
+    resume: resumeReading,
+    skip: skipSentence,
+    stop: stopReading
+  };
+}
@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Live row changes of `tables` from any device. `onChange` receives
+// `{ table, eventType, new, old }` for each INSERT, UPDATE or DELETE the
+// user's RLS lets them see (deletes carry only the old row's id).
+// Changes made while the connection was down are not replayed, so
+// `onResync` is called whenever the channel comes back after dropping and
+// should reload from the database.
+export function useRealtimeChanges(name, tables, { onChange, onResync, enabled = true }) {
+  const handlers = useRef({ onChange, onResync });
+  handlers.current = { onChange, onResync };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let dropped = false;
+    const channel = tables.reduce(
+      (ch, table) => ch.on('postgres_changes', { event: '*', schema: 'public', table }, payload => {
+        handlers.current.onChange?.({ table, eventType: payload.eventType, new: payload.new, old: payload.old });
+      }),
+      supabase.channel(`${name}-changes`)
+    );
+
+    channel.subscribe((status) => {
+      if (status === 'SUBSCRIBED') {
+        if (dropped) handlers.current.onResync?.();
+        dropped = false;
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        dropped = true;
+      }
+    });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [name, enabled, tables.join(',')]);
+}
+
+// Last write wins: a change older than the copy already shown is an echo of
+// an earlier save and is ignored
+export function isNewer(incoming, current) {
+  if (!current?.updated_at || !incoming?.updated_at) return true;
+  return new Date(incoming.updated_at) >= new Date(current.updated_at);
+}
+
+// Apply a changed row to a list kept by id
+export function upsertRow(rows, row) {
+  const current = rows.find(r => r.id === row.id);
+  if (!current) return [...rows, row];
+  if (!isNewer(row, current)) return rows;
+  return rows.map(r => (r.id === row.id ? { ...r, ...row } : r));
+}
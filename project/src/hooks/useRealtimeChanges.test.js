@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { isNewer, upsertRow } from './useRealtimeChanges';
+
+describe('isNewer', () => {
+  it('accepts a change at least as recent as the copy shown', () => {
+    expect(isNewer({ updated_at: '2025-04-28T10:01:00Z' }, { updated_at: '2025-04-28T10:00:00Z' })).toBe(true);
+    expect(isNewer({ updated_at: '2025-04-28T10:00:00Z' }, { updated_at: '2025-04-28T10:00:00Z' })).toBe(true);
+  });
+
+  it('rejects an echo of an earlier save', () => {
+    expect(isNewer({ updated_at: '2025-04-28T09:59:00Z' }, { updated_at: '2025-04-28T10:00:00Z' })).toBe(false);
+  });
+
+  it('accepts rows without timestamps', () => {
+    expect(isNewer({ id: 1 }, { id: 1, updated_at: '2025-04-28T10:00:00Z' })).toBe(true);
+    expect(isNewer({ updated_at: '2025-04-28T10:00:00Z' }, undefined)).toBe(true);
+  });
+});
+
+describe('upsertRow', () => {
+  const rows = [
+    { id: 1, title: 'First', updated_at: '2025-04-28T10:00:00Z' },
+    { id: 2, title: 'Second', updated_at: '2025-04-28T10:00:00Z' }
+  ];
+
+  it('appends a row it has not seen', () => {
+    const row = { id: 3, title: 'Third', updated_at: '2025-04-28T10:00:00Z' };
+    expect(upsertRow(rows, row)).toEqual([...rows, row]);
+  });
+
+  it('merges a newer change into the existing row', () => {
+    const updated = upsertRow(rows, { id: 2, title: 'Renamed', updated_at: '2025-04-28T10:05:00Z' });
+    expect(updated[1]).toEqual({ id: 2, title: 'Renamed', updated_at: '2025-04-28T10:05:00Z' });
+    expect(updated[0]).toBe(rows[0]);
+  });
+
+  it('keeps the list as it is for an older change', () => {
+    expect(upsertRow(rows, { id: 1, title: 'Stale', updated_at: '2025-04-28T09:00:00Z' })).toBe(rows);
+  });
+});
@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { createClient } from '@supabase/supabase-js';
+import { useAuth } from '../contexts/AuthContext';
+import { useChat } from '../contexts/ChatContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { parseCommand, commandSuggestions } from '../services/slashCommands';
+import { replyErrorMessage } from '../api/openaiApi';
+import '../services/integrationCommands';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Slash commands for a composer whose text is `input`. Returns the
+// autocomplete for the menu (`hint`, `options`, `highlighted`, `pick`), an
+// `onKeyDown` for the input, and `runCommand(text)`, which resolves with
+// false when the text is not a command and should be sent as a message.
+// `onPersona(prompt)` starts a chat for `/persona`; by default it starts
+// right away, without asking for the persona's variables.
+export function useSlashCommands(input, setInput, { onPersona } = {}) {
+  const { user } = useAuth();
+  const { activeChat, prompts, createNewChat, getBranchLeaf, updateChatSummary, exportChats } = useChat();
+  const { addNotification } = useNotification();
+  const [connected, setConnected] = useState(new Set());
+  const [highlighted, setHighlighted] = useState(0);
+  const [isDismissed, setIsDismissed] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+
+  // Integration commands are offered for connected integrations only
+  useEffect(() => {
+    if (!user) return;
+    supabase
+      .from('integrations')
+      .select('service')
+      .eq('user_id', user.id)
+      .eq('status', 'active')
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('Error loading integrations:', error.message);
+          return;
+        }
+        setConnected(new Set(data.map(integration => integration.service)));
+      });
+  }, [user]);
+
+  useEffect(() => {
+    setHighlighted(0);
+    setIsDismissed(false);
+  }, [input]);
+
+  const context = {
+    user,
+    chat: activeChat,
+    prompts,
+    connected,
+    getBranchLeaf,
+    updateChatSummary,
+    exportChats,
+    startPersona: onPersona || (prompt => createNewChat(prompt.id))
+  };
+
+  const { hint, options } = isDismissed || !input.startsWith('/')
+    ? { hint: null, options: [] }
+    : commandSuggestions(input, context);
+
+  const pick = (option) => {
+    setInput(option.value);
+  };
+
+  // Arrows move through the completions and Tab takes one; Enter does too
+  // while the command name is being typed, otherwise it sends
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape' && (hint || options.length > 0)) {
+      e.preventDefault();
+      setIsDismissed(true);
+      return;
+    }
+    if (options.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : options.length - 1;
+      setHighlighted((highlighted + step) % options.length);
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && !hint && options[highlighted].value.trim() !== input.trim())) {
+      e.preventDefault();
+      pick(options[highlighted]);
+    }
+  };
+
+  const runCommand = async (text) => {
+    let parsed;
+    try {
+      parsed = parseCommand(text, context);
+    } catch (error) {
+      addNotification(error.message, 'error');
+      return true;
+    }
+    if (!parsed) return false;
+
+    const { command, values } = parsed;
+    setIsRunning(true);
+    try {
+      const message = await command.run(values, context);
+      setInput('');
+      if (message) addNotification(message, 'success');
+    } catch (error) {
+      console.error(`Error running /${command.name}:`, error.message);
+      addNotification(replyErrorMessage(error, `Failed to run /${command.name}`), 'error');
+    } finally {
+      setIsRunning(false);
+    }
+    return true;
+  };
+
+  return { hint, options, highlighted, pick, onKeyDown, runCommand, isRunning };
+}
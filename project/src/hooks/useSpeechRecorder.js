@@ -0,0 +1,127 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { transcribeAudio, replyErrorMessage } from '../api/openaiApi';
+
+export const canRecordSpeech = typeof window.MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+// Input level (RMS) above which the microphone counts as hearing speech
+const SPEECH_LEVEL = 0.02;
+const LEVEL_CHECK_MS = 100;
+// Stays under the server's upload limit at typical Opus bitrates
+const MAX_RECORDING_SECONDS = 90;
+
+const MICROPHONE_ERRORS = {
+  NotAllowedError: 'Microphone access was denied',
+  NotFoundError: 'No microphone was found'
+};
+
+// Voice input for browsers without speech recognition: records one
+// utterance with MediaRecorder and has /api/transcribe turn it into text.
+// Recording stops on `stop()`, or once the user has spoken and then been
+// silent for `silenceSeconds`; `onTranscript({ text, language, duration,
+// segments })` receives the result.
+export function useSpeechRecorder({ language, silenceSeconds, onTranscript, onError }) {
+  const [isRecording, setIsRecording] = useState(false);
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const options = useRef({});
+  options.current = { language, silenceSeconds, onTranscript, onError };
+  // The running recording: its recorder, microphone stream, level meter and
+  // whether its audio should be thrown away
+  const session = useRef(null);
+
+  const finish = useCallback((discard) => {
+    const current = session.current;
+    if (!current) return;
+    current.discard = discard;
+    if (current.recorder.state !== 'inactive') current.recorder.stop();
+  }, []);
+
+  const stop = useCallback(() => finish(false), [finish]);
+
+  // Leaving the page drops the recording
+  useEffect(() => () => finish(true), [finish]);
+
+  const transcribe = async (blob) => {
+    setIsTranscribing(true);
+    try {
+      const result = await transcribeAudio(blob, { language: options.current.language });
+      if (result.text) {
+        options.current.onTranscript?.(result);
+      } else {
+        options.current.onError?.('No speech was recognized');
+      }
+    } catch (error) {
+      console.error('Error transcribing speech:', error.message);
+      options.current.onError?.(replyErrorMessage(error, 'Failed to transcribe speech'));
+    } finally {
+      setIsTranscribing(false);
+    }
+  };
+
+  // Stops the recording once speech has been followed by enough silence
+  const watchLevel = (current, stream) => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    current.audioContext = new AudioContext();
+    const analyser = current.audioContext.createAnalyser();
+    current.audioContext.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    let heardSpeech = false;
+    let lastSound = Date.now();
+
+    current.levelTimer = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+      if (level > SPEECH_LEVEL) {
+        heardSpeech = true;
+        lastSound = Date.now();
+      } else if (heardSpeech && Date.now() - lastSound > options.current.silenceSeconds * 1000) {
+        stop();
+      }
+    }, LEVEL_CHECK_MS);
+  };
+
+  const start = async () => {
+    if (!canRecordSpeech) {
+      options.current.onError?.('Voice input is not supported in your browser');
+      return;
+    }
+    if (session.current || isTranscribing) return;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.error('Failed to open the microphone:', error);
+      options.current.onError?.(MICROPHONE_ERRORS[error.name] || 'Failed to start recording');
+      return;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const current = { recorder, discard: false, audioContext: null, levelTimer: null, limitTimer: null };
+    session.current = current;
+
+    recorder.ondataavailable = event => chunks.push(event.data);
+    recorder.onstop = () => {
+      clearInterval(current.levelTimer);
+      clearTimeout(current.limitTimer);
+      current.audioContext?.close();
+      stream.getTracks().forEach(track => track.stop());
+      session.current = null;
+      setIsRecording(false);
+      if (!current.discard && chunks.length > 0) {
+        transcribe(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+      }
+    };
+
+    recorder.start();
+    setIsRecording(true);
+    watchLevel(current, stream);
+    current.limitTimer = setTimeout(stop, MAX_RECORDING_SECONDS * 1000);
+  };
+
+  const toggle = () => (session.current ? stop() : start());
+
+  return { isSupported: canRecordSpeech, isRecording, isTranscribing, start, stop, toggle };
+}
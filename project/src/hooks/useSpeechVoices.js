@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { fetchSpeechVoices } from '../api/openaiApi';
+
+const browserVoices = () => ('speechSynthesis' in window
+  ? window.speechSynthesis.getVoices().map(voice => ({
+    value: voice.voiceURI,
+    label: `${voice.name} (${voice.lang})`
+  }))
+  : []);
+
+// The voices replies can be read in with `engine`, as `{ value, label }`:
+// the browser's synthesizer voices, which some browsers load late, or the
+// ones /api/tts offers
+export function useSpeechVoices(engine) {
+  const [voices, setVoices] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    if (engine !== 'server') {
+      const update = () => setVoices(browserVoices());
+      update();
+      if (!('speechSynthesis' in window)) return undefined;
+      window.speechSynthesis.addEventListener('voiceschanged', update);
+      return () => window.speechSynthesis.removeEventListener('voiceschanged', update);
+    }
+
+    let isCurrent = true;
+    setVoices([]);
+    fetchSpeechVoices()
+      .then(({ voices: names }) => isCurrent && setVoices(names.map(name => ({ value: name, label: name }))))
+      .catch((fetchError) => {
+        console.error('Error loading speech voices:', fetchError.message);
+        if (isCurrent) setError(fetchError);
+      });
+    return () => { isCurrent = false; };
+  }, [engine]);
+
+  return { voices, error };
+}
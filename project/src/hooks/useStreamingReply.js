@@ -0,0 +1,75 @@
+import { useState, useRef, useCallback } from 'react';
+import { useChat } from '../contexts/ChatContext';
+import { streamFromOpenAI, requestChatTitle } from '../api/openaiApi';
+
+export function useStreamingReply() {
+  const { addMessage, refreshChat, getBranchLeaf } = useChat();
+  const [streamingText, setStreamingText] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Streams the next reply for a session and saves it through addMessage
+  // once the stream ends, before the live preview is cleared. Proposed tool
+  // calls are stored on the message as pending until the user answers them;
+  // retrieved tasks and files are stored as the citations the reply refers to,
+  // and the model and token counts the server measured go on the message.
+  // `parentId` defaults to the end of the active branch; passing an earlier
+  // message regenerates the reply that followed it as a new alternative.
+  const streamReply = useCallback(async (sessionId, parentId = getBranchLeaf(sessionId)) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setStreamingText('');
+    setIsStreaming(true);
+
+    try {
+      const { content, toolCalls, summary, citations, usage } = await streamFromOpenAI(sessionId, {
+        leafId: parentId,
+        signal: controller.signal,
+        onToken: (_token, partial) => setStreamingText(partial)
+      });
+      // The server has added this reply to the session totals (and may have
+      // updated its summary); re-read them rather than adding locally, so a
+      // realtime update of the same row can't count the reply twice
+      if (summary || usage) {
+        refreshChat(sessionId);
+      }
+      if (!content && toolCalls.length === 0) return null;
+
+      const metadata = {
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls.map(call => ({ ...call, status: 'pending' })) }),
+        ...(citations.length > 0 && { citations })
+      };
+
+      const reply = await addMessage(content, 'assistant', {
+        session_id: sessionId,
+        parent_id: parentId,
+        ...(Object.keys(metadata).length > 0 && { metadata }),
+        ...(usage && {
+          provider: usage.provider,
+          model: usage.model,
+          prompt_tokens: usage.prompt_tokens,
+          completion_tokens: usage.completion_tokens,
+          cost: usage.cost
+        })
+      });
+
+      // Naming the chat happens in the background; the reply doesn't wait
+      if (reply) {
+        requestChatTitle(sessionId, reply.id)
+          .then(({ updated }) => updated && refreshChat(sessionId))
+          .catch(error => console.error('Error updating chat title:', error.message));
+      }
+      return reply;
+    } finally {
+      controllerRef.current = null;
+      setIsStreaming(false);
+      setStreamingText('');
+    }
+  }, [addMessage, refreshChat, getBranchLeaf]);
+
+  const stopStreaming = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return { streamingText, isStreaming, streamReply, stopStreaming };
+}
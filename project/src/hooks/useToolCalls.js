@@ -0,0 +1,58 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useChat } from '../contexts/ChatContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { executeToolCall } from '../services/assistantTools';
+
+export function useToolCalls() {
+  const { user } = useAuth();
+  const { addMessage, updateMessage } = useChat();
+  const { addNotification } = useNotification();
+  const [runningCalls, setRunningCalls] = useState(new Set());
+
+  // Approve or decline one proposed call on an assistant message. The outcome
+  // is recorded as a `tool` message and on the call itself. Resolves to true
+  // once every call on the message has been answered, so the caller can ask
+  // the assistant to continue.
+  const resolveToolCall = useCallback(async (message, call, approved) => {
+    setRunningCalls(prev => new Set(prev).add(call.id));
+
+    let status = 'declined';
+    let summary = 'The user declined this action.';
+    let result = null;
+
+    try {
+      if (approved) {
+        ({ summary, result } = await executeToolCall(call, user.id, message.session_id));
+        status = 'completed';
+      }
+    } catch (error) {
+      console.error('Error running tool call:', error);
+      addNotification('Failed to complete the action', 'error');
+      status = 'failed';
+      summary = `The action failed: ${error.message}`;
+    }
+
+    try {
+      await addMessage(summary, 'tool', {
+        session_id: message.session_id,
+        metadata: { tool_call_id: call.id, name: call.name, status, result }
+      });
+
+      const toolCalls = message.metadata.tool_calls.map(c =>
+        c.id === call.id ? { ...c, status, summary } : c
+      );
+      await updateMessage(message.id, { metadata: { ...message.metadata, tool_calls: toolCalls } });
+
+      return toolCalls.every(c => c.status !== 'pending');
+    } finally {
+      setRunningCalls(prev => {
+        const next = new Set(prev);
+        next.delete(call.id);
+        return next;
+      });
+    }
+  }, [user, addMessage, updateMessage, addNotification]);
+
+  return { resolveToolCall, runningCalls };
+}
@@ -0,0 +1,128 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { SpeechRecognition, afterWakePhrase } from '../services/speech';
+
+// Recognition errors that would repeat on every restart
+const FATAL_ERRORS = {
+  'not-allowed': 'Microphone access was denied',
+  'service-not-allowed': 'Speech recognition is not allowed in this browser',
+  'audio-capture': 'No microphone was found',
+  'language-not-supported': 'Speech recognition does not support your language'
+};
+const RESTART_DELAY_MS = 250;
+
+// Hands-free voice input. While active the microphone listens continuously:
+// `onInterim(text)` receives the words recognized so far, and once the user
+// has been silent for `silenceSeconds`, `onUtterance(text)` receives the
+// finished utterance. With a `wakePhrase`, speech is ignored until the
+// phrase is heard, and again after every utterance. `onBargeIn()` fires as
+// soon as the user speaks (after the wake phrase), to cut off a reply being
+// read aloud. `onError(message)` reports why voice mode stopped.
+export function useVoiceMode({ language, wakePhrase, silenceSeconds, onInterim, onUtterance, onBargeIn, onError }) {
+  const [isActive, setIsActive] = useState(false);
+  const [isAwake, setIsAwake] = useState(false);
+  const options = useRef({});
+  options.current = { language, wakePhrase, silenceSeconds, onInterim, onUtterance, onBargeIn, onError };
+  // The running session: its recognizer, the final text heard so far and
+  // whether the wake phrase has been said
+  const session = useRef(null);
+
+  const stop = useCallback(() => {
+    const current = session.current;
+    if (!current) return;
+    session.current = null;
+    clearTimeout(current.silenceTimer);
+    current.recognition?.abort();
+    setIsActive(false);
+    setIsAwake(false);
+  }, []);
+
+  useEffect(() => stop, [stop]);
+
+  const finishUtterance = (current, text) => {
+    if (session.current !== current) return;
+    current.heard = '';
+    current.awake = !options.current.wakePhrase;
+    setIsAwake(current.awake);
+    // Start a fresh recognizer so words still being recognized aren't
+    // counted again in the next utterance
+    current.recognition.abort();
+    options.current.onUtterance?.(text);
+  };
+
+  const handleResult = (current, event) => {
+    let final = '';
+    let interim = '';
+    for (let i = event.resultIndex; i < event.results.length; i += 1) {
+      const result = event.results[i];
+      if (result.isFinal) {
+        final += result[0].transcript;
+      } else {
+        interim += result[0].transcript;
+      }
+    }
+
+    const { wakePhrase: phrase, silenceSeconds: silence } = options.current;
+    if (!current.awake) {
+      if (afterWakePhrase(`${final} ${interim}`, phrase) === null) return;
+      current.awake = true;
+      setIsAwake(true);
+    }
+    // The wake phrase itself is not part of what was said
+    const withoutPhrase = text => (phrase ? afterWakePhrase(text, phrase) ?? text : text);
+
+    current.heard = `${current.heard} ${withoutPhrase(final)}`.trim();
+    const text = `${current.heard} ${withoutPhrase(interim)}`.trim();
+    if (!text) return;
+
+    options.current.onBargeIn?.();
+    options.current.onInterim?.(text);
+    clearTimeout(current.silenceTimer);
+    current.silenceTimer = setTimeout(() => finishUtterance(current, text), silence * 1000);
+  };
+
+  const listen = (current) => {
+    if (session.current !== current) return;
+
+    const recognition = new SpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = options.current.language;
+    recognition.onresult = event => handleResult(current, event);
+    recognition.onerror = (event) => {
+      if (event.error in FATAL_ERRORS) {
+        options.current.onError?.(FATAL_ERRORS[event.error]);
+        stop();
+      }
+    };
+    // Browsers end recognition after each utterance or a stretch of silence;
+    // keep listening until voice mode is turned off
+    recognition.onend = () => setTimeout(() => listen(current), RESTART_DELAY_MS);
+    current.recognition = recognition;
+
+    try {
+      recognition.start();
+    } catch (error) {
+      console.error('Failed to start speech recognition:', error);
+      options.current.onError?.('Failed to start listening');
+      stop();
+    }
+  };
+
+  const start = () => {
+    if (!SpeechRecognition) {
+      options.current.onError?.('Speech recognition is not supported in your browser');
+      return;
+    }
+    if (session.current) return;
+
+    const current = { recognition: null, heard: '', awake: !wakePhrase, silenceTimer: null };
+    session.current = current;
+    setIsActive(true);
+    setIsAwake(current.awake);
+    listen(current);
+  };
+
+  const toggle = () => (session.current ? stop() : start());
+
+  return { isSupported: !!SpeechRecognition, isActive, isAwake, start, stop, toggle };
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { createClient } from '@supabase/supabase-js';
+import { useAuth } from '../contexts/AuthContext';
+import { DEFAULT_VOICE_PREFERENCES } from '../services/speech';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// The signed-in user's speech language and voice preferences from their
+// profile, with defaults filled in. `save(changes)` writes `language` and
+// any `voice_preferences` keys; it throws when the save fails.
+export function useVoicePreferences() {
+  const { user } = useAuth();
+  const [language, setLanguage] = useState(null);
+  const [preferences, setPreferences] = useState(DEFAULT_VOICE_PREFERENCES);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user) return;
+    supabase
+      .from('profiles')
+      .select('language, voice_preferences')
+      .eq('id', user.id)
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('Error loading voice preferences:', error.message);
+        } else if (data) {
+          setLanguage(data.language);
+          setPreferences({ ...DEFAULT_VOICE_PREFERENCES, ...data.voice_preferences });
+        }
+        setIsLoading(false);
+      });
+  }, [user]);
+
+  const save = async ({ language: nextLanguage = language, ...changes }) => {
+    const nextPreferences = { ...preferences, ...changes };
+    const { error } = await supabase
+      .from('profiles')
+      .upsert({ id: user.id, language: nextLanguage, voice_preferences: nextPreferences });
+
+    if (error) throw error;
+    setLanguage(nextLanguage);
+    setPreferences(nextPreferences);
+  };
+
+  return { language, preferences, isLoading, save };
+}
@@ -7,6 +7,7 @@ import interactionPlugin from '@fullcalendar/interaction';
 import listPlugin from '@fullcalendar/list';
 import { useTheme } from '../contexts/ThemeContext';
 import { useNotification } from '../contexts/NotificationContext';
+import { useRealtimeChanges } from '../hooks/useRealtimeChanges';
 import { format } from 'date-fns';
 import { 
   Plus, 
@@ -33,6 +34,22 @@ const priorityColors = {
   high: '#ef4444'    // red-500
 };
 
+const toEvent = (task) => ({
+  id: task.id,
+  title: task.title,
+  start: task.deadline,
+  end: task.deadline,
+  backgroundColor: priorityColors[task.priority || 'medium'],
+  borderColor: priorityColors[task.priority || 'medium'],
+  textColor: '#ffffff',
+  extendedProps: {
+    description: task.description,
+    priority: task.priority,
+    category: task.category,
+    status: task.status
+  }
+});
+
 const ViewButton = ({ icon: Icon, label, isActive, onClick }) => (
   <button
     onClick={onClick}
@@ -69,29 +86,27 @@ function Calendar() {
 
       if (error) throw error;
 
-      const formattedTasks = data.map(task => ({
-        id: task.id,
-        title: task.title,
-        start: task.deadline,
-        end: task.deadline,
-        backgroundColor: priorityColors[task.priority || 'medium'],
-        borderColor: priorityColors[task.priority || 'medium'],
-        textColor: '#ffffff',
-        extendedProps: {
-          description: task.description,
-          priority: task.priority,
-          category: task.category,
-          status: task.status
-        }
-      }));
-
-      setTasks(formattedTasks);
+      setTasks(data.map(toEvent));
     } catch (error) {
       console.error('Error loading tasks:', error);
       addNotification('Failed to load tasks', 'error');
     }
   };
 
+  // Deadlines moved or tasks added on other devices
+  useRealtimeChanges('calendar', ['tasks'], {
+    onChange: ({ eventType, new: task, old }) => {
+      if (eventType === 'DELETE') {
+        setTasks(prev => prev.filter(event => event.id !== old.id));
+      } else {
+        setTasks(prev => (prev.some(event => event.id === task.id)
+          ? prev.map(event => (event.id === task.id ? toEvent(task) : event))
+          : [toEvent(task), ...prev]));
+      }
+    },
+    onResync: loadTasks
+  });
+
   const handleEventClick = (info) => {
     setSelectedEvent(info.event);
     setShowEventModal(true);
@@ -121,6 +136,7 @@ function Calendar() {
         .eq('id', event.id);
 
       if (error) throw error;
+      setTasks(prev => prev.map(e => (e.id === event.id ? { ...e, start: event.start, end: event.start } : e)));
       addNotification('Event updated successfully', 'success');
     } catch (error) {
       console.error('Error updating event:', error);
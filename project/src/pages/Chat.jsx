@@ -1,36 +1,96 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Send, Mic, MicOff, Paperclip, X, Loader2, Plus, Calendar, MessageSquare, ChevronDown, ChevronUp } from 'lucide-react';
+import { Send, Square, Mic, MicOff, Paperclip, X, Loader2, Plus, Calendar, MessageSquare, ChevronDown, ChevronUp, GitBranch, BookMarked } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useChat } from '../contexts/ChatContext';
 import { useNotification } from '../contexts/NotificationContext';
+import { useStreamingReply } from '../hooks/useStreamingReply';
+import { useToolCalls } from '../hooks/useToolCalls';
+import { useSlashCommands } from '../hooks/useSlashCommands';
+import { useVoicePreferences } from '../hooks/useVoicePreferences';
+import { useVoiceMode } from '../hooks/useVoiceMode';
+import { useReadAloud } from '../hooks/useReadAloud';
+import { useSpeechRecorder } from '../hooks/useSpeechRecorder';
 import Sidebar from '../components/Sidebar';
+import ModelSelector from '../components/ModelSelector';
+import ReadAloudControls from '../components/ReadAloudControls';
+import ToolCallCard from '../components/ToolCallCard';
+import ConversationSummary from '../components/ConversationSummary';
+import MessageBranchControls from '../components/MessageBranchControls';
+import MarkdownContent from '../components/MarkdownContent';
+import AttachmentPreview from '../components/AttachmentPreview';
+import Citations from '../components/Citations';
+import SnippetMenu from '../components/SnippetMenu';
+import TemplateForm from '../components/TemplateForm';
+import SlashCommandMenu from '../components/SlashCommandMenu';
+import { uploadAttachment, MAX_ATTACHMENT_SIZE } from '../services/attachments';
+import { siblingsOf } from '../services/messageTree';
+import { templateVariables, fillTemplate } from '../services/templates';
+import { replyErrorMessage } from '../api/openaiApi';
+import { speechLanguage, readingVoice, formatSpeechTime } from '../services/speech';
+import { stopReading } from '../services/readAloud';
 
-const MessageBubble = ({ message, isAI, attachment }) => (
+const MessageBubble = ({ id, message, isAI, isFocused, attachments = [], children }) => (
   <motion.div
+    id={id}
     initial={{ opacity: 0, y: 20, scale: 0.95 }}
     animate={{ opacity: 1, y: 0, scale: 1 }}
     className={`flex ${isAI ? 'justify-start' : 'justify-end'} mb-4`}
   >
     <div
-      className={`max-w-[80%] rounded-2xl px-4 py-3 ${
+      className={`max-w-[80%] rounded-2xl px-4 py-3 transition-shadow duration-500 ${
         isAI
           ? 'bg-black/40 text-white border border-purple-500/20'
           : 'bg-purple-500/20 text-white'
-      }`}
+      } ${isFocused ? 'ring-2 ring-purple-400 shadow-lg shadow-purple-500/30' : ''}`}
     >
-      {message}
-      {attachment && (
-        <div className="mt-2 p-2 bg-black/20 rounded-lg">
-          <div className="flex items-center space-x-2">
-            <Paperclip className="w-4 h-4 text-purple-300" />
-            <span className="text-sm text-purple-300">{attachment.name}</span>
-          </div>
-        </div>
-      )}
+      {typeof message === 'string' ? <MarkdownContent content={message} /> : message}
+      {attachments.map((attachment, index) => (
+        <AttachmentPreview key={attachment.path || index} attachment={attachment} />
+      ))}
+      {children}
     </div>
   </motion.div>
 );
 
+const MessageEditor = ({ initialValue, onSave, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (value.trim()) onSave(value.trim());
+      }}
+      className="space-y-2"
+    >
+      <textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        rows={3}
+        autoFocus
+        className="w-full min-w-[16rem] bg-black/30 text-white rounded-lg p-2 focus:outline-none focus:ring-1 focus:ring-purple-500"
+      />
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm text-gray-300 rounded-md hover:bg-gray-700 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!value.trim()}
+          className="px-3 py-1 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+        >
+          Save &amp; regenerate
+        </button>
+      </div>
+    </form>
+  );
+};
+
 const QuickAction = ({ icon: Icon, label, onClick }) => (
   <button
     onClick={onClick}
@@ -41,138 +101,263 @@ const QuickAction = ({ icon: Icon, label, onClick }) => (
   </button>
 );
 
-const simulateAIResponse = async (message) => {
-  await new Promise(resolve => setTimeout(resolve, 1000));
-
-  if (message.toLowerCase().includes('create task') || message.toLowerCase().includes('new task')) {
-    return "I'll help you create a task. What would you like to name it?";
-  }
-  
-  if (message.toLowerCase().includes('schedule') || message.toLowerCase().includes('meeting')) {
-    return "I can help you schedule that. When would you like to schedule it for?";
-  }
-  
-  return "I understand. How else can I assist you with that?";
-};
-
 export default function Chat() {
+  const {
+    chats,
+    activeChat,
+    isLoading,
+    createNewChat,
+    addMessage,
+    updateChatModel,
+    updateChatSummary,
+    focusedMessageId,
+    openMessage,
+    clearFocusedMessage,
+    editMessage,
+    selectAlternative,
+    resetSummaryFrom,
+    forkChat,
+    snippets,
+    createSnippet,
+    updateSnippet,
+    deleteSnippet
+  } = useChat();
   const { user } = useAuth();
   const { addNotification } = useNotification();
-  const [messages, setMessages] = useState([]);
+  const { streamingText, isStreaming, streamReply, stopStreaming } = useStreamingReply();
+  const { resolveToolCall, runningCalls } = useToolCalls();
   const [inputValue, setInputValue] = useState('');
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [isRecording, setIsRecording] = useState(false);
   const [attachment, setAttachment] = useState(null);
+  // What the server transcribed into the composer, sent with the message
+  const [transcript, setTranscript] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
   const [showQuickActions, setShowQuickActions] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [replacingMessageId, setReplacingMessageId] = useState(null);
+  const [showSnippets, setShowSnippets] = useState(false);
+  const [pendingSnippet, setPendingSnippet] = useState(null);
+  // Persona picked with /persona whose `{{variables}}` are being filled in
+  const [pendingPersona, setPendingPersona] = useState(null);
   const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
   const fileInputRef = useRef(null);
-  const recognitionRef = useRef(null);
-  const sliderRef = useRef(null);
-  
+  const { language, preferences: voicePreferences, save: saveVoicePreferences } = useVoicePreferences();
+  const wakePhrase = voicePreferences.wake_phrase_enabled ? voicePreferences.wake_phrase : null;
+  // Hands-free mode: the live transcript fills the composer and is sent once
+  // the user stops talking
+  const voice = useVoiceMode({
+    language: speechLanguage(language),
+    wakePhrase,
+    silenceSeconds: voicePreferences.silence_seconds,
+    onInterim: setInputValue,
+    onUtterance: (text) => {
+      setInputValue(text);
+      handleSend(null, text);
+    },
+    onBargeIn: stopReading,
+    onError: message => addNotification(message, 'error')
+  });
+  // Without speech recognition the microphone records instead, and the
+  // server's transcript lands in the composer to review before sending
+  const recorder = useSpeechRecorder({
+    language: speechLanguage(language),
+    silenceSeconds: voicePreferences.silence_seconds,
+    onTranscript: (result) => {
+      setInputValue(prev => [prev.trim(), result.text].filter(Boolean).join(' '));
+      setTranscript(result);
+      inputRef.current?.focus();
+    },
+    onError: message => addNotification(message, 'error')
+  });
+  const reading = useReadAloud({
+    enabled: voicePreferences.read_aloud,
+    streamingText,
+    isStreaming,
+    settings: {
+      engine: voicePreferences.tts_engine,
+      voice: readingVoice(voicePreferences, activeChat?.prompt_id),
+      rate: voicePreferences.tts_rate,
+      pitch: voicePreferences.tts_pitch,
+      lang: speechLanguage(language),
+      onError: message => addNotification(message, 'error')
+    }
+  });
+  const commands = useSlashCommands(inputValue, setInputValue, {
+    onPersona: async (prompt) => {
+      if (templateVariables(prompt.system_prompt).length > 0) {
+        setPendingPersona(prompt);
+      } else {
+        await createNewChat(prompt.id);
+      }
+    }
+  });
+
+  // System messages carry the persona prompt and tool messages are shown on
+  // the card of the call they answer, so neither is part of the transcript.
+  // While a reply is regenerated, the branch is shown up to the reply being
+  // replaced.
+  const branch = activeChat?.messages || [];
+  const replacingIndex = branch.findIndex(m => m.id === replacingMessageId);
+  const messages = (replacingIndex === -1 ? branch : branch.slice(0, replacingIndex))
+    .filter(m => m.role === 'user' || m.role === 'assistant');
+  const parentChat = activeChat?.parent_session_id
+    ? chats.find(chat => chat.id === activeChat.parent_session_id)
+    : null;
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (!focusedMessageId) scrollToBottom();
+  }, [activeChat?.messages, streamingText, focusedMessageId]);
 
+  // Jump to a message opened from search once its chat has loaded
   useEffect(() => {
-    if (window.webkitSpeechRecognition || window.SpeechRecognition) {
-      const SpeechRecognition = window.webkitSpeechRecognition || window.SpeechRecognition;
-      recognitionRef.current = new SpeechRecognition();
-      recognitionRef.current.continuous = false;
-      recognitionRef.current.interimResults = false;
-
-      recognitionRef.current.onresult = (event) => {
-        const transcript = event.results[0][0].transcript;
-        setInputValue(prev => prev + ' ' + transcript);
-        setIsRecording(false);
-      };
-
-      recognitionRef.current.onerror = (event) => {
-        console.error('Speech recognition error:', event.error);
-        setIsRecording(false);
-        addNotification('Failed to recognize speech', 'error');
-      };
-
-      recognitionRef.current.onend = () => {
-        setIsRecording(false);
-      };
-    }
+    if (!focusedMessageId || !activeChat?.messages) return;
 
-    return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.abort();
-      }
-    };
-  }, []);
+    document.getElementById(`message-${focusedMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timeout = setTimeout(clearFocusedMessage, 3000);
+    return () => clearTimeout(timeout);
+  }, [focusedMessageId, activeChat?.messages, clearFocusedMessage]);
 
-  const toggleRecording = () => {
-    if (!recognitionRef.current) {
-      addNotification('Speech recognition is not supported in your browser', 'error');
-      return;
+  const toggleReadAloud = async () => {
+    try {
+      await saveVoicePreferences({ read_aloud: !voicePreferences.read_aloud });
+    } catch (error) {
+      console.error('Error saving voice preferences:', error.message);
+      addNotification('Failed to save voice preferences', 'error');
     }
+  };
 
-    if (isRecording) {
-      recognitionRef.current.stop();
+  // Insert at the cursor, or replace the selection
+  const insertText = (text) => {
+    const input = inputRef.current;
+    const start = input?.selectionStart ?? inputValue.length;
+    const end = input?.selectionEnd ?? inputValue.length;
+    setInputValue(inputValue.slice(0, start) + text + inputValue.slice(end));
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const handleInsertSnippet = (snippet) => {
+    setShowSnippets(false);
+    if (templateVariables(snippet.content).length > 0) {
+      setPendingSnippet(snippet);
     } else {
-      try {
-        recognitionRef.current.start();
-        setIsRecording(true);
-      } catch (error) {
-        console.error('Failed to start recording:', error);
-        addNotification('Failed to start recording', 'error');
-      }
+      insertText(fillTemplate(snippet.content));
     }
   };
 
   const handleFileSelect = (e) => {
     const file = e.target.files?.[0];
-    if (file) {
-      setAttachment(file);
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      addNotification('Attachments can be at most 20 MB', 'error');
+      return;
     }
+    setAttachment(file);
   };
 
-  const handleSend = async (e) => {
+  // Sends the composer, or `text` when given (a voice utterance)
+  const handleSend = async (e, text = inputValue) => {
     e?.preventDefault();
-    
-    if ((!inputValue.trim() && !attachment) || isProcessing) return;
 
-    const userMessage = inputValue;
+    // Commands run on their own; an attachment stays for the next message
+    if (!commands.isRunning && await commands.runCommand(text)) return;
+
+    if ((!text.trim() && !attachment) || isStreaming || isUploading) return;
+
+    const chat = activeChat || await createNewChat(null);
+    if (!chat) return;
+
+    // Upload before clearing the composer so a failed upload can be retried
+    let attachments = [];
+    if (attachment) {
+      setIsUploading(true);
+      try {
+        attachments = [await uploadAttachment(attachment, user.id)];
+      } catch (error) {
+        console.error('Error uploading attachment:', error.message);
+        addNotification('Failed to upload attachment', 'error');
+        return;
+      } finally {
+        setIsUploading(false);
+      }
+    }
+
+    const userMessage = text.trim() || 'Sent an attachment';
     setInputValue('');
-    setMessages(prev => [...prev, { 
-      text: userMessage || 'Sent an attachment', 
-      isAI: false,
-      attachment: attachment 
-    }]);
     setAttachment(null);
-    setIsProcessing(true);
+    setTranscript(null);
+
+    const saved = await addMessage(userMessage, 'user', {
+      session_id: chat.id,
+      attachments,
+      ...(transcript && {
+        metadata: { transcript: { language: transcript.language, duration: transcript.duration, segments: transcript.segments } }
+      })
+    });
+    if (!saved) return;
 
     try {
-      const response = await simulateAIResponse(userMessage);
-      setMessages(prev => [...prev, { text: response, isAI: true }]);
+      await streamReply(chat.id);
     } catch (error) {
-      addNotification('Failed to process message', 'error');
-    } finally {
-      setIsProcessing(false);
+      console.error('Error getting assistant reply:', error.message);
+      addNotification(replyErrorMessage(error, 'Failed to process message'), 'error');
     }
   };
 
-  const handleQuickAction = (action) => {
-    switch (action) {
-      case 'task':
-        setInputValue('Create a new task: ');
-        break;
-      case 'calendar':
-        setInputValue('Schedule a meeting for ');
-        break;
-      case 'message':
-        setInputValue('Send message to ');
-        break;
+  const handleToolCall = async (message, call, approved) => {
+    const allAnswered = await resolveToolCall(message, call, approved);
+    if (!allAnswered) return;
+
+    try {
+      await streamReply(message.session_id);
+    } catch (error) {
+      console.error('Error getting assistant reply:', error.message);
+      addNotification(replyErrorMessage(error, 'Failed to process message'), 'error');
     }
   };
 
+  const handleEdit = async (message, content) => {
+    setEditingMessageId(null);
+    if (content === message.content) return;
+
+    const edited = await editMessage(message, content);
+    if (!edited) return;
+
+    try {
+      await streamReply(edited.session_id, edited.id);
+    } catch (error) {
+      console.error('Error getting assistant reply:', error.message);
+      addNotification(replyErrorMessage(error, 'Failed to process message'), 'error');
+    }
+  };
+
+  const handleRegenerate = async (message) => {
+    setReplacingMessageId(message.id);
+    try {
+      await resetSummaryFrom(message);
+      await streamReply(message.session_id, message.parent_id);
+    } catch (error) {
+      console.error('Error regenerating reply:', error.message);
+      addNotification(replyErrorMessage(error, 'Failed to regenerate reply'), 'error');
+    } finally {
+      setReplacingMessageId(null);
+    }
+  };
+
+  // Start the matching slash command
+  const handleQuickAction = (command) => {
+    setInputValue(`/${command} `);
+    requestAnimationFrame(() => inputRef.current?.focus());
+  };
+
   return (
     <div className="min-h-screen flex bg-gray-900">
       {/* Sidebar */}
@@ -191,18 +376,94 @@ export default function Chat() {
         </div>
 
         <div className="flex-1 mx-4 mb-4 bg-gray-800 rounded-xl border border-gray-700 overflow-hidden flex flex-col">
+          {activeChat && (
+            <div className="flex items-center justify-between px-6 py-3 border-b border-gray-700">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-300 truncate">{activeChat.title}</p>
+                {parentChat && (
+                  <button
+                    onClick={() => openMessage(parentChat.id, activeChat.forked_from_message_id)}
+                    className="flex items-center space-x-1 text-xs text-gray-500 hover:text-purple-300 transition-colors"
+                  >
+                    <GitBranch className="w-3 h-3" />
+                    <span className="truncate">Branched from {parentChat.title}</span>
+                  </button>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <ReadAloudControls
+                  enabled={voicePreferences.read_aloud}
+                  onToggle={toggleReadAloud}
+                  reading={reading}
+                />
+                <ModelSelector
+                  provider={activeChat.provider}
+                  model={activeChat.model}
+                  onChange={(provider, model) => updateChatModel(activeChat.id, provider, model)}
+                />
+                <ConversationSummary
+                  summary={activeChat.summary}
+                  onSave={(summary) => updateChatSummary(activeChat.id, summary)}
+                />
+              </div>
+            </div>
+          )}
+
           {/* Messages Area */}
           <div className="flex-1 overflow-y-auto p-6">
+            {isLoading || (activeChat && !activeChat.messages) ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 text-purple-300 animate-spin" />
+              </div>
+            ) : messages.length === 0 && !isStreaming && (
+              <p className="text-center text-gray-500 py-8">
+                {activeChat ? 'Send a message to start the mission' : 'Start a new chat by sending a message'}
+              </p>
+            )}
             <AnimatePresence>
-              {messages.map((message, index) => (
+              {messages.map((message) => (
                 <MessageBubble
-                  key={index}
-                  message={message.text}
-                  isAI={message.isAI}
-                  attachment={message.attachment}
-                />
+                  key={message.id}
+                  id={`message-${message.id}`}
+                  isFocused={message.id === focusedMessageId}
+                  message={editingMessageId === message.id ? (
+                    <MessageEditor
+                      initialValue={message.content}
+                      onSave={(content) => handleEdit(message, content)}
+                      onCancel={() => setEditingMessageId(null)}
+                    />
+                  ) : message.content}
+                  isAI={message.role === 'assistant'}
+                  attachments={message.attachments}
+                >
+                  <Citations citations={message.metadata?.citations} />
+                  {message.metadata?.tool_calls?.map(call => (
+                    <ToolCallCard
+                      key={call.id}
+                      call={call}
+                      isRunning={runningCalls.has(call.id)}
+                      disabled={isStreaming || message.metadata.tool_calls.some(c => runningCalls.has(c.id))}
+                      onConfirm={() => handleToolCall(message, call, true)}
+                      onDecline={() => handleToolCall(message, call, false)}
+                    />
+                  ))}
+                  {editingMessageId !== message.id && (
+                    <MessageBranchControls
+                      message={message}
+                      alternatives={siblingsOf(activeChat.allMessages || [], message)}
+                      disabled={isStreaming}
+                      onSelect={selectAlternative}
+                      onEdit={message.role === 'user' ? () => setEditingMessageId(message.id) : null}
+                      onRegenerate={message.role === 'assistant' ? () => handleRegenerate(message) : null}
+                      onFork={() => forkChat(message)}
+                    />
+                  )}
+                </MessageBubble>
               ))}
-              {isProcessing && (
+              {isStreaming && streamingText && (
+                <MessageBubble key="streaming" message={streamingText} isAI />
+              )}
+              {isStreaming && !streamingText && (
                 <motion.div
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
@@ -238,12 +499,12 @@ export default function Chat() {
                       <QuickAction
                         icon={Calendar}
                         label="Schedule Event"
-                        onClick={() => handleQuickAction('calendar')}
+                        onClick={() => handleQuickAction('schedule')}
                       />
                       <QuickAction
                         icon={MessageSquare}
-                        label="Send Message"
-                        onClick={() => handleQuickAction('message')}
+                        label="Send Email"
+                        onClick={() => handleQuickAction('email')}
                       />
                     </div>
                   </motion.div>
@@ -272,43 +533,138 @@ export default function Chat() {
                   </motion.div>
                 )}
 
-                <div className="flex items-center space-x-2">
-                  <div className="flex-1 bg-gray-800 rounded-lg flex items-center">
+                {transcript && (
+                  <motion.div
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -10 }}
+                    className="flex items-center space-x-2 bg-gray-800 p-2 rounded-lg"
+                  >
+                    <Mic className="w-4 h-4 text-purple-300" />
+                    <span
+                      title={transcript.segments.map(segment => `[${formatSpeechTime(segment.start)}] ${segment.text}`).join('\n')}
+                      className="text-sm text-purple-300 flex-1 truncate"
+                    >
+                      Voice note · {formatSpeechTime(transcript.duration)}
+                    </span>
                     <button
                       type="button"
-                      onClick={toggleRecording}
-                      className={`p-4 rounded-l-lg transition-colors duration-300 ${
-                        isRecording
-                          ? 'bg-red-500/20 text-red-300 animate-pulse'
-                          : 'text-purple-300 hover:bg-purple-500/20'
-                      }`}
+                      onClick={() => setTranscript(null)}
+                      className="p-1 hover:text-red-400 transition-colors"
                     >
-                      {isRecording ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+                      <X className="w-4 h-4" />
                     </button>
+                  </motion.div>
+                )}
+
+                <div className="relative flex items-center space-x-2">
+                  <div className="absolute bottom-full left-0 mb-2 w-[32rem] max-w-full z-20">
+                    <SlashCommandMenu
+                      hint={commands.hint}
+                      options={commands.options}
+                      highlighted={commands.highlighted}
+                      onPick={commands.pick}
+                    />
+                  </div>
+                  {showSnippets && (
+                    <div className="absolute bottom-full right-0 mb-2 w-80 z-20">
+                      <SnippetMenu
+                        snippets={snippets}
+                        draft={inputValue}
+                        onInsert={handleInsertSnippet}
+                        onCreate={createSnippet}
+                        onUpdate={updateSnippet}
+                        onDelete={deleteSnippet}
+                      />
+                    </div>
+                  )}
+                  <div className="flex-1 bg-gray-800 rounded-lg flex items-center">
+                    {voice.isSupported || !recorder.isSupported ? (
+                      <button
+                        type="button"
+                        onClick={voice.toggle}
+                        title={voice.isActive ? 'Stop voice mode' : 'Start voice mode'}
+                        className={`p-4 rounded-l-lg transition-colors duration-300 ${
+                          !voice.isActive
+                            ? 'text-purple-300 hover:bg-purple-500/20'
+                            : voice.isAwake
+                              ? 'bg-red-500/20 text-red-300 animate-pulse'
+                              : 'bg-purple-500/20 text-purple-200'
+                        }`}
+                      >
+                        {voice.isActive ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={recorder.toggle}
+                        disabled={recorder.isTranscribing}
+                        title={recorder.isRecording ? 'Stop recording' : 'Record a voice message'}
+                        className={`p-4 rounded-l-lg transition-colors duration-300 disabled:cursor-wait ${
+                          recorder.isRecording
+                            ? 'bg-red-500/20 text-red-300 animate-pulse'
+                            : 'text-purple-300 hover:bg-purple-500/20'
+                        }`}
+                      >
+                        {recorder.isTranscribing
+                          ? <Loader2 className="w-5 h-5 animate-spin" />
+                          : recorder.isRecording ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+                      </button>
+                    )}
 
                     <input
+                      ref={inputRef}
                       type="text"
                       value={inputValue}
                       onChange={(e) => setInputValue(e.target.value)}
-                      placeholder="Type your message..."
+                      onKeyDown={commands.onKeyDown}
+                      placeholder={recorder.isRecording
+                        ? 'Recording... pause or tap the microphone to finish'
+                        : recorder.isTranscribing
+                          ? 'Transcribing...'
+                          : !voice.isActive
+                            ? 'Type your message, or / for commands...'
+                            : voice.isAwake ? 'Listening...' : `Say "${wakePhrase}" to start talking`}
                       className="flex-1 bg-transparent text-white placeholder-gray-400 focus:outline-none text-lg px-4"
                     />
 
                     <button
                       type="button"
-                      onClick={() => fileInputRef.current?.click()}
-                      className="p-4 text-purple-300 hover:bg-purple-500/20 transition-colors duration-300"
+                      onClick={() => setShowSnippets(!showSnippets)}
+                      title="Snippets"
+                      className={`p-4 transition-colors duration-300 ${
+                        showSnippets ? 'bg-purple-500/20 text-purple-200' : 'text-purple-300 hover:bg-purple-500/20'
+                      }`}
                     >
-                      <Paperclip className="w-5 h-5" />
+                      <BookMarked className="w-5 h-5" />
                     </button>
 
                     <button
-                      type="submit"
-                      disabled={(!inputValue.trim() && !attachment) || isProcessing}
-                      className="p-4 text-purple-300 hover:bg-purple-500/20 transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed rounded-r-lg"
+                      type="button"
+                      onClick={() => fileInputRef.current?.click()}
+                      className="p-4 text-purple-300 hover:bg-purple-500/20 transition-colors duration-300"
                     >
-                      <Send className="w-5 h-5" />
+                      <Paperclip className="w-5 h-5" />
                     </button>
+
+                    {isStreaming ? (
+                      <button
+                        type="button"
+                        onClick={stopStreaming}
+                        title="Stop generating"
+                        className="p-4 text-red-300 hover:bg-red-500/20 transition-colors duration-300 rounded-r-lg"
+                      >
+                        <Square className="w-5 h-5" />
+                      </button>
+                    ) : (
+                      <button
+                        type="submit"
+                        disabled={(!inputValue.trim() && !attachment) || isUploading || commands.isRunning}
+                        className="p-4 text-purple-300 hover:bg-purple-500/20 transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed rounded-r-lg"
+                      >
+                        {isUploading || commands.isRunning ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />}
+                      </button>
+                    )}
                   </div>
 
                   <button
@@ -331,6 +687,32 @@ export default function Chat() {
         onChange={handleFileSelect}
         className="hidden"
       />
+
+      <AnimatePresence>
+        {pendingSnippet && (
+          <TemplateForm
+            title={pendingSnippet.title}
+            template={pendingSnippet.content}
+            submitLabel="Insert"
+            onSubmit={(values) => {
+              insertText(fillTemplate(pendingSnippet.content, values));
+              setPendingSnippet(null);
+            }}
+            onCancel={() => setPendingSnippet(null)}
+          />
+        )}
+        {pendingPersona && (
+          <TemplateForm
+            title={`${pendingPersona.emoji || ''} ${pendingPersona.title}`.trim()}
+            template={pendingPersona.system_prompt}
+            onSubmit={(values) => {
+              createNewChat(pendingPersona.id, values);
+              setPendingPersona(null);
+            }}
+            onCancel={() => setPendingPersona(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
\ No newline at end of file
@@ -1,15 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Check, ExternalLink, Star, X, Monitor, Smartphone, Grid, List } from 'lucide-react';
 import { createClient } from '@supabase/supabase-js';
 import { useAuth } from '../contexts/AuthContext';
 import { useNotification } from '../contexts/NotificationContext';
+import { useRealtimeChanges } from '../hooks/useRealtimeChanges';
 
 const supabase = createClient(
   import.meta.env.VITE_SUPABASE_URL,
   import.meta.env.VITE_SUPABASE_ANON_KEY
 );
 
+// Copy of `set` with `item` added or removed
+const withItem = (set, item, present) => {
+  const next = new Set(set);
+  if (present) {
+    next.add(item);
+  } else {
+    next.delete(item);
+  }
+  return next;
+};
+
 const integrations = {
   apps: [
     {
@@ -345,44 +357,61 @@ export default function Integrations() {
   const [filter, setFilter] = useState('all');
   const [isListView, setIsListView] = useState(false);
 
-  useEffect(() => {
-    const loadUserPreferences = async () => {
-      try {
-        const { data, error } = await supabase
-          .from('integrations')
-          .select('service, status, pinned')
-          .eq('user_id', user.id);
+  // Integration row ids by service; realtime deletes only carry the id
+  const servicesById = useRef(new Map());
 
-        if (error) throw error;
+  const applyIntegration = (integration) => {
+    servicesById.current.set(integration.id, integration.service);
+    setConnectedApps(prev => withItem(prev, integration.service, integration.status === 'active'));
+    setPinnedApps(prev => withItem(prev, integration.service, integration.pinned));
+  };
 
-        const connected = new Set();
-        const pinned = new Set();
+  const loadUserPreferences = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('integrations')
+        .select('id, service, status, pinned')
+        .eq('user_id', user.id);
 
-        data.forEach(integration => {
-          if (integration.status === 'active') {
-            connected.add(integration.service);
-          }
-          if (integration.pinned) {
-            pinned.add(integration.service);
-          }
-        });
+      if (error) throw error;
 
-        setConnectedApps(connected);
-        setPinnedApps(pinned);
-      } catch (error) {
-        console.error('Error loading integrations:', error);
-        addNotification('Failed to load integrations', 'error');
-      } finally {
-        setIsLoading(false);
-      }
-    };
+      servicesById.current = new Map(data.map(integration => [integration.id, integration.service]));
+      setConnectedApps(new Set(data.filter(i => i.status === 'active').map(i => i.service)));
+      setPinnedApps(new Set(data.filter(i => i.pinned).map(i => i.service)));
+    } catch (error) {
+      console.error('Error loading integrations:', error);
+      addNotification('Failed to load integrations', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, addNotification]);
 
+  useEffect(() => {
     if (user) {
       loadUserPreferences();
     }
-  }, [user]);
+  }, [user, loadUserPreferences]);
+
+  // Connections and favorites changed on other devices
+  useRealtimeChanges('integrations', ['integrations'], {
+    enabled: !!user,
+    onChange: ({ eventType, new: integration, old }) => {
+      if (eventType !== 'DELETE') {
+        applyIntegration(integration);
+        return;
+      }
+      const service = servicesById.current.get(old.id);
+      if (!service) return;
+      servicesById.current.delete(old.id);
+      setConnectedApps(prev => withItem(prev, service, false));
+      setPinnedApps(prev => withItem(prev, service, false));
+    },
+    onResync: loadUserPreferences
+  });
 
+  // Changes show at once and are undone if the save fails
   const handleConnect = async (appId) => {
+    setConnectedApps(prev => withItem(prev, appId, true));
     try {
       const { error } = await supabase
         .from('integrations')
@@ -395,20 +424,16 @@ export default function Integrations() {
         });
 
       if (error) throw error;
-
-      setConnectedApps(prev => {
-        const newSet = new Set(prev);
-        newSet.add(appId);
-        return newSet;
-      });
       addNotification('Integration connected successfully', 'success');
     } catch (error) {
       console.error('Error connecting integration:', error);
+      setConnectedApps(prev => withItem(prev, appId, false));
       addNotification('Failed to connect integration', 'error');
     }
   };
 
   const handleDisconnect = async (appId) => {
+    setConnectedApps(prev => withItem(prev, appId, false));
     try {
       const { error } = await supabase
         .from('integrations')
@@ -420,23 +445,19 @@ export default function Integrations() {
         .eq('service', appId);
 
       if (error) throw error;
-
-      setConnectedApps(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(appId);
-        return newSet;
-      });
       addNotification('Integration disconnected successfully', 'success');
     } catch (error) {
       console.error('Error disconnecting integration:', error);
+      setConnectedApps(prev => withItem(prev, appId, true));
       addNotification('Failed to disconnect integration', 'error');
     }
   };
 
   const handleTogglePin = async (appId) => {
+    const newPinned = !pinnedApps.has(appId);
+    setPinnedApps(prev => withItem(prev, appId, newPinned));
+
     try {
-      const newPinned = !pinnedApps.has(appId);
-      
       const { data: existingIntegrations, error: queryError } = await supabase
         .from('integrations')
         .select('id')
@@ -473,19 +494,10 @@ export default function Integrations() {
         if (updateError) throw updateError;
       }
 
-      setPinnedApps(prev => {
-        const newSet = new Set(prev);
-        if (newPinned) {
-          newSet.add(appId);
-          addNotification('Integration pinned to favorites', 'success');
-        } else {
-          newSet.delete(appId);
-          addNotification('Integration unpinned from favorites', 'success');
-        }
-        return newSet;
-      });
+      addNotification(newPinned ? 'Integration pinned to favorites' : 'Integration unpinned from favorites', 'success');
     } catch (error) {
       console.error('Error updating pin status:', error);
+      setPinnedApps(prev => withItem(prev, appId, !newPinned));
       addNotification('Failed to update pin status', 'error');
     }
   };
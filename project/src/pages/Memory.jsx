@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { createClient } from '@supabase/supabase-js';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { ArrowLeft, Brain, Plus, Search, Edit2, Trash2, Check, X, Sparkles, User } from 'lucide-react';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+const inputClass = 'w-full bg-black/30 border border-purple-500/20 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const MemoryItem = ({ memory, onSave, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [content, setContent] = useState(memory.content);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const handleSave = async () => {
+    if (!content.trim()) return;
+    if (await onSave(memory.id, content)) setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (confirmDelete) {
+      onDelete(memory.id);
+    } else {
+      setConfirmDelete(true);
+      setTimeout(() => setConfirmDelete(false), 3000);
+    }
+  };
+
+  const SourceIcon = memory.source === 'assistant' ? Sparkles : User;
+
+  return (
+    <li className="p-4 bg-black/20 border border-purple-500/10 rounded-lg">
+      {isEditing ? (
+        <div className="space-y-2">
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            rows={2}
+            autoFocus
+            className={inputClass}
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => {
+                setContent(memory.content);
+                setIsEditing(false);
+              }}
+              className="p-2 text-gray-400 hover:text-gray-300 transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!content.trim()}
+              className="p-2 text-green-400 hover:text-green-300 transition-colors disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-start space-x-3">
+          <p className="flex-1 text-gray-200 whitespace-pre-wrap">{memory.content}</p>
+          <button
+            onClick={() => setIsEditing(true)}
+            title="Edit"
+            className="p-1 text-gray-400 hover:text-purple-300 transition-colors"
+          >
+            <Edit2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={handleDelete}
+            title="Delete"
+            className={`p-1 rounded transition-colors ${
+              confirmDelete ? 'bg-red-500/20 text-red-400' : 'text-gray-400 hover:text-red-400'
+            }`}
+          >
+            {confirmDelete ? <Check className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+          </button>
+        </div>
+      )}
+      <p className="flex items-center mt-2 text-xs text-gray-500">
+        <SourceIcon className="w-3 h-3 mr-1" />
+        {memory.source === 'assistant'
+          ? `Learned${memory.session?.title ? ` in "${memory.session.title}"` : ' in a chat'}`
+          : 'Added by you'}
+        {' · '}
+        {new Date(memory.updated_at || memory.created_at).toLocaleDateString()}
+      </p>
+    </li>
+  );
+};
+
+// Settings > Memory: everything the assistant remembers about the user
+// across chats. Relevant memories are added to each conversation by the API.
+export default function Memory() {
+  const { user } = useAuth();
+  const { addNotification } = useNotification();
+  const [memories, setMemories] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [newMemory, setNewMemory] = useState('');
+
+  const loadMemories = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('user_memories')
+        .select('id, content, source, session_id, created_at, updated_at, session:chat_sessions(title)')
+        .order('updated_at', { ascending: false });
+
+      if (error) throw error;
+      setMemories(data || []);
+    } catch (error) {
+      console.error('Error loading memories:', error);
+      addNotification('Failed to load memories', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [addNotification]);
+
+  useEffect(() => {
+    if (user) {
+      loadMemories();
+    }
+  }, [user, loadMemories]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newMemory.trim()) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('user_memories')
+        .insert({ user_id: user.id, content: newMemory.trim(), source: 'user' })
+        .select('id, content, source, session_id, created_at, updated_at')
+        .single();
+
+      if (error) throw error;
+      setMemories(prev => [data, ...prev]);
+      setNewMemory('');
+    } catch (error) {
+      console.error('Error adding memory:', error);
+      addNotification('Failed to add memory', 'error');
+    }
+  };
+
+  const handleSave = async (memoryId, content) => {
+    try {
+      const { data, error } = await supabase
+        .from('user_memories')
+        .update({ content: content.trim() })
+        .eq('id', memoryId)
+        .select('id, content, source, session_id, created_at, updated_at, session:chat_sessions(title)')
+        .single();
+
+      if (error) throw error;
+      setMemories(prev => prev.map(m => (m.id === memoryId ? data : m)));
+      return true;
+    } catch (error) {
+      console.error('Error updating memory:', error);
+      addNotification('Failed to update memory', 'error');
+      return false;
+    }
+  };
+
+  const handleDelete = async (memoryId) => {
+    try {
+      const { error } = await supabase
+        .from('user_memories')
+        .delete()
+        .eq('id', memoryId);
+
+      if (error) throw error;
+      setMemories(prev => prev.filter(m => m.id !== memoryId));
+    } catch (error) {
+      console.error('Error deleting memory:', error);
+      addNotification('Failed to delete memory', 'error');
+    }
+  };
+
+  const needle = query.trim().toLowerCase();
+  const visible = memories.filter(m => !needle || m.content.toLowerCase().includes(needle));
+
+  return (
+    <div className="min-h-screen p-6 relative" style={{
+      backgroundImage: "url('https://images.pexels.com/photos/2150/sky-space-dark-galaxy.jpg?auto=compress&cs=tinysrgb&w=1920')",
+      backgroundSize: 'cover',
+      backgroundPosition: 'center',
+      backgroundRepeat: 'no-repeat'
+    }}>
+      <div className="absolute inset-0 bg-black/25 dark:bg-black/60" />
+
+      <div className="relative z-10 max-w-4xl mx-auto space-y-6">
+        <div className="flex items-center space-x-3">
+          <Link to="/settings" className="p-2 rounded-lg text-gray-300 hover:text-white hover:bg-black/30 transition-colors">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-blue-400">
+            Memory
+          </h1>
+        </div>
+
+        <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 space-y-6">
+          <p className="flex items-start text-sm text-gray-300">
+            <Brain className="w-5 h-5 mr-2 flex-shrink-0 text-purple-300" />
+            The assistant brings these facts into conversations where they are relevant.
+            It asks before remembering something new; you can also add, edit and delete them here.
+          </p>
+
+          <form onSubmit={handleAdd} className="flex items-start space-x-2">
+            <textarea
+              value={newMemory}
+              onChange={(e) => setNewMemory(e.target.value)}
+              rows={2}
+              placeholder="e.g. I prefer meetings after 10am on weekdays"
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={!newMemory.trim()}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add</span>
+            </button>
+          </form>
+
+          {memories.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <Search className="w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search memories"
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {isLoading ? (
+            <p className="text-gray-400">Loading memories...</p>
+          ) : visible.length === 0 ? (
+            <p className="text-gray-400">
+              {memories.length === 0 ? 'Nothing remembered yet.' : 'No memories match your search.'}
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {visible.map(memory => (
+                <MemoryItem
+                  key={memory.id}
+                  memory={memory}
+                  onSave={handleSave}
+                  onDelete={handleDelete}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,336 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeft, Plus, Edit2, Copy, Trash2, History, MessageSquare, Check, X, RotateCcw, Loader2 } from 'lucide-react';
+import { useChat } from '../contexts/ChatContext';
+import ModelSelector from '../components/ModelSelector';
+import TemplateForm from '../components/TemplateForm';
+import { templateVariables } from '../services/templates';
+
+const emptyPersona = { title: '', emoji: '🤖', system_prompt: '', provider: null, model: null };
+
+const PersonaEditor = ({ initial, onSave, onCancel }) => {
+  const [persona, setPersona] = useState({ ...emptyPersona, ...initial });
+  const [isSaving, setIsSaving] = useState(false);
+  const canSave = persona.title.trim() && persona.system_prompt.trim();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    setIsSaving(true);
+    await onSave(persona);
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex space-x-3">
+        <input
+          type="text"
+          value={persona.emoji || ''}
+          onChange={(e) => setPersona({ ...persona, emoji: e.target.value })}
+          maxLength={4}
+          className="w-14 text-center text-xl bg-gray-900 border border-gray-700 rounded-md focus:outline-none focus:ring-1 focus:ring-purple-500"
+        />
+        <input
+          type="text"
+          value={persona.title}
+          onChange={(e) => setPersona({ ...persona, title: e.target.value })}
+          placeholder="Persona name"
+          className="flex-1 bg-gray-900 text-white border border-gray-700 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-purple-500"
+        />
+      </div>
+      <textarea
+        value={persona.system_prompt}
+        onChange={(e) => setPersona({ ...persona, system_prompt: e.target.value })}
+        rows={8}
+        placeholder="You are a helpful assistant that... Use {{client_name}} for details to fill in when a chat starts; {{today}} is filled in automatically."
+        className="w-full bg-gray-900 text-white border border-gray-700 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-purple-500"
+      />
+      <ModelSelector
+        provider={persona.provider}
+        model={persona.model}
+        defaultLabel="Deployment default"
+        onChange={(provider, model) => setPersona({ ...persona, provider, model })}
+      />
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm text-gray-300 rounded-md hover:bg-gray-700 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!canSave || isSaving}
+          className="flex items-center px-4 py-2 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+        >
+          {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const VersionHistory = ({ prompt, versions, onRestore }) => (
+  <div className="space-y-3">
+    <div className="p-3 bg-purple-500/10 border border-purple-500/30 rounded-md">
+      <p className="text-xs text-purple-300 mb-1">Current · v{prompt.version}</p>
+      <p className="text-sm text-gray-300 whitespace-pre-wrap">{prompt.system_prompt}</p>
+    </div>
+    {versions === null ? (
+      <div className="flex justify-center py-4">
+        <Loader2 className="w-5 h-5 text-purple-300 animate-spin" />
+      </div>
+    ) : versions.length === 0 ? (
+      <p className="text-sm text-gray-500">No earlier versions</p>
+    ) : (
+      versions.map(version => (
+        <div key={version.id} className="p-3 bg-gray-900 border border-gray-700 rounded-md">
+          <div className="flex items-center justify-between mb-1">
+            <p className="text-xs text-gray-400">
+              v{version.version} · {version.emoji} {version.title} · {new Date(version.created_at).toLocaleString()}
+            </p>
+            <button
+              onClick={() => onRestore(version)}
+              className="flex items-center text-xs text-purple-300 hover:text-purple-200"
+            >
+              <RotateCcw className="w-3 h-3 mr-1" />
+              Restore
+            </button>
+          </div>
+          <p className="text-sm text-gray-300 whitespace-pre-wrap">{version.system_prompt}</p>
+        </div>
+      ))
+    )}
+  </div>
+);
+
+const PersonaCard = ({ prompt, onStartChat, onEdit, onDuplicate, onDelete, onHistory }) => {
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const handleDelete = () => {
+    if (confirmDelete) {
+      onDelete();
+    } else {
+      setConfirmDelete(true);
+      setTimeout(() => setConfirmDelete(false), 3000);
+    }
+  };
+
+  const actionClass = 'p-2 rounded-md text-gray-400 hover:text-purple-300 hover:bg-gray-700 transition-colors';
+
+  return (
+    <div className="p-4 bg-gray-800 border border-gray-700 rounded-xl flex flex-col">
+      <div className="flex items-center space-x-2 mb-2">
+        <span className="text-2xl">{prompt.emoji}</span>
+        <h3 className="flex-1 font-medium text-white truncate">{prompt.title}</h3>
+        {!prompt.is_default && <span className="text-xs text-gray-500">v{prompt.version}</span>}
+      </div>
+      <p className="flex-1 text-sm text-gray-400 line-clamp-3 mb-3">{prompt.system_prompt}</p>
+      {prompt.provider && (
+        <p className="text-xs text-gray-500 mb-2">{prompt.provider}{prompt.model ? ` · ${prompt.model}` : ''}</p>
+      )}
+      <div className="flex items-center space-x-1">
+        <button
+          onClick={onStartChat}
+          className="flex items-center px-3 py-1.5 mr-auto text-sm bg-purple-600/80 text-white rounded-md hover:bg-purple-600 transition-colors"
+        >
+          <MessageSquare className="w-4 h-4 mr-1" />
+          Chat
+        </button>
+        {!prompt.is_default && (
+          <button onClick={onEdit} title="Edit" className={actionClass}>
+            <Edit2 className="w-4 h-4" />
+          </button>
+        )}
+        <button onClick={onDuplicate} title="Duplicate" className={actionClass}>
+          <Copy className="w-4 h-4" />
+        </button>
+        {!prompt.is_default && (
+          <>
+            <button onClick={onHistory} title="Version history" className={actionClass}>
+              <History className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleDelete}
+              title="Delete"
+              className={`p-2 rounded-md transition-colors ${
+                confirmDelete ? 'bg-red-500/20 text-red-400' : 'text-gray-400 hover:text-red-400 hover:bg-gray-700'
+              }`}
+            >
+              {confirmDelete ? <Check className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default function Personas() {
+  const {
+    prompts,
+    isLoading,
+    createNewChat,
+    createCustomPrompt,
+    updateCustomPrompt,
+    duplicatePrompt,
+    deleteCustomPrompt,
+    getPromptVersions,
+    restorePromptVersion
+  } = useChat();
+  const navigate = useNavigate();
+  // { mode: 'create' | 'edit' | 'history', prompt, versions }
+  const [panel, setPanel] = useState(null);
+  const [templatePrompt, setTemplatePrompt] = useState(null);
+
+  const ownPrompts = prompts.filter(prompt => !prompt.is_default);
+  const defaultPrompts = prompts.filter(prompt => prompt.is_default);
+
+  const startChat = async (prompt, variables) => {
+    if (!variables && templateVariables(prompt.system_prompt).length > 0) {
+      setTemplatePrompt(prompt);
+      return;
+    }
+    setTemplatePrompt(null);
+    const chat = await createNewChat(prompt.id, variables);
+    if (chat) navigate('/chat');
+  };
+
+  const openHistory = async (prompt) => {
+    setPanel({ mode: 'history', prompt, versions: null });
+    const versions = await getPromptVersions(prompt.id);
+    setPanel(prev => (prev?.prompt?.id === prompt.id ? { ...prev, versions } : prev));
+  };
+
+  const handleSave = async (persona) => {
+    const saved = panel.mode === 'edit'
+      ? await updateCustomPrompt(panel.prompt.id, persona)
+      : await createCustomPrompt(persona);
+    if (saved) setPanel(null);
+  };
+
+  const handleRestore = async (version) => {
+    const restored = await restorePromptVersion(version);
+    if (restored) openHistory(restored);
+  };
+
+  const renderCards = (group) => (
+    <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+      {group.map(prompt => (
+        <PersonaCard
+          key={prompt.id}
+          prompt={prompt}
+          onStartChat={() => startChat(prompt)}
+          onEdit={() => setPanel({ mode: 'edit', prompt })}
+          onDuplicate={() => duplicatePrompt(prompt)}
+          onDelete={() => deleteCustomPrompt(prompt.id)}
+          onHistory={() => openHistory(prompt)}
+        />
+      ))}
+    </div>
+  );
+
+  const panelTitles = {
+    create: 'New persona',
+    edit: 'Edit persona',
+    history: 'Version history'
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 px-4 py-8">
+      <div className="max-w-5xl mx-auto space-y-8">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Link to="/chat" className="p-2 rounded-md text-gray-400 hover:text-white hover:bg-gray-800 transition-colors">
+              <ArrowLeft className="w-5 h-5" />
+            </Link>
+            <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-blue-400">
+              Personas
+            </h1>
+          </div>
+          <button
+            onClick={() => setPanel({ mode: 'create', prompt: null })}
+            className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            New persona
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 text-purple-300 animate-spin" />
+          </div>
+        ) : (
+          <>
+            <section className="space-y-3">
+              <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider">Your personas</h2>
+              {ownPrompts.length === 0 ? (
+                <p className="text-gray-500 text-sm">
+                  No personas yet. Create one, or duplicate a built-in persona to customize it.
+                </p>
+              ) : renderCards(ownPrompts)}
+            </section>
+            <section className="space-y-3">
+              <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider">Built-in</h2>
+              {renderCards(defaultPrompts)}
+            </section>
+          </>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {panel && (
+          <motion.div
+            key="panel"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+            onClick={() => setPanel(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.95 }}
+              animate={{ scale: 1 }}
+              exit={{ scale: 0.95 }}
+              onClick={(e) => e.stopPropagation()}
+              className="w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-xl p-6"
+            >
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-white">
+                  {panelTitles[panel.mode]}
+                  {panel.mode === 'history' && ` · ${panel.prompt.emoji} ${panel.prompt.title}`}
+                </h2>
+                <button onClick={() => setPanel(null)} className="p-1 text-gray-400 hover:text-white">
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              {panel.mode === 'history' ? (
+                <VersionHistory prompt={panel.prompt} versions={panel.versions} onRestore={handleRestore} />
+              ) : (
+                <PersonaEditor
+                  initial={panel.prompt}
+                  onSave={handleSave}
+                  onCancel={() => setPanel(null)}
+                />
+              )}
+            </motion.div>
+          </motion.div>
+        )}
+        {templatePrompt && (
+          <TemplateForm
+            key="template"
+            title={`${templatePrompt.emoji || ''} ${templatePrompt.title}`.trim()}
+            template={templatePrompt.system_prompt}
+            onSubmit={(values) => startChat(templatePrompt, values)}
+            onCancel={() => setTemplatePrompt(null)}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { createClient } from '@supabase/supabase-js';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { useNotification } from '../contexts/NotificationContext';
-import { Moon, Sun, Save, Upload, Mail, Phone, Globe, MapPin, Briefcase, Calendar } from 'lucide-react';
+import { Moon, Sun, Save, Upload, Mail, Phone, Globe, MapPin, Briefcase, Calendar, Brain, BarChart3, Mic, ChevronRight } from 'lucide-react';
 
 const supabase = createClient(
   import.meta.env.VITE_SUPABASE_URL,
@@ -304,6 +305,51 @@ export default function Settings() {
           </div>
         </div>
 
+        {/* Assistant Memory */}
+        <Link
+          to="/settings/memory"
+          className="flex items-center justify-between bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 hover:border-purple-500/40 transition-colors"
+        >
+          <div className="flex items-center space-x-3">
+            <Brain className="w-6 h-6 text-purple-300" />
+            <div>
+              <h2 className="text-xl font-semibold text-white">Memory</h2>
+              <p className="text-sm text-gray-400">Review what the assistant remembers about you</p>
+            </div>
+          </div>
+          <ChevronRight className="w-5 h-5 text-gray-400" />
+        </Link>
+
+        {/* Token Usage */}
+        <Link
+          to="/settings/usage"
+          className="flex items-center justify-between bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 hover:border-purple-500/40 transition-colors"
+        >
+          <div className="flex items-center space-x-3">
+            <BarChart3 className="w-6 h-6 text-purple-300" />
+            <div>
+              <h2 className="text-xl font-semibold text-white">Usage</h2>
+              <p className="text-sm text-gray-400">Tokens and estimated cost of your conversations</p>
+            </div>
+          </div>
+          <ChevronRight className="w-5 h-5 text-gray-400" />
+        </Link>
+
+        {/* Voice Mode */}
+        <Link
+          to="/settings/voice"
+          className="flex items-center justify-between bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 hover:border-purple-500/40 transition-colors"
+        >
+          <div className="flex items-center space-x-3">
+            <Mic className="w-6 h-6 text-purple-300" />
+            <div>
+              <h2 className="text-xl font-semibold text-white">Voice</h2>
+              <p className="text-sm text-gray-400">Voice mode and reading replies aloud</p>
+            </div>
+          </div>
+          <ChevronRight className="w-5 h-5 text-gray-400" />
+        </Link>
+
         {/* Theme Section */}
         <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6">
           <h2 className="text-xl font-semibold text-white mb-4">Appearance</h2>
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Loader2, Paperclip, Link2Off, Bot, User } from 'lucide-react';
+import MarkdownContent from '../components/MarkdownContent';
+import { loadSharedChat } from '../services/sharing';
+
+const SharedMessage = ({ message }) => {
+  const isAI = message.role === 'assistant';
+  const Icon = isAI ? Bot : User;
+
+  return (
+    <div className={`flex ${isAI ? 'justify-start' : 'justify-end'}`}>
+      <div
+        className={`max-w-[80%] rounded-2xl px-4 py-3 text-white ${
+          isAI ? 'bg-black/40 border border-purple-500/20' : 'bg-purple-500/20'
+        }`}
+      >
+        <p className="flex items-center mb-1 text-xs text-gray-400">
+          <Icon className="w-3 h-3 mr-1" />
+          {isAI ? 'Assistant' : 'User'}
+        </p>
+        <MarkdownContent content={message.content} />
+        {message.attachments?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {message.attachments.map((attachment, index) => (
+              <span
+                key={index}
+                className="inline-flex items-center px-2 py-1 text-xs bg-black/30 border border-purple-500/20 rounded-md text-gray-300"
+              >
+                <Paperclip className="w-3 h-3 mr-1" />
+                {attachment.name}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Read-only view of a chat shared by link. Public: the token is the only
+// credential, and the database leaves out system prompts and private content.
+export default function SharedChat() {
+  const { token } = useParams();
+  const [chat, setChat] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    setIsLoading(true);
+    loadSharedChat(token)
+      .then(setChat)
+      .catch(error => {
+        console.error('Error loading shared chat:', error.message);
+        setChat(null);
+      })
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen p-6 relative" style={{
+      backgroundImage: "url('https://images.pexels.com/photos/2150/sky-space-dark-galaxy.jpg?auto=compress&cs=tinysrgb&w=1920')",
+      backgroundSize: 'cover',
+      backgroundPosition: 'center',
+      backgroundRepeat: 'no-repeat'
+    }}>
+      <div className="absolute inset-0 bg-black/25 dark:bg-black/60" />
+
+      <div className="relative z-10 max-w-3xl mx-auto space-y-6">
+        {isLoading ? (
+          <div className="flex justify-center py-24">
+            <Loader2 className="w-8 h-8 text-purple-300 animate-spin" />
+          </div>
+        ) : !chat ? (
+          <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-8 text-center space-y-3">
+            <Link2Off className="w-10 h-10 mx-auto text-purple-300" />
+            <h1 className="text-xl font-semibold text-white">This link is no longer available</h1>
+            <p className="text-gray-400">It may have expired or been revoked by its owner.</p>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-1">
+              <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-blue-400">
+                {chat.title}
+              </h1>
+              <p className="text-sm text-gray-400">
+                {chat.persona && <>{chat.persona.emoji} {chat.persona.title} · </>}
+                Shared {new Date(chat.shared_at).toLocaleDateString()}
+                {chat.expires_at && <> · available until {new Date(chat.expires_at).toLocaleString()}</>}
+              </p>
+            </div>
+
+            <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 space-y-4">
+              {chat.messages.length === 0 ? (
+                <p className="text-gray-400">This conversation has no messages yet.</p>
+              ) : (
+                chat.messages.map(message => <SharedMessage key={message.id} message={message} />)
+              )}
+            </div>
+          </>
+        )}
+
+        <p className="text-center text-sm text-gray-400">
+          Shared from Nova AI Assistant · <Link to="/login" className="text-purple-300 hover:text-purple-200">Sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { createClient } from '@supabase/supabase-js';
 import { useAuth } from '../contexts/AuthContext';
 import { useNotification } from '../contexts/NotificationContext';
-import { Plus, Calendar, Clock, CheckCircle2, XCircle, Edit2, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+import { useRealtimeChanges, upsertRow } from '../hooks/useRealtimeChanges';
+import { Plus, Calendar, Clock, CheckCircle2, XCircle, Edit2, Trash2, ChevronDown, ChevronUp, AlertTriangle } from 'lucide-react';
 import DatePicker from 'react-datepicker';
 import Select from 'react-select';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -13,6 +15,8 @@ const supabase = createClient(
   import.meta.env.VITE_SUPABASE_ANON_KEY
 );
 
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
 const priorityColors = {
   low: 'bg-green-500',
   medium: 'bg-yellow-500',
@@ -178,7 +182,13 @@ function Tasks() {
   const [loading, setLoading] = useState(true);
   const [showNewTaskForm, setShowNewTaskForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  // Latest version of the task being edited when another device changed it
+  // after the form was opened
+  const [editConflict, setEditConflict] = useState(null);
   const [expandedTasks, setExpandedTasks] = useState(new Set());
+  // `?task=<id>` (e.g. from a chat citation) highlights that task
+  const [searchParams] = useSearchParams();
+  const focusedTaskId = searchParams.get('task');
   const [newSubtask, setNewSubtask] = useState({});
   const [initialSubtasks, setInitialSubtasks] = useState(['']);
   const [formData, setFormData] = useState({
@@ -229,6 +239,36 @@ function Tasks() {
     }
   };
 
+  // Tasks and subtasks changed on other devices (or by the assistant)
+  useRealtimeChanges('tasks', ['tasks', 'subtasks'], {
+    enabled: !!user,
+    onChange: ({ table, eventType, new: row, old }) => {
+      if (table === 'tasks') {
+        if (eventType === 'DELETE') {
+          setTasks(prev => prev.filter(task => task.id !== old.id));
+        } else {
+          setTasks(prev => upsertRow(prev, row).sort(newestFirst));
+          if (eventType === 'UPDATE' && editingTask?.id === row.id && row.updated_at !== editingTask.updated_at) {
+            setEditConflict(row);
+          }
+        }
+      } else if (eventType === 'DELETE') {
+        setSubtasks(prev => Object.fromEntries(
+          Object.entries(prev).map(([taskId, list]) => [taskId, list.filter(st => st.id !== old.id)])
+        ));
+      } else {
+        setSubtasks(prev => ({ ...prev, [row.task_id]: upsertRow(prev[row.task_id] || [], row) }));
+      }
+    },
+    onResync: loadTasks
+  });
+
+  useEffect(() => {
+    if (loading || !focusedTaskId) return;
+    setExpandedTasks(prev => new Set(prev).add(focusedTaskId));
+    document.getElementById(`task-${focusedTaskId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [loading, focusedTaskId]);
+
   const handleAddInitialSubtask = () => {
     setInitialSubtasks([...initialSubtasks, '']);
   };
@@ -271,7 +311,17 @@ function Tasks() {
     }
   };
 
+  const setSubtaskComplete = (subtask, isComplete) => {
+    setSubtasks(prev => ({
+      ...prev,
+      [subtask.task_id]: prev[subtask.task_id].map(st =>
+        st.id === subtask.id ? { ...st, is_complete: isComplete } : st
+      )
+    }));
+  };
+
   const handleToggleSubtask = async (subtask) => {
+    setSubtaskComplete(subtask, !subtask.is_complete);
     try {
       const { error } = await supabase
         .from('subtasks')
@@ -280,13 +330,6 @@ function Tasks() {
 
       if (error) throw error;
 
-      setSubtasks(prev => ({
-        ...prev,
-        [subtask.task_id]: prev[subtask.task_id].map(st =>
-          st.id === subtask.id ? { ...st, is_complete: !st.is_complete } : st
-        )
-      }));
-
       const updatedSubtasks = subtasks[subtask.task_id].map(st =>
         st.id === subtask.id ? { ...st, is_complete: !st.is_complete } : st
       );
@@ -296,6 +339,7 @@ function Tasks() {
         await handleStatusChange(subtask.task_id, 'completed');
       }
     } catch (error) {
+      setSubtaskComplete(subtask, subtask.is_complete);
       console.error('Error toggling subtask:', error);
       addNotification('Failed to update subtask', 'error');
     }
@@ -329,15 +373,36 @@ function Tasks() {
     try {
       let taskId;
       if (editingTask) {
-        const { error } = await supabase
+        // Only save over the version the form was opened with; otherwise
+        // show what changed and let the user choose
+        const { data, error } = await supabase
           .from('tasks')
           .update({
             ...formData,
             updated_at: new Date().toISOString()
           })
-          .eq('id', editingTask.id);
+          .eq('id', editingTask.id)
+          .eq('updated_at', editingTask.updated_at)
+          .select();
 
         if (error) throw error;
+        if (data.length === 0) {
+          const { data: latest, error: latestError } = await supabase
+            .from('tasks')
+            .select('*')
+            .eq('id', editingTask.id)
+            .maybeSingle();
+
+          if (latestError) throw latestError;
+          if (!latest) {
+            addNotification('This task was deleted on another device', 'error');
+            setShowNewTaskForm(false);
+            setEditingTask(null);
+          } else {
+            setEditConflict(latest);
+          }
+          return;
+        }
         taskId = editingTask.id;
         addNotification('Task updated successfully', 'success');
       } else {
@@ -383,6 +448,7 @@ function Tasks() {
       setInitialSubtasks(['']);
       setShowNewTaskForm(false);
       setEditingTask(null);
+      setEditConflict(null);
       loadTasks();
     } catch (error) {
       console.error('Error saving task:', error);
@@ -406,6 +472,7 @@ function Tasks() {
 
   const handleEdit = (task) => {
     setEditingTask(task);
+    setEditConflict(null);
     setFormData({
       title: task.title,
       description: task.description || '',
@@ -418,9 +485,12 @@ function Tasks() {
     setShowNewTaskForm(true);
   };
 
+  // Deletes and status changes show at once and are undone if the save fails
   const handleDelete = async (taskId) => {
     if (!confirm('Are you sure you want to delete this task?')) return;
 
+    const deleted = tasks.find(task => task.id === taskId);
+    setTasks(prev => prev.filter(task => task.id !== taskId));
     try {
       const { error } = await supabase
         .from('tasks')
@@ -429,29 +499,46 @@ function Tasks() {
 
       if (error) throw error;
       addNotification('Task deleted successfully', 'success');
-      loadTasks();
     } catch (error) {
       console.error('Error deleting task:', error);
+      if (deleted) setTasks(prev => upsertRow(prev, deleted).sort(newestFirst));
       addNotification('Failed to delete task', 'error');
     }
   };
 
   const handleStatusChange = async (taskId, newStatus) => {
+    const previousStatus = tasks.find(task => task.id === taskId)?.status;
+    const setStatus = (status) => setTasks(prev => prev.map(task =>
+      task.id === taskId ? { ...task, status } : task
+    ));
+
+    setStatus(newStatus);
     try {
-      const { error } = await supabase
+      const { data, error } = await supabase
         .from('tasks')
         .update({ status: newStatus, updated_at: new Date().toISOString() })
-        .eq('id', taskId);
+        .eq('id', taskId)
+        .select();
 
       if (error) throw error;
+      if (data[0]) setTasks(prev => upsertRow(prev, data[0]));
       addNotification(`Task marked as ${newStatus}`, 'success');
-      loadTasks();
     } catch (error) {
       console.error('Error updating task status:', error);
+      if (previousStatus) setStatus(previousStatus);
       addNotification('Failed to update task status', 'error');
     }
   };
 
+  // Resolve an edit conflict by starting over from the other device's
+  // version, or by keeping this form's values and saving over it
+  const loadLatestVersion = () => handleEdit(editConflict);
+
+  const keepMyChanges = () => {
+    setEditingTask(editConflict);
+    setEditConflict(null);
+  };
+
   return (
     <div 
       className="min-h-screen p-6 relative"
@@ -501,6 +588,31 @@ function Tasks() {
             <h2 className="text-xl font-semibold mb-4 text-white">
               {editingTask ? 'Edit Mission' : 'New Mission'}
             </h2>
+            {editingTask && editConflict && (
+              <div className="mb-4 p-3 rounded-lg border border-yellow-500/40 bg-yellow-500/10 text-sm text-yellow-100">
+                <p className="flex items-center">
+                  <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0 text-yellow-400" />
+                  This mission was changed on another device
+                  {editConflict.title !== formData.title && <> (now &quot;{editConflict.title}&quot;)</>}.
+                </p>
+                <div className="flex justify-end space-x-2 mt-2">
+                  <button
+                    type="button"
+                    onClick={loadLatestVersion}
+                    className="px-3 py-1 rounded-md text-gray-200 hover:bg-black/30 transition-colors"
+                  >
+                    Load their version
+                  </button>
+                  <button
+                    type="button"
+                    onClick={keepMyChanges}
+                    className="px-3 py-1 rounded-md bg-yellow-500/20 text-yellow-100 hover:bg-yellow-500/30 transition-colors"
+                  >
+                    Keep my changes
+                  </button>
+                </div>
+              </div>
+            )}
             <form onSubmit={handleSubmit} className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-1">
@@ -605,7 +717,10 @@ function Tasks() {
               <div className="flex justify-end space-x-3">
                 <button
                   type="button"
-                  onClick={() => setShowNewTaskForm(false)}
+                  onClick={() => {
+                    setShowNewTaskForm(false);
+                    setEditConflict(null);
+                  }}
                   className="px-4 py-2 border border-white/20 rounded-lg text-gray-300 hover:bg-black/30 transition-colors"
                 >
                   Cancel
@@ -636,10 +751,13 @@ function Tasks() {
               {tasks.map((task) => (
                 <motion.div
                   key={task.id}
+                  id={`task-${task.id}`}
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                   exit={{ opacity: 0, y: -20 }}
-                  className="group bg-black/30 backdrop-blur-md p-6 rounded-xl border border-purple-500/20 hover:border-purple-500/40 transition-all duration-300"
+                  className={`group bg-black/30 backdrop-blur-md p-6 rounded-xl border border-purple-500/20 hover:border-purple-500/40 transition-all duration-300 ${
+                    task.id === focusedTaskId ? 'ring-2 ring-purple-400' : ''
+                  }`}
                 >
                   <div className="flex justify-between items-start">
                     <div className="flex-1">
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { format, startOfDay, startOfMonth, subDays, subMonths, eachDayOfInterval, eachMonthOfInterval } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { ArrowLeft, BarChart3 } from 'lucide-react';
+import { loadUsage, formatTokens, formatCost } from '../services/usage';
+
+const RANGES = {
+  day: {
+    label: 'Last 30 days',
+    from: () => subDays(startOfDay(new Date()), 29),
+    periods: from => eachDayOfInterval({ start: from, end: new Date() }),
+    tick: 'MMM d'
+  },
+  month: {
+    label: 'Last 12 months',
+    from: () => subMonths(startOfMonth(new Date()), 11),
+    periods: from => eachMonthOfInterval({ start: from, end: new Date() }),
+    tick: 'MMM yyyy'
+  }
+};
+
+const toggleClass = active => `px-3 py-1 text-sm rounded-md transition-colors ${
+  active ? 'bg-purple-600 text-white' : 'text-gray-300 hover:text-white'
+}`;
+
+const rowTokens = row => row.prompt_tokens + row.completion_tokens;
+
+// One bar per period, including empty ones, scaled to the busiest period
+const UsageChart = ({ rows, range, metric }) => {
+  const { periods, tick } = RANGES[range];
+  const byPeriod = new Map();
+  for (const row of rows) {
+    byPeriod.set(row.period, (byPeriod.get(row.period) || 0) + (metric === 'cost' ? row.cost : rowTokens(row)));
+  }
+
+  const bars = periods(RANGES[range].from()).map(date => ({
+    date,
+    value: byPeriod.get(format(date, 'yyyy-MM-dd')) || 0
+  }));
+  const max = Math.max(...bars.map(bar => bar.value));
+  const formatValue = metric === 'cost' ? formatCost : value => `${formatTokens(value)} tokens`;
+
+  return (
+    <div>
+      <div className="flex items-end h-48 space-x-1">
+        {bars.map(bar => (
+          <div
+            key={bar.date.toISOString()}
+            title={`${format(bar.date, tick)}: ${formatValue(bar.value)}`}
+            className="flex-1 h-full flex items-end group"
+          >
+            <div
+              className="w-full rounded-t bg-purple-500/60 group-hover:bg-purple-400 transition-colors"
+              style={{ height: max > 0 ? `${Math.max((bar.value / max) * 100, bar.value > 0 ? 2 : 0)}%` : 0 }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-2 text-xs text-gray-400">
+        <span>{format(bars[0].date, tick)}</span>
+        <span>{format(bars[bars.length - 1].date, tick)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Settings > Usage: tokens and estimated cost of the user's assistant calls,
+// from the `usage_events` ledger the API writes
+export default function Usage() {
+  const { user } = useAuth();
+  const { addNotification } = useNotification();
+  const [range, setRange] = useState('day');
+  const [metric, setMetric] = useState('tokens');
+  const [rows, setRows] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchUsage = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setRows(await loadUsage(range, RANGES[range].from()));
+    } catch (error) {
+      console.error('Error loading usage:', error);
+      addNotification('Failed to load usage', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [range, addNotification]);
+
+  useEffect(() => {
+    if (user) {
+      fetchUsage();
+    }
+  }, [user, fetchUsage]);
+
+  const totals = rows.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    tokens: sum.tokens + rowTokens(row),
+    cost: sum.cost + row.cost,
+    unpriced: sum.unpriced + row.unpriced
+  }), { requests: 0, tokens: 0, cost: 0, unpriced: 0 });
+
+  const models = Object.values(rows.reduce((acc, row) => {
+    const key = `${row.provider}/${row.model}`;
+    const entry = acc[key] || { key, provider: row.provider, model: row.model, requests: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0, unpriced: 0 };
+    acc[key] = {
+      ...entry,
+      requests: entry.requests + row.requests,
+      prompt_tokens: entry.prompt_tokens + row.prompt_tokens,
+      completion_tokens: entry.completion_tokens + row.completion_tokens,
+      cost: entry.cost + row.cost,
+      unpriced: entry.unpriced + row.unpriced
+    };
+    return acc;
+  }, {})).sort((a, b) => b.cost - a.cost || rowTokens(b) - rowTokens(a));
+
+  return (
+    <div className="min-h-screen p-6 relative" style={{
+      backgroundImage: "url('https://images.pexels.com/photos/2150/sky-space-dark-galaxy.jpg?auto=compress&cs=tinysrgb&w=1920')",
+      backgroundSize: 'cover',
+      backgroundPosition: 'center',
+      backgroundRepeat: 'no-repeat'
+    }}>
+      <div className="absolute inset-0 bg-black/25 dark:bg-black/60" />
+
+      <div className="relative z-10 max-w-4xl mx-auto space-y-6">
+        <div className="flex items-center space-x-3">
+          <Link to="/settings" className="p-2 rounded-lg text-gray-300 hover:text-white hover:bg-black/30 transition-colors">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-blue-400">
+            Usage
+          </h1>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {[
+            ['Requests', totals.requests.toLocaleString()],
+            ['Tokens', formatTokens(totals.tokens)],
+            ['Estimated cost', formatCost(totals.cost), totals.unpriced > 0 && `Excludes ${totals.unpriced.toLocaleString()} calls to unpriced models`]
+          ].map(([label, value, note]) => (
+            <div key={label} className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-4">
+              <p className="text-sm text-gray-400">{label}</p>
+              <p className="text-2xl font-semibold text-white">{value}</p>
+              {note && <p className="text-xs text-gray-500">{note}</p>}
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 space-y-6">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h2 className="flex items-center text-xl font-semibold text-white">
+              <BarChart3 className="w-5 h-5 mr-2 text-purple-300" />
+              {RANGES[range].label}
+            </h2>
+            <div className="flex space-x-3">
+              <div className="flex p-1 bg-black/30 rounded-lg">
+                <button onClick={() => setRange('day')} className={toggleClass(range === 'day')}>Daily</button>
+                <button onClick={() => setRange('month')} className={toggleClass(range === 'month')}>Monthly</button>
+              </div>
+              <div className="flex p-1 bg-black/30 rounded-lg">
+                <button onClick={() => setMetric('tokens')} className={toggleClass(metric === 'tokens')}>Tokens</button>
+                <button onClick={() => setMetric('cost')} className={toggleClass(metric === 'cost')}>Cost</button>
+              </div>
+            </div>
+          </div>
+
+          {isLoading ? (
+            <p className="text-gray-400">Loading usage...</p>
+          ) : (
+            <UsageChart rows={rows} range={range} metric={metric} />
+          )}
+        </div>
+
+        <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6">
+          <h2 className="text-xl font-semibold text-white mb-4">By model</h2>
+          {!isLoading && models.length === 0 ? (
+            <p className="text-gray-400">No assistant usage in this period.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-gray-400">
+                  <tr>
+                    <th className="py-2 font-medium">Model</th>
+                    <th className="py-2 font-medium text-right">Requests</th>
+                    <th className="py-2 font-medium text-right">Prompt</th>
+                    <th className="py-2 font-medium text-right">Completion</th>
+                    <th className="py-2 font-medium text-right">Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="text-gray-200">
+                  {models.map(row => (
+                    <tr key={row.key} className="border-t border-purple-500/10">
+                      <td className="py-2">
+                        {row.model}
+                        <span className="ml-2 text-xs text-gray-500">{row.provider}</span>
+                      </td>
+                      <td className="py-2 text-right">{row.requests.toLocaleString()}</td>
+                      <td className="py-2 text-right">{formatTokens(row.prompt_tokens)}</td>
+                      <td className="py-2 text-right">{formatTokens(row.completion_tokens)}</td>
+                      <td className="py-2 text-right">{row.unpriced === row.requests ? 'Unpriced' : formatCost(row.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="mt-4 text-xs text-gray-500">
+            Costs are estimates from published prices; local models are free.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useChat } from '../contexts/ChatContext';
+import { useNotification } from '../contexts/NotificationContext';
+import { useVoicePreferences } from '../hooks/useVoicePreferences';
+import { useSpeechVoices } from '../hooks/useSpeechVoices';
+import { canRecordSpeech } from '../hooks/useSpeechRecorder';
+import { SpeechRecognition, SPEECH_LANGUAGES, speechLanguage } from '../services/speech';
+import { startReading, finishReading } from '../services/readAloud';
+import { ArrowLeft, Save, Volume2 } from 'lucide-react';
+
+const inputClass = 'w-full bg-black/30 border border-purple-500/20 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const toggleClass = active => `px-3 py-1 text-sm rounded-md transition-colors ${
+  active ? 'bg-purple-600 text-white' : 'text-gray-300 hover:text-white'
+}`;
+
+const Switch = ({ checked, onChange }) => (
+  <button
+    onClick={() => onChange(!checked)}
+    className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+      checked ? 'bg-purple-600' : 'bg-gray-700'
+    }`}
+  >
+    <span
+      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+        checked ? 'translate-x-6' : 'translate-x-1'
+      }`}
+    />
+  </button>
+);
+
+const VoiceSelect = ({ value, voices, onChange, defaultLabel }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+    <option value="">{defaultLabel}</option>
+    {voices.map(voice => (
+      <option key={voice.value} value={voice.value}>{voice.label}</option>
+    ))}
+    {value && !voices.some(voice => voice.value === value) && (
+      <option value={value}>{value} (unavailable)</option>
+    )}
+  </select>
+);
+
+// Settings > Voice: the language speech is recognized in, how voice mode
+// decides when the user has started and finished talking, and the voices
+// replies are read aloud in
+export default function VoiceSettings() {
+  const { prompts } = useChat();
+  const { addNotification } = useNotification();
+  const { language, preferences, isLoading, save } = useVoicePreferences();
+  const [form, setForm] = useState({ language: '', ...preferences });
+  const [isSaving, setIsSaving] = useState(false);
+  const { voices, error: voicesError } = useSpeechVoices(form.tts_engine);
+
+  useEffect(() => {
+    setForm({ language: language || '', ...preferences });
+  }, [language, preferences]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Voices belong to one engine, so switching starts from its defaults
+  const handleEngineChange = (engine) => {
+    setForm(prev => ({ ...prev, tts_engine: engine, tts_voice: '', persona_voices: {} }));
+  };
+
+  const handlePersonaVoiceChange = (promptId, voice) => {
+    setForm((prev) => {
+      const personaVoices = { ...prev.persona_voices };
+      if (voice) {
+        personaVoices[promptId] = voice;
+      } else {
+        delete personaVoices[promptId];
+      }
+      return { ...prev, persona_voices: personaVoices };
+    });
+  };
+
+  const handleTest = () => {
+    startReading({
+      engine: form.tts_engine,
+      voice: form.tts_voice,
+      rate: Number(form.tts_rate),
+      pitch: Number(form.tts_pitch),
+      lang: speechLanguage(form.language),
+      onError: message => addNotification(message, 'error')
+    });
+    finishReading('This is how replies will sound when they are read aloud.');
+  };
+
+  const handleSave = async () => {
+    if (form.wake_phrase_enabled && !form.wake_phrase.trim()) {
+      addNotification('Enter a wake phrase or turn it off', 'error');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await save({
+        ...form,
+        language: form.language || null,
+        wake_phrase: form.wake_phrase.trim(),
+        silence_seconds: Number(form.silence_seconds),
+        tts_rate: Number(form.tts_rate),
+        tts_pitch: Number(form.tts_pitch)
+      });
+      addNotification('Voice settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving voice settings:', error.message);
+      addNotification('Failed to save voice settings', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen p-6 relative" style={{
+      backgroundImage: "url('https://images.pexels.com/photos/2150/sky-space-dark-galaxy.jpg?auto=compress&cs=tinysrgb&w=1920')",
+      backgroundSize: 'cover',
+      backgroundPosition: 'center',
+      backgroundRepeat: 'no-repeat'
+    }}>
+      <div className="absolute inset-0 bg-black/25 dark:bg-black/60" />
+
+      <div className="relative z-10 max-w-4xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Link to="/settings" className="p-2 rounded-lg text-gray-300 hover:text-white hover:bg-black/30 transition-colors">
+              <ArrowLeft className="w-5 h-5" />
+            </Link>
+            <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-blue-400">
+              Voice
+            </h1>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={isLoading || isSaving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            <span>{isSaving ? 'Saving...' : 'Save Changes'}</span>
+          </button>
+        </div>
+
+        {!SpeechRecognition && (
+          <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4 text-sm text-yellow-200">
+            {canRecordSpeech
+              ? "This browser doesn't support speech recognition: the microphone records a message, which the server transcribes for you to review. The wake phrase isn't used."
+              : "This browser doesn't support speech recognition or recording, so voice input is unavailable here."}
+          </div>
+        )}
+
+        <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              Language
+            </label>
+            <select
+              value={form.language}
+              onChange={(e) => handleChange('language', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Browser default ({navigator.language})</option>
+              {SPEECH_LANGUAGES.map(([tag, label]) => (
+                <option key={tag} value={tag}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <span className="text-gray-300">Wake phrase</span>
+                <p className="text-sm text-gray-400">Ignore speech until the phrase is said, and again after each message</p>
+              </div>
+              <Switch
+                checked={form.wake_phrase_enabled}
+                onChange={value => handleChange('wake_phrase_enabled', value)}
+              />
+            </div>
+            {form.wake_phrase_enabled && (
+              <input
+                type="text"
+                value={form.wake_phrase}
+                onChange={(e) => handleChange('wake_phrase', e.target.value)}
+                className={inputClass}
+                placeholder="Hey Nova"
+              />
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              Send after {Number(form.silence_seconds).toFixed(1)} seconds of silence
+            </label>
+            <input
+              type="range"
+              min="0.5"
+              max="5"
+              step="0.5"
+              value={form.silence_seconds}
+              onChange={(e) => handleChange('silence_seconds', e.target.value)}
+              className="w-full accent-purple-500"
+            />
+          </div>
+        </div>
+
+        <div className="bg-black/30 backdrop-blur-md border border-purple-500/20 rounded-xl p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-white">Read replies aloud</h2>
+              <p className="text-sm text-gray-400">Replies are read a sentence at a time as they arrive</p>
+            </div>
+            <Switch checked={form.read_aloud} onChange={value => handleChange('read_aloud', value)} />
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <span className="text-gray-300">Speech engine</span>
+            <div className="flex p-1 bg-black/30 rounded-lg">
+              <button onClick={() => handleEngineChange('browser')} className={toggleClass(form.tts_engine === 'browser')}>Browser</button>
+              <button onClick={() => handleEngineChange('server')} className={toggleClass(form.tts_engine === 'server')}>Server</button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              Voice
+            </label>
+            <VoiceSelect
+              value={form.tts_voice}
+              voices={voices}
+              onChange={value => handleChange('tts_voice', value)}
+              defaultLabel="Default voice"
+            />
+            {voicesError && (
+              <p className="mt-1 text-sm text-red-300">Couldn't load the server's voices</p>
+            )}
+          </div>
+
+          <div className={`grid grid-cols-1 gap-6 ${form.tts_engine === 'browser' ? 'sm:grid-cols-2' : ''}`}>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                Rate {Number(form.tts_rate).toFixed(1)}×
+              </label>
+              <input
+                type="range"
+                min="0.5"
+                max="2"
+                step="0.1"
+                value={form.tts_rate}
+                onChange={(e) => handleChange('tts_rate', e.target.value)}
+                className="w-full accent-purple-500"
+              />
+            </div>
+            {form.tts_engine === 'browser' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">
+                  Pitch {Number(form.tts_pitch).toFixed(1)}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="2"
+                  step="0.1"
+                  value={form.tts_pitch}
+                  onChange={(e) => handleChange('tts_pitch', e.target.value)}
+                  className="w-full accent-purple-500"
+                />
+              </div>
+            )}
+          </div>
+
+          {prompts.length > 0 && (
+            <div className="space-y-3">
+              <div>
+                <span className="text-gray-300">Persona voices</span>
+                <p className="text-sm text-gray-400">Chats with these personas are read in their own voice</p>
+              </div>
+              {prompts.map(prompt => (
+                <div key={prompt.id} className="flex items-center space-x-3">
+                  <span className="w-1/3 truncate text-sm text-gray-300">
+                    {prompt.emoji && <span className="mr-1">{prompt.emoji}</span>}
+                    {prompt.title}
+                  </span>
+                  <div className="flex-1">
+                    <VoiceSelect
+                      value={form.persona_voices[prompt.id] || ''}
+                      voices={voices}
+                      onChange={value => handlePersonaVoiceChange(prompt.id, value)}
+                      defaultLabel="Same as above"
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={handleTest}
+            className="px-4 py-2 bg-black/30 border border-purple-500/20 text-purple-300 rounded-lg hover:border-purple-500/40 transition-colors flex items-center space-x-2"
+          >
+            <Volume2 className="w-4 h-4" />
+            <span>Test voice</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { createClient } from '@supabase/supabase-js';
+import { sendGmailEmail } from '../api/gmailApi';
+import { createAsanaTask } from '../api/asanaApi';
+import { addEventToGoogleCalendar } from '../api/googleCalendarApi';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+async function insertTask(userId, { title, description, deadline, priority }) {
+  const { data, error } = await supabase
+    .from('tasks')
+    .insert([{
+      user_id: userId,
+      title,
+      description: description || null,
+      deadline: deadline || null,
+      priority: priority || 'medium',
+      status: 'pending'
+    }])
+    .select();
+
+  if (error) throw error;
+  return data[0];
+}
+
+const executors = {
+  async create_task(args, userId) {
+    const task = await insertTask(userId, args);
+
+    const subtasks = (args.subtasks || []).filter(title => title?.trim());
+    if (subtasks.length > 0) {
+      const { error } = await supabase
+        .from('subtasks')
+        .insert(subtasks.map(title => ({ task_id: task.id, title, is_complete: false })));
+
+      if (error) throw error;
+    }
+
+    return {
+      summary: `Created task "${task.title}"${subtasks.length ? ` with ${subtasks.length} subtasks` : ''}.`,
+      result: { task_id: task.id }
+    };
+  },
+
+  // Calendar entries are tasks with a deadline, which is what the Calendar page shows
+  async create_calendar_event(args, userId) {
+    const task = await insertTask(userId, {
+      title: args.title,
+      description: args.description,
+      deadline: args.start
+    });
+    await addEventToGoogleCalendar(args);
+
+    return {
+      summary: `Scheduled "${task.title}" for ${new Date(args.start).toLocaleString()}.`,
+      result: { task_id: task.id }
+    };
+  },
+
+  async send_email(args) {
+    await sendGmailEmail(args.to, args.subject, args.body);
+    return { summary: `Sent email "${args.subject}" to ${args.to}.`, result: {} };
+  },
+
+  async save_memory(args, userId, sessionId) {
+    const { error } = await supabase
+      .from('user_memories')
+      .insert([{
+        user_id: userId,
+        content: args.content.trim(),
+        source: 'assistant',
+        session_id: sessionId || null
+      }]);
+
+    if (error) throw error;
+    return { summary: `Remembered: ${args.content.trim()}`, result: {} };
+  },
+
+  async create_asana_task(args) {
+    await createAsanaTask(args.name);
+    return { summary: `Created Asana task "${args.name}".`, result: {} };
+  }
+};
+
+// Run a tool call the user approved. Resolves with `{ summary, result }`;
+// the summary is what gets recorded in the conversation.
+export async function executeToolCall(call, userId, sessionId) {
+  const executor = executors[call.name];
+  if (!executor) {
+    throw new Error(`Unknown tool: ${call.name}`);
+  }
+  return executor(call.arguments || {}, userId, sessionId);
+}
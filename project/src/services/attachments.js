@@ -0,0 +1,111 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+export const ATTACHMENT_BUCKET = 'chat-attachments';
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+
+// Extracted text is stored with the message and sent as model context, so
+// very long documents are cut to keep both reasonable
+const MAX_EXTRACTED_CHARS = 50000;
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'html', 'log'];
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+function extensionOf(name) {
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+async function extractPdfText(file) {
+  // pdf.js and its worker are loaded only when a PDF is attached
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const page = await pdf.getPage(number);
+    const { items } = await page.getTextContent();
+    pages.push(items.map(item => item.str).join(' '));
+    if (pages.join('\n\n').length > MAX_EXTRACTED_CHARS) break;
+  }
+  return pages.join('\n\n');
+}
+
+async function extractDocxText(file) {
+  const { default: mammoth } = await import('mammoth');
+  const { value } = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+  return value;
+}
+
+// Plain text of a document, or null for files we can't read
+export async function extractText(file) {
+  const extension = extensionOf(file.name);
+
+  if (file.type === 'application/pdf' || extension === 'pdf') {
+    return extractPdfText(file);
+  }
+  if (file.type === DOCX_TYPE || extension === 'docx') {
+    return extractDocxText(file);
+  }
+  if (file.type.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) {
+    return file.text();
+  }
+  return null;
+}
+
+// Upload a file to the user's folder and describe it for
+// `chat_messages.attachments`. Documents carry their extracted text so the
+// API can add it to the conversation without downloading the file again.
+export async function uploadAttachment(file, userId) {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`${file.name} is larger than 20 MB`);
+  }
+
+  const safeName = file.name.replace(/[^\w.-]+/g, '_');
+  const path = `${userId}/${crypto.randomUUID()}/${safeName}`;
+
+  const { error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .upload(path, file, { contentType: file.type || undefined });
+
+  if (error) throw error;
+
+  const attachment = {
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    path,
+    kind: file.type.startsWith('image/') ? 'image' : 'document'
+  };
+
+  if (attachment.kind === 'document') {
+    try {
+      const text = await extractText(file);
+      if (text?.trim()) {
+        attachment.text = text.trim().slice(0, MAX_EXTRACTED_CHARS);
+        attachment.truncated = text.trim().length > MAX_EXTRACTED_CHARS;
+      }
+    } catch (extractError) {
+      // The file is still attached, just not readable by the model
+      console.error('Error extracting attachment text:', extractError);
+    }
+  }
+
+  return attachment;
+}
+
+export async function getAttachmentUrl(path, expiresIn = 3600) {
+  const { data, error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .createSignedUrl(path, expiresIn);
+
+  if (error) throw error;
+  return data.signedUrl;
+}
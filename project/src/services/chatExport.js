@@ -0,0 +1,171 @@
+// Serialize chat sessions to Markdown, JSON and a printable page, and read
+// the JSON format back for import.
+const EXPORT_FORMAT = 'nova-chat-export';
+const EXPORT_VERSION = 1;
+const IMPORTABLE_ROLES = ['user', 'assistant', 'system', 'tool'];
+
+const roleLabels = {
+  user: 'You',
+  assistant: 'Assistant',
+  tool: 'Action'
+};
+
+export function toExportRecord(chat) {
+  return {
+    title: chat.title,
+    persona: chat.prompt
+      ? { title: chat.prompt.title, emoji: chat.prompt.emoji, system_prompt: chat.prompt.system_prompt }
+      : null,
+    provider: chat.provider || null,
+    model: chat.model || null,
+    summary: chat.summary || null,
+    created_at: chat.created_at,
+    updated_at: chat.updated_at,
+    messages: (chat.messages || []).map(message => ({
+      role: message.role,
+      content: message.content,
+      created_at: message.created_at,
+      attachments: message.attachments || [],
+      metadata: message.metadata || {}
+    }))
+  };
+}
+
+function transcriptMessages(record) {
+  return record.messages.filter(m => m.role !== 'system');
+}
+
+function formatTimestamp(value) {
+  return value ? new Date(value).toLocaleString() : '';
+}
+
+export function toMarkdown(records) {
+  return records.map((record) => {
+    const lines = [`# ${record.title}`, ''];
+    if (record.persona) {
+      lines.push(`- **Persona:** ${[record.persona.emoji, record.persona.title].filter(Boolean).join(' ')}`);
+    }
+    lines.push(`- **Created:** ${formatTimestamp(record.created_at)}`, '');
+
+    for (const message of transcriptMessages(record)) {
+      if (message.role === 'tool') {
+        lines.push(`> ${roleLabels.tool}: ${message.content}`, '');
+        continue;
+      }
+      const heading = [roleLabels[message.role], formatTimestamp(message.created_at)].filter(Boolean).join(' · ');
+      lines.push(`### ${heading}`, '', message.content, '');
+      for (const attachment of message.attachments) {
+        lines.push(`📎 ${attachment.name}`, '');
+      }
+    }
+    return lines.join('\n');
+  }).join('\n---\n\n');
+}
+
+export function toJSON(records) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    chats: records
+  }, null, 2);
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Writes the chats as a print-styled page into `printWindow` and opens the
+// browser's print dialog, where "Save as PDF" produces the PDF. Callers that
+// await anything first should open the window up front, while the click
+// still counts as a user gesture, or the pop-up gets blocked.
+export function printChats(records, printWindow = window.open('', '_blank')) {
+  const body = records.map(record => `
+    <section>
+      <h1>${escapeHtml(record.title)}</h1>
+      <p class="meta">
+        ${record.persona ? `Persona: ${escapeHtml(`${record.persona.emoji || ''} ${record.persona.title}`)} · ` : ''}
+        Created ${escapeHtml(formatTimestamp(record.created_at))}
+      </p>
+      ${transcriptMessages(record).map(message => `
+        <div class="message ${message.role}">
+          <p class="meta">${escapeHtml([roleLabels[message.role], formatTimestamp(message.created_at)].filter(Boolean).join(' · '))}</p>
+          <div class="content">${escapeHtml(message.content)}</div>
+        </div>
+      `).join('')}
+    </section>
+  `).join('');
+
+  if (!printWindow) {
+    throw new Error('Pop-up blocked');
+  }
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+  <head>
+    <title>${escapeHtml(records.length === 1 ? records[0].title : 'Chat export')}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; color: #111; max-width: 780px; margin: 2rem auto; }
+      section { page-break-after: always; }
+      section:last-child { page-break-after: auto; }
+      h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+      .meta { color: #666; font-size: 0.8rem; margin: 0 0 0.25rem; }
+      .message { border-left: 3px solid #ddd; padding: 0.25rem 0.75rem; margin: 1rem 0; }
+      .message.user { border-color: #7c3aed; }
+      .message.assistant { border-color: #2563eb; }
+      .message.tool { border-color: #16a34a; font-style: italic; }
+      .content { white-space: pre-wrap; }
+    </style>
+  </head>
+  <body>${body}</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export function exportFilename(records, extension) {
+  const base = records.length === 1
+    ? records[0].title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'chat'
+    : `nova-chats-${new Date().toISOString().slice(0, 10)}`;
+  return `${base}.${extension}`;
+}
+
+// Validate an export file and return its chats. Throws with a readable
+// message when the file is not a chat export.
+export function parseChatImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.chats)) {
+    throw new Error('The file is not a Nova chat export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The export was made by a newer version of Nova');
+  }
+
+  return data.chats.map(chat => ({
+    ...chat,
+    title: chat.title || 'Imported Chat',
+    messages: (chat.messages || []).filter(m =>
+      IMPORTABLE_ROLES.includes(m.role) && typeof m.content === 'string'
+    )
+  }));
+}
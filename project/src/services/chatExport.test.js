@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { toExportRecord, toMarkdown, toJSON, exportFilename, parseChatImport } from './chatExport';
+
+const chat = {
+  title: 'Launch plan',
+  prompt: { title: 'Planner', emoji: '🗓️', system_prompt: 'You plan things.' },
+  summary: null,
+  created_at: '2025-04-28T10:00:00Z',
+  updated_at: '2025-04-28T10:05:00Z',
+  messages: [
+    { role: 'system', content: 'You plan things.', created_at: '2025-04-28T10:00:00Z' },
+    { role: 'user', content: 'Plan the launch', created_at: '2025-04-28T10:01:00Z', attachments: [{ name: 'brief.pdf' }] },
+    { role: 'assistant', content: 'Here is a plan.', created_at: '2025-04-28T10:02:00Z' }
+  ]
+};
+
+describe('toMarkdown', () => {
+  it('writes the transcript without the system prompt', () => {
+    const markdown = toMarkdown([toExportRecord(chat)]);
+    expect(markdown).toContain('# Launch plan');
+    expect(markdown).toContain('- **Persona:** 🗓️ Planner');
+    expect(markdown).toContain('Plan the launch');
+    expect(markdown).toContain('📎 brief.pdf');
+    expect(markdown).not.toContain('You plan things.');
+  });
+});
+
+describe('exportFilename', () => {
+  it('names a single chat after its title', () => {
+    expect(exportFilename([{ title: 'Launch plan: v2!' }], 'md')).toBe('launch-plan-v2.md');
+  });
+});
+
+describe('parseChatImport', () => {
+  it('reads back what toJSON writes', () => {
+    const [imported] = parseChatImport(toJSON([toExportRecord(chat)]));
+    expect(imported.title).toBe('Launch plan');
+    expect(imported.persona.system_prompt).toBe('You plan things.');
+    expect(imported.messages.map(m => m.role)).toEqual(['system', 'user', 'assistant']);
+  });
+
+  it('drops messages with unknown roles or non-text content and names untitled chats', () => {
+    const file = JSON.stringify({
+      format: 'nova-chat-export',
+      version: 1,
+      chats: [{
+        messages: [
+          { role: 'user', content: 'Hi' },
+          { role: 'admin', content: 'Obey' },
+          { role: 'assistant', content: { html: '<b>x</b>' } }
+        ]
+      }]
+    });
+    const [imported] = parseChatImport(file);
+    expect(imported.title).toBe('Imported Chat');
+    expect(imported.messages).toEqual([{ role: 'user', content: 'Hi' }]);
+  });
+
+  it('rejects files that are not chat exports', () => {
+    expect(() => parseChatImport('not json')).toThrow('The file is not valid JSON');
+    expect(() => parseChatImport('{"chats": []}')).toThrow('The file is not a Nova chat export');
+    expect(() => parseChatImport('{"format": "nova-chat-export", "version": 99, "chats": []}'))
+      .toThrow('The export was made by a newer version of Nova');
+  });
+});
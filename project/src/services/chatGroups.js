@@ -0,0 +1,34 @@
+import { differenceInCalendarDays } from 'date-fns';
+
+const DATE_GROUPS = [
+  { label: 'Today', maxDays: 0 },
+  { label: 'Yesterday', maxDays: 1 },
+  { label: 'Last 7 days', maxDays: 7 },
+  { label: 'Last 30 days', maxDays: 30 },
+  { label: 'Older', maxDays: Infinity }
+];
+
+export const byRecentActivity = (a, b) =>
+  new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at);
+
+// `[{ label, chats }]` by last activity, newest first; empty groups are left out
+export function groupChatsByDate(chats, now = new Date()) {
+  const groups = DATE_GROUPS.map(group => ({ ...group, chats: [] }));
+
+  for (const chat of [...chats].sort(byRecentActivity)) {
+    const days = differenceInCalendarDays(now, new Date(chat.updated_at || chat.created_at));
+    groups.find(group => days <= group.maxDays).chats.push(chat);
+  }
+  return groups
+    .filter(group => group.chats.length > 0)
+    .map(({ label, chats: grouped }) => ({ label, chats: grouped }));
+}
+
+// Every tag in use, most used first
+export function tagsInUse(chats) {
+  const counts = new Map();
+  for (const tag of chats.flatMap(chat => chat.tags || [])) {
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
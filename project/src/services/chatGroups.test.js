@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { byRecentActivity, groupChatsByDate, tagsInUse } from './chatGroups.js';
+
+const now = new Date(2025, 3, 28, 12, 0);
+const chat = (id, daysAgo, extra = {}) => ({
+  id,
+  created_at: new Date(2025, 3, 28 - daysAgo, 9, 0).toISOString(),
+  ...extra
+});
+
+describe('byRecentActivity', () => {
+  it('sorts by the last update, falling back to creation', () => {
+    const older = chat('older', 3);
+    const touched = chat('touched', 10, { updated_at: now.toISOString() });
+    expect([older, touched].sort(byRecentActivity).map(c => c.id)).toEqual(['touched', 'older']);
+  });
+});
+
+describe('groupChatsByDate', () => {
+  it('buckets chats by calendar days since their last activity', () => {
+    const chats = [chat('old', 45), chat('today', 0), chat('week', 5), chat('yesterday', 1), chat('month', 20)];
+    expect(groupChatsByDate(chats, now)).toEqual([
+      { label: 'Today', chats: [chats[1]] },
+      { label: 'Yesterday', chats: [chats[3]] },
+      { label: 'Last 7 days', chats: [chats[2]] },
+      { label: 'Last 30 days', chats: [chats[4]] },
+      { label: 'Older', chats: [chats[0]] }
+    ]);
+  });
+
+  it('leaves out empty groups and keeps each group newest first', () => {
+    const chats = [chat('a', 3), chat('b', 2)];
+    expect(groupChatsByDate(chats, now)).toEqual([{ label: 'Last 7 days', chats: [chats[1], chats[0]] }]);
+  });
+});
+
+describe('tagsInUse', () => {
+  it('lists tags most used first, then alphabetically', () => {
+    const chats = [
+      { tags: ['work', 'ideas'] },
+      { tags: ['work'] },
+      { tags: ['alpha'] },
+      { tags: null }
+    ];
+    expect(tagsInUse(chats)).toEqual(['work', 'alpha', 'ideas']);
+  });
+});
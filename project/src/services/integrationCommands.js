@@ -0,0 +1,16 @@
+import { registerCommand } from './slashCommands';
+import { executeToolCall } from './assistantTools';
+
+// Slash commands contributed by integrations. Each is offered only while
+// its integration is connected.
+registerCommand({
+  name: 'asana',
+  integration: 'asana',
+  description: 'Create a task in Asana',
+  args: [
+    { name: 'name', type: 'text', required: true, rest: true }
+  ],
+  run: async ({ name }, { user, chat }) => (
+    (await executeToolCall({ name: 'create_asana_task', arguments: { name } }, user.id, chat?.id)).summary
+  )
+});
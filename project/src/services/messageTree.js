@@ -0,0 +1,54 @@
+// Messages of a session form a tree through `parent_id`. Siblings are
+// alternatives (an edited user message or a regenerated reply) and the one
+// flagged `is_active` is shown; the transcript is the path of active
+// messages from the root down.
+
+function childrenByParent(messages) {
+  const children = new Map();
+  for (const message of messages) {
+    const key = message.parent_id || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(message);
+  }
+  for (const siblings of children.values()) {
+    siblings.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+  return children;
+}
+
+// Follow the active child at every level. Falls back to the newest sibling
+// when none is flagged, e.g. while a regenerated reply is still streaming.
+export function activeBranch(messages) {
+  const children = childrenByParent(messages);
+  const branch = [];
+  let parentId = null;
+
+  while (children.has(parentId)) {
+    const siblings = children.get(parentId);
+    const next = siblings.find(m => m.is_active) || siblings[siblings.length - 1];
+    branch.push(next);
+    parentId = next.id;
+  }
+  return branch;
+}
+
+// Alternatives of a message, itself included, oldest first
+export function siblingsOf(messages, message) {
+  const parentId = message.parent_id || null;
+  return messages
+    .filter(m => (m.parent_id || null) === parentId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+// Mark `message` as the active alternative among its siblings
+export function activate(messages, message) {
+  const parentId = message.parent_id || null;
+  return messages.map(m => ((m.parent_id || null) === parentId ? { ...m, is_active: m.id === message.id } : m));
+}
+
+// Replace a chat's message rows, re-deriving the transcript. `allMessages`
+// keeps every alternative; `messages` is the active branch that the rest of
+// the app reads.
+export function withMessages(chat, allMessages) {
+  return { ...chat, allMessages, messages: activeBranch(allMessages) };
+}
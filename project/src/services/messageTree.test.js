@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { activeBranch, activate, siblingsOf, withMessages } from './messageTree';
+
+const message = (id, parentId, minute, isActive = false) => ({
+  id,
+  parent_id: parentId,
+  created_at: `2025-04-28T10:${String(minute).padStart(2, '0')}:00Z`,
+  is_active: isActive
+});
+
+// A question edited once, and the original question's reply regenerated
+const messages = [
+  message('system', null, 0),
+  message('question', 'system', 1),
+  message('edited', 'system', 5, true),
+  message('reply', 'question', 2),
+  message('regenerated', 'question', 3, true),
+  message('edited-reply', 'edited', 6)
+];
+
+const ids = branch => branch.map(m => m.id);
+
+describe('activeBranch', () => {
+  it('follows the active sibling at every level', () => {
+    expect(ids(activeBranch(messages))).toEqual(['system', 'edited', 'edited-reply']);
+  });
+
+  it('falls back to the newest sibling when none is active', () => {
+    const unflagged = messages.map(m => ({ ...m, is_active: false }));
+    expect(ids(activeBranch(unflagged))).toEqual(['system', 'edited', 'edited-reply']);
+  });
+
+  it('switches branches once another sibling is activated', () => {
+    const original = messages.find(m => m.id === 'question');
+    expect(ids(activeBranch(activate(messages, original)))).toEqual(['system', 'question', 'regenerated']);
+  });
+
+  it('is empty for a chat without messages', () => {
+    expect(activeBranch([])).toEqual([]);
+  });
+});
+
+describe('siblingsOf', () => {
+  it('lists the alternatives of a message oldest first', () => {
+    const reply = messages.find(m => m.id === 'regenerated');
+    expect(ids(siblingsOf(messages, reply))).toEqual(['reply', 'regenerated']);
+  });
+});
+
+describe('withMessages', () => {
+  it('keeps every alternative and shows the active branch', () => {
+    const chat = withMessages({ id: 'chat-1', title: 'Plans' }, messages);
+    expect(chat.title).toBe('Plans');
+    expect(chat.allMessages).toBe(messages);
+    expect(ids(chat.messages)).toEqual(['system', 'edited', 'edited-reply']);
+  });
+});
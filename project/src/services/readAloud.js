@@ -0,0 +1,247 @@
+import { synthesizeSpeech } from '../api/openaiApi';
+
+// Reads assistant replies aloud a sentence at a time, so speech starts
+// while the reply is still streaming. There is one reader per page: the
+// chat feeds it, and the read-aloud controls and voice mode barge-in all act
+// on the same queue.
+//
+// A reading starts with `startReading(settings)`, where settings are
+// `{ engine, voice, rate, pitch, lang, onError }`: `engine` is `browser`
+// (the speech synthesizer, `voice` a voiceURI) or `server` (`/api/tts`,
+// `voice` one of its voices; pitch is not supported). `feedReading(text)`
+// takes the reply so far and queues its finished sentences;
+// `finishReading(text)` queues the rest.
+
+const SENTENCE_END = /[.!?…]+["'”’)\]]*\s+|\n+/g;
+const FENCE = /```/g;
+
+// Markdown as it would be read: code blocks, links and formatting are not
+// spoken, and neither are citation markers like [2]
+export function speakableText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/^\s*(#+|[-*+]|\d+\.|>)\s+/gm, '')
+    .replace(/[*_~]+/g, '');
+}
+
+export function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    sentences.push(text.slice(start, match.index + match[0].length));
+    start = match.index + match[0].length;
+  }
+  sentences.push(text.slice(start));
+  return sentences.map(sentence => sentence.trim()).filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+// Where the finished sentences of `text` end: after the last sentence end
+// that isn't inside a code block
+function lastSentenceEnd(text) {
+  let end = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const position = match.index + match[0].length;
+    if ((text.slice(0, position).match(FENCE) || []).length % 2 === 0) {
+      end = position;
+    }
+  }
+  return end;
+}
+
+const synthesizer = () => ('speechSynthesis' in window ? window.speechSynthesis : null);
+
+// Some browsers stay paused after cancel(), which would mute what's next
+function silenceSynthesizer() {
+  synthesizer()?.cancel();
+  synthesizer()?.resume();
+}
+
+let settings = {};
+let queue = [];
+let current = null;
+let consumed = 0;
+let isPaused = false;
+const listeners = new Set();
+
+const notify = () => {
+  const state = readingState();
+  listeners.forEach(listener => listener(state));
+};
+
+export function readingState() {
+  return { isReading: !!current || queue.length > 0, isPaused };
+}
+
+// Calls `listener(readingState())` whenever it changes; returns the
+// unsubscribe function
+export function subscribeReading(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Server audio is requested for the sentence playing and the one after it,
+// so the next one is usually ready when the current one ends
+function prefetch(item) {
+  if (settings.engine !== 'server' || !item || item.audio) return;
+  item.controller = new AbortController();
+  item.audio = synthesizeSpeech(item.text, {
+    voice: settings.voice,
+    speed: settings.rate,
+    signal: item.controller.signal
+  });
+  // Failures are reported when the sentence's turn comes
+  item.audio.catch(() => {});
+}
+
+function release(item) {
+  item.controller?.abort();
+  if (item.player) {
+    item.player.pause();
+    URL.revokeObjectURL(item.player.src);
+  }
+}
+
+function playBrowser(item) {
+  const speech = synthesizer();
+  if (!speech) {
+    settings.onError?.('Speech synthesis is not supported in your browser');
+    stopReading();
+    return;
+  }
+
+  const utterance = new SpeechSynthesisUtterance(item.text);
+  const voice = speech.getVoices().find(v => v.voiceURI === settings.voice);
+  if (voice) utterance.voice = voice;
+  if (settings.lang) utterance.lang = voice?.lang || settings.lang;
+  utterance.rate = settings.rate || 1;
+  utterance.pitch = settings.pitch || 1;
+  // Cancelling ends the utterance too; only the current one moves on
+  utterance.onend = () => current === item && playNext();
+  utterance.onerror = () => current === item && playNext();
+  speech.speak(utterance);
+}
+
+async function playServer(item) {
+  prefetch(item);
+  let blob;
+  try {
+    blob = await item.audio;
+  } catch (error) {
+    if (current !== item) return;
+    console.error('Error synthesizing speech:', error.message);
+    settings.onError?.('Failed to read the reply aloud');
+    stopReading();
+    return;
+  }
+  if (current !== item) return;
+
+  item.player = new Audio(URL.createObjectURL(blob));
+  item.player.onended = () => current === item && playNext();
+  if (!isPaused) {
+    item.player.play().catch((error) => {
+      console.error('Error playing speech:', error.message);
+      if (current === item) playNext();
+    });
+  }
+}
+
+function playNext() {
+  if (current) release(current);
+  current = queue.shift() || null;
+  if (current) {
+    prefetch(queue[0]);
+    if (settings.engine === 'server') {
+      playServer(current);
+    } else {
+      playBrowser(current);
+    }
+  } else {
+    isPaused = false;
+  }
+  notify();
+}
+
+function enqueue(text) {
+  const sentences = splitSentences(speakableText(text));
+  if (sentences.length === 0) return;
+  queue.push(...sentences.map(sentence => ({ text: sentence })));
+  if (!current && !isPaused) {
+    playNext();
+  } else {
+    prefetch(queue[0]);
+    notify();
+  }
+}
+
+export function startReading(nextSettings) {
+  stopReading();
+  settings = nextSettings;
+}
+
+export function feedReading(text) {
+  const end = consumed + lastSentenceEnd(text.slice(consumed));
+  if (end > consumed) {
+    enqueue(text.slice(consumed, end));
+    consumed = end;
+  }
+}
+
+export function finishReading(text) {
+  if (text.length > consumed) {
+    enqueue(text.slice(consumed));
+  }
+  consumed = 0;
+}
+
+export function pauseReading() {
+  if (!current || isPaused) return;
+  isPaused = true;
+  if (settings.engine === 'server') {
+    current.player?.pause();
+  } else {
+    synthesizer()?.pause();
+  }
+  notify();
+}
+
+export function resumeReading() {
+  if (!isPaused) return;
+  isPaused = false;
+  if (settings.engine === 'server') {
+    current?.player?.play().catch(error => console.error('Error playing speech:', error.message));
+  } else {
+    synthesizer()?.resume();
+  }
+  notify();
+}
+
+// Moves on to the next sentence; a paused reading resumes with it
+export function skipSentence() {
+  if (!current) return;
+  const skipped = current;
+  current = null;
+  release(skipped);
+  if (settings.engine !== 'server') {
+    silenceSynthesizer();
+  }
+  isPaused = false;
+  playNext();
+}
+
+export function stopReading() {
+  queue.forEach(release);
+  queue = [];
+  if (current) {
+    const stopped = current;
+    current = null;
+    release(stopped);
+  }
+  silenceSynthesizer();
+  consumed = 0;
+  isPaused = false;
+  notify();
+}
@@ -0,0 +1,61 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+export const shareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// Links to a chat that still work, newest first
+export async function listShares(sessionId) {
+  const { data, error } = await supabase
+    .from('chat_shares')
+    .select('id, token, expires_at, created_at')
+    .eq('session_id', sessionId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  const now = new Date();
+  return (data || []).filter(share => !share.expires_at || new Date(share.expires_at) > now);
+}
+
+// `expiresInDays` null makes a link that works until it is revoked
+export async function createShare(userId, sessionId, expiresInDays = null) {
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  const { data, error } = await supabase
+    .from('chat_shares')
+    .insert({ user_id: userId, session_id: sessionId, expires_at: expiresAt })
+    .select('id, token, expires_at, created_at')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function revokeShare(shareId) {
+  const { error } = await supabase
+    .from('chat_shares')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', shareId);
+
+  if (error) throw error;
+}
+
+// The shared conversation as visitors see it: the user and assistant
+// messages of the active branch, which is all `get_shared_chat` returns.
+// Null when the link is unknown, revoked or expired.
+export async function loadSharedChat(token) {
+  const { data, error } = await supabase.rpc('get_shared_chat', { share_token: token });
+
+  if (error) throw error;
+  if (!data) return null;
+  return {
+    ...data,
+    messages: data.messages.filter(m => m.content)
+  };
+}
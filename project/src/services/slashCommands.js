@@ -0,0 +1,369 @@
+import { addDays, addMinutes, isValid, parseISO, startOfDay } from 'date-fns';
+import { executeToolCall } from './assistantTools';
+import { fetchFromOpenAI } from '../api/openaiApi';
+
+// Commands typed into the composer as `/name arguments`. They run directly
+// against the task, calendar, email and chat APIs instead of being sent to
+// the assistant.
+//
+// A command is `{ name, description, args, run, integration, requiresChat }`:
+// - `args` are typed (`text`, `number`, `email`, `date`, `datetime` or
+//   `choice` with `options`). They are given in order, or as `name:value`
+//   when marked `named`; a `rest` argument takes the remaining words.
+//   Values with spaces can be quoted.
+// - `run(values, context)` may resolve with a message to show the user.
+// - `integration` offers the command only while that integration is
+//   connected, which is how integrations contribute their own commands.
+const commands = new Map();
+
+// Add a command, replacing one of the same name. Returns a function that
+// removes it again.
+export function registerCommand(command) {
+  commands.set(command.name, { args: [], ...command });
+  return () => {
+    if (commands.get(command.name)?.run === command.run) {
+      commands.delete(command.name);
+    }
+  };
+}
+
+// Commands usable in `context`, by name
+export function availableCommands(context) {
+  return [...commands.values()]
+    .filter(command => !command.integration || context.connected?.has(command.integration))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function findCommand(name, context) {
+  return availableCommands(context).find(command => command.name === name.toLowerCase()) || null;
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Events scheduled for a day without a time start at 9:00
+const DEFAULT_EVENT_HOUR = 9;
+
+// `today`, `tomorrow`, a weekday (the next one, never today) or `2025-05-01`
+function parseDay(text) {
+  const value = text.toLowerCase();
+  const today = startOfDay(new Date());
+
+  if (value === 'today') return today;
+  if (value === 'tomorrow') return addDays(today, 1);
+
+  const weekday = value.length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(value)) : -1;
+  if (weekday !== -1) return addDays(today, ((weekday - today.getDay() + 7) % 7) || 7);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = parseISO(value);
+    if (isValid(date)) return date;
+  }
+  return null;
+}
+
+// `14:00`, `9am` or `2:30pm`; a bare number is not a time
+function parseTime(text) {
+  const match = text.match(TIME_PATTERN);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+  }
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+function parseDateTime(text) {
+  if (text.includes('T')) {
+    const date = parseISO(text);
+    if (isValid(date)) return date;
+  }
+
+  const [dayText, timeText, ...extra] = text.split(/\s+/);
+  let day = parseDay(dayText);
+  let time = timeText ? parseTime(timeText) : null;
+  if (!day && !timeText) {
+    // A time alone is today
+    time = parseTime(dayText);
+    day = time && startOfDay(new Date());
+  }
+  if (day && (time || !timeText) && extra.length === 0) {
+    const date = new Date(day);
+    date.setHours(time ? time.hours : DEFAULT_EVENT_HOUR, time ? time.minutes : 0);
+    return date;
+  }
+  throw new Error('expected a date and time like "tomorrow 14:00" or 2025-05-01T09:30');
+}
+
+function choicesOf(arg, context) {
+  return typeof arg.options === 'function' ? arg.options(context) : arg.options || [];
+}
+
+const ARG_TYPES = {
+  text: value => value,
+  number: (value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error('expected a number');
+    return number;
+  },
+  email: (value) => {
+    if (!EMAIL_PATTERN.test(value)) throw new Error(`"${value}" is not an email address`);
+    return value;
+  },
+  date: (value) => {
+    const date = parseDay(value);
+    if (!date) throw new Error('expected a date like today, friday or 2025-05-01');
+    return date;
+  },
+  datetime: parseDateTime,
+  choice: (value, arg, context) => {
+    const choices = choicesOf(arg, context);
+    const choice = choices.find(option => option.toLowerCase() === value.toLowerCase());
+    if (!choice) throw new Error(`expected one of ${choices.join(', ')}`);
+    return choice;
+  }
+};
+
+// `/task <title…> [due:date] [priority:low|medium|high]`
+export function commandUsage(command) {
+  const parts = command.args.map((arg) => {
+    const choices = Array.isArray(arg.options) ? arg.options.join('|') : null;
+    const label = arg.named
+      ? `${arg.name}:${choices || arg.type}`
+      : choices || `${arg.name}${arg.rest ? '…' : ''}`;
+    return arg.required ? `<${label}>` : `[${label}]`;
+  });
+  return [`/${command.name}`, ...parts].join(' ');
+}
+
+// Words, `"quoted values"` and `name:value` / `name:"quoted value"` pairs,
+// with where each starts in `text`
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(?:([A-Za-z_]\w*):)?(?:"([^"]*)"?|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    tokens.push({ name: match[1]?.toLowerCase() || null, value: match[2] ?? match[3] ?? '', raw: match[0], start: match.index });
+  }
+  return tokens;
+}
+
+// Split tokens into named values and positional ones; `name:` prefixes that
+// aren't arguments of the command (a URL, "Re: ...") stay part of the text
+function splitTokens(command, tokens) {
+  const named = {};
+  const positional = [];
+  for (const token of tokens) {
+    const arg = token.name && command.args.find(a => a.named && a.name === token.name);
+    if (arg) {
+      named[arg.name] = token.value;
+    } else {
+      positional.push(token.name ? { ...token, value: token.raw } : token);
+    }
+  }
+  return { named, positional };
+}
+
+function parseArguments(command, text, context) {
+  const { named: values, positional: tokens } = splitTokens(command, tokenize(text));
+  const usage = `Usage: ${commandUsage(command)}`;
+
+  let index = 0;
+  for (const arg of command.args.filter(a => !a.named)) {
+    if (index >= tokens.length) break;
+    if (arg.rest) {
+      values[arg.name] = tokens.slice(index).map(token => token.value).join(' ');
+      index = tokens.length;
+    } else if (arg.type === 'datetime' && tokens[index + 1] && parseTime(tokens[index + 1].value)) {
+      // "friday 3pm" is one date-time
+      values[arg.name] = `${tokens[index].value} ${tokens[index + 1].value}`;
+      index += 2;
+    } else {
+      values[arg.name] = tokens[index].value;
+      index += 1;
+    }
+  }
+  if (index < tokens.length) {
+    throw new Error(`Too many arguments. ${usage}`);
+  }
+
+  for (const arg of command.args) {
+    const value = values[arg.name]?.trim();
+    if (!value) {
+      if (arg.required) throw new Error(`Missing ${arg.name}. ${usage}`);
+      delete values[arg.name];
+      continue;
+    }
+    try {
+      values[arg.name] = ARG_TYPES[arg.type](value, arg, context);
+    } catch (error) {
+      throw new Error(`Invalid ${arg.name}: ${error.message}. ${usage}`);
+    }
+  }
+  return values;
+}
+
+// `{ command, values }` for input that names an available command, null for
+// anything else (which is sent as a normal message). Throws with a message
+// for the user when the arguments don't fit.
+export function parseCommand(input, context) {
+  const match = input.trim().match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+  const command = match && findCommand(match[1], context);
+  if (!command) return null;
+
+  if (command.requiresChat && !context.chat) {
+    throw new Error(`Open a chat to use /${command.name}`);
+  }
+  return { command, values: parseArguments(command, match[2] || '', context) };
+}
+
+// The argument being typed at the end of `text`, and what has been typed of
+// it as written (including an opening quote)
+function argumentAt(command, text) {
+  const tokens = tokenize(text);
+  const typing = /\s$/.test(text) || !tokens.length ? null : tokens[tokens.length - 1];
+
+  // `priority:` on its own doesn't tokenize as a pair yet
+  const pair = typing && (typing.name ? [typing.name, typing.raw.slice(typing.name.length + 1)]
+    : typing.raw.match(/^([A-Za-z_]\w*):$/)?.slice(1, 2).concat(''));
+  const namedArg = pair && command.args.find(a => a.named && a.name === pair[0].toLowerCase());
+  if (namedArg) return { arg: namedArg, partial: pair[1] };
+
+  const { positional } = splitTokens(command, typing ? tokens.slice(0, -1) : tokens);
+  let index = 0;
+  for (const arg of command.args.filter(a => !a.named)) {
+    if (arg.rest) {
+      const first = positional[index] || typing;
+      return { arg, partial: first ? text.slice(first.start).trim() : '' };
+    }
+    if (index === positional.length) return { arg, partial: typing?.raw || '' };
+    index += 1;
+  }
+  return null;
+}
+
+// What to offer while `input` is typed: `options` are completions, each
+// `{ label, detail, value }` where `value` replaces the input; `hint` is the
+// usage of the command being filled in.
+export function commandSuggestions(input, context) {
+  const typingName = input.match(/^\/([\w-]*)$/);
+  if (typingName) {
+    const prefix = typingName[1].toLowerCase();
+    return {
+      hint: null,
+      options: availableCommands(context)
+        .filter(command => command.name.startsWith(prefix))
+        .map(command => ({ label: commandUsage(command), detail: command.description, value: `/${command.name} ` }))
+    };
+  }
+
+  const match = input.match(/^\/([a-z][\w-]*)\s([\s\S]*)$/i);
+  const command = match && findCommand(match[1], context);
+  if (!command) return { hint: null, options: [] };
+
+  const hint = commandUsage(command);
+  const current = argumentAt(command, match[2]);
+  if (!current?.arg.options) return { hint, options: [] };
+
+  const { arg, partial } = current;
+  const typed = partial.replace(/^"/, '').toLowerCase();
+  const before = input.slice(0, input.length - partial.length);
+  return {
+    hint,
+    options: choicesOf(arg, context)
+      .filter(option => option.toLowerCase().startsWith(typed) && option.toLowerCase() !== typed)
+      .slice(0, 8)
+      .map(option => ({
+        label: option,
+        detail: null,
+        value: `${before}${!arg.rest && /\s/.test(option) ? `"${option}"` : option} `
+      }))
+  };
+}
+
+const SUMMARY_PROMPT = 'Summarize this conversation so far in a few sentences: the topics, decisions, ' +
+  'open questions and commitments. Output only the summary.';
+
+registerCommand({
+  name: 'task',
+  description: 'Create a task',
+  args: [
+    { name: 'title', type: 'text', required: true, rest: true },
+    { name: 'due', type: 'date', named: true },
+    { name: 'priority', type: 'choice', named: true, options: ['low', 'medium', 'high'] }
+  ],
+  run: async ({ title, due, priority }, { user, chat }) => {
+    const call = { name: 'create_task', arguments: { title, deadline: due?.toISOString(), priority } };
+    return (await executeToolCall(call, user.id, chat?.id)).summary;
+  }
+});
+
+registerCommand({
+  name: 'schedule',
+  description: 'Add an event to your calendar',
+  args: [
+    { name: 'when', type: 'datetime', required: true },
+    { name: 'title', type: 'text', required: true, rest: true },
+    { name: 'minutes', type: 'number', named: true }
+  ],
+  run: async ({ when, title, minutes = 60 }, { user, chat }) => {
+    const call = {
+      name: 'create_calendar_event',
+      arguments: { title, start: when.toISOString(), end: addMinutes(when, minutes).toISOString() }
+    };
+    return (await executeToolCall(call, user.id, chat?.id)).summary;
+  }
+});
+
+registerCommand({
+  name: 'email',
+  description: 'Send an email from Gmail',
+  args: [
+    { name: 'to', type: 'email', required: true },
+    { name: 'subject', type: 'text', required: true },
+    { name: 'body', type: 'text', required: true, rest: true }
+  ],
+  run: async (args, { user, chat }) => (
+    (await executeToolCall({ name: 'send_email', arguments: args }, user.id, chat?.id)).summary
+  )
+});
+
+registerCommand({
+  name: 'persona',
+  description: 'Start a new chat with a persona',
+  args: [
+    { name: 'name', type: 'choice', required: true, rest: true, options: ({ prompts = [] }) => prompts.map(p => p.title) }
+  ],
+  run: async ({ name }, { prompts, startPersona }) => {
+    await startPersona(prompts.find(prompt => prompt.title === name));
+  }
+});
+
+// Stored as the chat's running summary, where the assistant reads it back
+registerCommand({
+  name: 'summarize',
+  description: 'Summarize this chat into its summary',
+  requiresChat: true,
+  run: async (_args, { chat, getBranchLeaf, updateChatSummary }) => {
+    const { message } = await fetchFromOpenAI(chat.id, SUMMARY_PROMPT, getBranchLeaf(chat.id), { tools: false });
+    // An empty answer keeps the summary the chat already has
+    if (!message?.trim()) throw new Error('The assistant returned an empty summary');
+    await updateChatSummary(chat.id, message);
+  }
+});
+
+registerCommand({
+  name: 'export',
+  description: 'Download this chat',
+  requiresChat: true,
+  args: [
+    { name: 'format', type: 'choice', options: ['markdown', 'json', 'pdf'] }
+  ],
+  run: async ({ format = 'markdown' }, { chat, exportChats }) => {
+    await exportChats([chat.id], format);
+  }
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { addDays, startOfDay } from 'date-fns';
+import { parseCommand, commandUsage, registerCommand } from './slashCommands';
+import { fetchFromOpenAI } from '../api/openaiApi';
+
+vi.mock('../api/openaiApi', () => ({ fetchFromOpenAI: vi.fn() }));
+vi.mock('./assistantTools', () => ({ executeToolCall: vi.fn() }));
+
+const context = { chat: { id: 'chat-1' }, connected: new Set(), prompts: [{ title: 'Code Reviewer' }] };
+
+describe('parseCommand', () => {
+  it('leaves ordinary messages and unknown commands alone', () => {
+    expect(parseCommand('hello there', context)).toBeNull();
+    expect(parseCommand('/nonsense', context)).toBeNull();
+  });
+
+  it('reads named arguments anywhere and the rest as text', () => {
+    const { command, values } = parseCommand('/task Write the report priority:HIGH due:2025-05-01', context);
+    expect(command.name).toBe('task');
+    expect(values.title).toBe('Write the report');
+    expect(values.priority).toBe('high');
+    expect(values.due).toEqual(new Date(2025, 4, 1));
+  });
+
+  it('keeps colons that are not arguments in the text', () => {
+    const { values } = parseCommand('/task Read https://example.com/post', context);
+    expect(values.title).toBe('Read https://example.com/post');
+  });
+
+  it('takes quoted values as one argument', () => {
+    const { values } = parseCommand('/email ada@example.com "Lunch plans" See you at noon', context);
+    expect(values).toEqual({ to: 'ada@example.com', subject: 'Lunch plans', body: 'See you at noon' });
+  });
+
+  it('reads a day and a time as one date-time', () => {
+    const { values } = parseCommand('/schedule tomorrow 2:30pm Dentist minutes:30', context);
+    const expected = addDays(startOfDay(new Date()), 1);
+    expected.setHours(14, 30);
+    expect(values.when).toEqual(expected);
+    expect(values.title).toBe('Dentist');
+    expect(values.minutes).toBe(30);
+  });
+
+  it('matches choices case-insensitively, including ones from the context', () => {
+    expect(parseCommand('/persona code reviewer', context).values.name).toBe('Code Reviewer');
+  });
+
+  it('explains missing and invalid arguments with the usage', () => {
+    expect(() => parseCommand('/task', context)).toThrow('Missing title. Usage: /task <title…> [due:date] [priority:low|medium|high]');
+    expect(() => parseCommand('/task Call Bob priority:urgent', context)).toThrow('Invalid priority: expected one of low, medium, high');
+    expect(() => parseCommand('/email not-an-address Hi there', context)).toThrow('"not-an-address" is not an email address');
+    expect(() => parseCommand('/schedule 14:00 Standup minutes:soon', context)).toThrow('Invalid minutes: expected a number');
+  });
+
+  it('rejects extra arguments', () => {
+    expect(() => parseCommand('/export markdown json', context)).toThrow('Too many arguments');
+  });
+
+  it('requires an open chat for chat commands', () => {
+    expect(() => parseCommand('/summarize', { ...context, chat: null })).toThrow('Open a chat to use /summarize');
+  });
+
+  it('offers integration commands only while connected', () => {
+    const remove = registerCommand({ name: 'ticket', integration: 'asana', run: vi.fn() });
+    expect(parseCommand('/ticket', context)).toBeNull();
+    expect(parseCommand('/ticket', { ...context, connected: new Set(['asana']) }).command.name).toBe('ticket');
+    remove();
+  });
+});
+
+describe('commandUsage', () => {
+  it('lists positional, named and choice arguments', () => {
+    const { command } = parseCommand('/schedule 9am Standup', context);
+    expect(commandUsage(command)).toBe('/schedule <when> <title…> [minutes:number]');
+  });
+});
+
+describe('/summarize', () => {
+  const run = (updateChatSummary) => {
+    const { command, values } = parseCommand('/summarize', context);
+    return command.run(values, { ...context, getBranchLeaf: () => 'leaf-1', updateChatSummary });
+  };
+
+  beforeEach(() => {
+    fetchFromOpenAI.mockReset();
+  });
+
+  it('asks for a summary without tools and saves it', async () => {
+    fetchFromOpenAI.mockResolvedValue({ message: 'We planned the launch.' });
+    const updateChatSummary = vi.fn();
+    await run(updateChatSummary);
+    expect(fetchFromOpenAI).toHaveBeenCalledWith('chat-1', expect.any(String), 'leaf-1', { tools: false });
+    expect(updateChatSummary).toHaveBeenCalledWith('chat-1', 'We planned the launch.');
+  });
+
+  it('keeps the existing summary when the answer is empty', async () => {
+    fetchFromOpenAI.mockResolvedValue({ message: '', toolCalls: [{ name: 'create_task' }] });
+    const updateChatSummary = vi.fn();
+    await expect(run(updateChatSummary)).rejects.toThrow('empty summary');
+    expect(updateChatSummary).not.toHaveBeenCalled();
+  });
+});
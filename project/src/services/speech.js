@@ -0,0 +1,73 @@
+// Browser speech recognition for voice mode, and the voice preferences it
+// shares with reading replies aloud (services/readAloud.js).
+export const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+// Stored in `profiles.voice_preferences`; missing keys fall back to these
+export const DEFAULT_VOICE_PREFERENCES = {
+  wake_phrase_enabled: false,
+  wake_phrase: 'Hey Nova',
+  silence_seconds: 1.5,
+  // Reading replies aloud: `browser` is the browser's speech synthesizer,
+  // `server` is /api/tts. Voices are a browser voiceURI or a server voice
+  // name, by engine; empty is the engine's default.
+  read_aloud: false,
+  tts_engine: 'browser',
+  tts_voice: '',
+  tts_rate: 1,
+  tts_pitch: 1,
+  // Prompt id to the voice that persona speaks in
+  persona_voices: {}
+};
+
+// Offered in voice settings; any BCP 47 tag the browser supports works
+export const SPEECH_LANGUAGES = [
+  ['en-US', 'English (United States)'],
+  ['en-GB', 'English (United Kingdom)'],
+  ['de-DE', 'Deutsch'],
+  ['es-ES', 'Español'],
+  ['fr-FR', 'Français'],
+  ['it-IT', 'Italiano'],
+  ['nl-NL', 'Nederlands'],
+  ['pl-PL', 'Polski'],
+  ['pt-BR', 'Português (Brasil)'],
+  ['sv-SE', 'Svenska'],
+  ['tr-TR', 'Türkçe'],
+  ['ja-JP', '日本語'],
+  ['ko-KR', '한국어'],
+  ['zh-CN', '中文 (简体)']
+];
+
+// The profile's language, or the browser's when none is set
+export function speechLanguage(profileLanguage) {
+  return profileLanguage || navigator.language || 'en-US';
+}
+
+const words = text => text.split(/\s+/).filter(Boolean);
+const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// What was said after the wake phrase, or null when `text` doesn't contain
+// it. Case and punctuation are ignored ("hey, Nova!" wakes "Hey Nova").
+export function afterWakePhrase(text, phrase) {
+  const spoken = words(text);
+  const heard = spoken.map(normalize);
+  const wake = words(phrase).map(normalize).filter(Boolean);
+  if (wake.length === 0) return text;
+
+  for (let start = 0; start + wake.length <= heard.length; start += 1) {
+    if (wake.every((word, offset) => heard[start + offset] === word)) {
+      return spoken.slice(start + wake.length).join(' ');
+    }
+  }
+  return null;
+}
+
+// The voice a chat's replies are read in: its persona's, else the default
+export function readingVoice(preferences, promptId) {
+  return (promptId && preferences.persona_voices?.[promptId]) || preferences.tts_voice;
+}
+
+// Seconds into a recording as m:ss
+export function formatSpeechTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
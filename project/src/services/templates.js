@@ -0,0 +1,42 @@
+import { format } from 'date-fns';
+
+// `{{client_name}}`-style placeholders; whitespace inside the braces is allowed
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Filled in automatically when the template is used, never asked for
+export const BUILT_IN_VARIABLES = {
+  today: () => format(new Date(), 'PPP'),
+  now: () => format(new Date(), 'PPP p'),
+  weekday: () => format(new Date(), 'EEEE')
+};
+
+// Names the user has to fill in, in order of first appearance
+export function templateVariables(text = '') {
+  const names = [];
+  for (const [, name] of text.matchAll(VARIABLE_PATTERN)) {
+    if (!(name in BUILT_IN_VARIABLES) && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+// Placeholders without a value are left in place, so a template used without
+// its form still shows what was expected
+export function fillTemplate(text = '', values = {}) {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (name in BUILT_IN_VARIABLES) return BUILT_IN_VARIABLES[name]();
+    return name in values ? values[name] : placeholder;
+  });
+}
+
+// `client_name` -> "Client name"
+export function variableLabel(name) {
+  const words = name.replace(/_+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Date-like names get a date picker in the generated form
+export function variableInputType(name) {
+  return /(^|_)(date|deadline|due)($|_)/i.test(name) ? 'date' : 'text';
+}
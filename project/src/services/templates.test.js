@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { templateVariables, fillTemplate, variableLabel, variableInputType } from './templates';
+
+describe('templateVariables', () => {
+  it('lists the names to ask for once each, in order, without built-ins', () => {
+    const text = 'Write to {{ client_name }} about {{topic}} on {{today}}. Thank {{client_name}}.';
+    expect(templateVariables(text)).toEqual(['client_name', 'topic']);
+  });
+
+  it('ignores text that only looks like a placeholder', () => {
+    expect(templateVariables('{{1st}} {{ }} {single}')).toEqual([]);
+  });
+});
+
+describe('fillTemplate', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('replaces placeholders with their values', () => {
+    expect(fillTemplate('Hi {{ name }}, re: {{topic}}', { name: 'Ada', topic: 'launch' })).toBe('Hi Ada, re: launch');
+  });
+
+  it('leaves placeholders without a value in place', () => {
+    expect(fillTemplate('Hi {{name}}, re: {{topic}}', { name: 'Ada' })).toBe('Hi Ada, re: {{topic}}');
+  });
+
+  it('keeps empty values and special replacement characters as given', () => {
+    expect(fillTemplate('[{{a}}] [{{b}}]', { a: '', b: '$& $1' })).toBe('[] [$& $1]');
+  });
+
+  it('fills built-in variables from the current date', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2025, 3, 28, 9, 30));
+    expect(fillTemplate('{{weekday}}, {{today}}')).toBe('Monday, April 28th, 2025');
+  });
+});
+
+describe('variableLabel', () => {
+  it('turns a name into a label', () => {
+    expect(variableLabel('client_name')).toBe('Client name');
+  });
+});
+
+describe('variableInputType', () => {
+  it('asks for dates with a date picker', () => {
+    expect(variableInputType('due_date')).toBe('date');
+    expect(variableInputType('deadline')).toBe('date');
+    expect(variableInputType('update')).toBe('text');
+  });
+});
@@ -0,0 +1,44 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// 950 -> "950", 12400 -> "12.4k", 3200000 -> "3.2M"
+export function formatTokens(count = 0) {
+  const value = Number(count) || 0;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1).replace(/\.0$/, '')}k`;
+  return String(value);
+}
+
+// Small amounts keep enough digits to tell them apart
+export function formatCost(usd = 0) {
+  const value = Number(usd) || 0;
+  if (value === 0) return '$0';
+  if (value < 0.01) return `$${value.toFixed(4)}`;
+  return `$${value.toFixed(2)}`;
+}
+
+// Usage rows per `bucket` ('day' or 'month'), model and kind since `fromDate`,
+// bucketed in the browser's time zone:
+// `[{ period: 'YYYY-MM-DD', provider, model, kind, requests, prompt_tokens, completion_tokens, cost, unpriced }]`,
+// where `cost` covers the priced calls and `unpriced` counts the others
+export async function loadUsage(bucket, fromDate) {
+  const { data, error } = await supabase.rpc('usage_by_period', {
+    bucket,
+    from_date: fromDate.toISOString(),
+    time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  });
+
+  if (error) throw error;
+  return (data || []).map(row => ({
+    ...row,
+    requests: Number(row.requests),
+    prompt_tokens: Number(row.prompt_tokens),
+    completion_tokens: Number(row.completion_tokens),
+    cost: Number(row.cost),
+    unpriced: Number(row.unpriced)
+  }));
+}
@@ -0,0 +1,23 @@
+/*
+  # Add LLM Provider Selection to Chats and Prompts
+
+  1. Changes
+    - Add `provider` and `model` columns to `chat_sessions`
+    - Add `provider` and `model` columns to `chat_prompts`
+    - Restrict `provider` to the providers the API knows about
+
+  2. Notes
+    - NULL means "inherit": a session falls back to its prompt, and a prompt
+      falls back to the deployment default
+
+  3. Security
+    - Existing RLS policies remain unchanged
+*/
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS provider text CHECK (provider IN ('openai', 'anthropic', 'local', 'mock')),
+ADD COLUMN IF NOT EXISTS model text;
+
+ALTER TABLE chat_prompts
+ADD COLUMN IF NOT EXISTS provider text CHECK (provider IN ('openai', 'anthropic', 'local', 'mock')),
+ADD COLUMN IF NOT EXISTS model text;
@@ -0,0 +1,13 @@
+/*
+  # Add Attachments to Chat Messages
+
+  1. Changes
+    - Add `attachments` column to `chat_messages` (jsonb array)
+    - Each entry describes one file sent with the message: `name`, `type`, `size`
+
+  2. Security
+    - Existing RLS policies remain unchanged
+*/
+
+ALTER TABLE chat_messages
+ADD COLUMN IF NOT EXISTS attachments jsonb NOT NULL DEFAULT '[]';
@@ -0,0 +1,20 @@
+/*
+  # Support Assistant Tool Calls in Chat Messages
+
+  1. Changes
+    - Allow `tool` as a `chat_messages.role` for recorded tool results
+    - Add `metadata` column to `chat_messages` (jsonb)
+      - assistant rows: `tool_calls` array of `{ id, name, arguments, status }`
+        where status is one of pending, completed, declined, failed
+      - tool rows: `tool_call_id`, `name`, `status`, `result`
+
+  2. Security
+    - Existing RLS policies remain unchanged
+*/
+
+ALTER TABLE chat_messages DROP CONSTRAINT IF EXISTS chat_messages_role_check;
+ALTER TABLE chat_messages ADD CONSTRAINT chat_messages_role_check
+  CHECK (role IN ('user', 'assistant', 'system', 'tool'));
+
+ALTER TABLE chat_messages
+ADD COLUMN IF NOT EXISTS metadata jsonb NOT NULL DEFAULT '{}';
@@ -0,0 +1,21 @@
+/*
+  # Add Running Summaries to Chat Sessions
+
+  1. Changes
+    - Add `summary` column to `chat_sessions` (text)
+      - Rolling summary of turns that no longer fit the model's context window
+      - Generated by the assistant API and editable by the user
+    - Add `summary_until` column to `chat_sessions` (timestamptz)
+      - `created_at` of the newest message folded into the summary
+    - Add index on `chat_messages (session_id, created_at)` for per-session loading
+
+  2. Security
+    - Existing RLS policies remain unchanged
+*/
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS summary text,
+ADD COLUMN IF NOT EXISTS summary_until timestamptz;
+
+CREATE INDEX IF NOT EXISTS chat_messages_session_created_idx
+  ON chat_messages (session_id, created_at);
@@ -0,0 +1,94 @@
+/*
+  # Full-Text Search Over Chat History
+
+  1. Changes
+    - Add generated `search_vector` columns (tsvector) to `chat_messages` (content)
+      and `chat_sessions` (title), each with a GIN index
+    - Add `search_chat_history` function
+      - Matches session titles and user/assistant message content
+      - Optional filters: persona (`prompt_id`) and a created_at date range
+      - Returns ranked hits with a highlighted snippet; matches are wrapped in
+        `[[hl]]` and `[[/hl]]` markers so the client can render them safely
+
+  2. Security
+    - The function runs as the caller (SECURITY INVOKER), so existing RLS
+      policies limit results to the caller's own sessions
+*/
+
+ALTER TABLE chat_messages
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(title, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS chat_messages_search_idx ON chat_messages USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS chat_sessions_search_idx ON chat_sessions USING gin (search_vector);
+
+CREATE OR REPLACE FUNCTION search_chat_history(
+  search_query text,
+  filter_prompt_id uuid DEFAULT NULL,
+  from_date timestamptz DEFAULT NULL,
+  to_date timestamptz DEFAULT NULL,
+  result_limit integer DEFAULT 50
+)
+RETURNS TABLE (
+  session_id uuid,
+  session_title text,
+  prompt_id uuid,
+  message_id uuid,
+  role text,
+  snippet text,
+  created_at timestamptz,
+  rank real
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', search_query) AS tsq
+  )
+  SELECT * FROM (
+    SELECT
+      s.id,
+      s.title,
+      s.prompt_id,
+      m.id,
+      m.role,
+      ts_headline('english', m.content, query.tsq,
+        'StartSel=[[hl]], StopSel=[[/hl]], MaxWords=30, MinWords=10, MaxFragments=2'),
+      m.created_at,
+      ts_rank(m.search_vector, query.tsq)
+    FROM chat_messages m
+    JOIN chat_sessions s ON s.id = m.session_id
+    CROSS JOIN query
+    WHERE m.search_vector @@ query.tsq
+      AND m.role IN ('user', 'assistant')
+      AND (filter_prompt_id IS NULL OR s.prompt_id = filter_prompt_id)
+      AND (from_date IS NULL OR m.created_at >= from_date)
+      AND (to_date IS NULL OR m.created_at < to_date)
+
+    UNION ALL
+
+    SELECT
+      s.id,
+      s.title,
+      s.prompt_id,
+      NULL::uuid,
+      NULL::text,
+      ts_headline('english', s.title, query.tsq, 'StartSel=[[hl]], StopSel=[[/hl]]'),
+      s.created_at,
+      -- Title hits rank above message hits of similar quality
+      ts_rank(s.search_vector, query.tsq) * 2
+    FROM chat_sessions s
+    CROSS JOIN query
+    WHERE s.search_vector @@ query.tsq
+      AND (filter_prompt_id IS NULL OR s.prompt_id = filter_prompt_id)
+      AND (from_date IS NULL OR s.created_at >= from_date)
+      AND (to_date IS NULL OR s.created_at < to_date)
+  ) AS hits (session_id, session_title, prompt_id, message_id, role, snippet, created_at, rank)
+  ORDER BY rank DESC, created_at DESC
+  LIMIT result_limit;
+$$;
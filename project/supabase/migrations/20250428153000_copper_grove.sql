@@ -0,0 +1,60 @@
+/*
+  # Add Message Branching and Session Forks
+
+  1. Changes
+    - Add `parent_id` column to `chat_messages` (uuid, references chat_messages)
+      - Messages form a tree per session; siblings are alternatives (an edited
+        user message or a regenerated reply)
+      - Existing messages are linked to the previous message of their session
+    - Add `is_active` column to `chat_messages` (boolean, default true)
+      - Marks the alternative shown among its siblings
+    - Add trigger making a newly inserted message the active one among its siblings
+    - Add `parent_session_id` and `forked_from_message_id` columns to `chat_sessions`
+      - Set when a session is forked from another one at a given message
+
+  2. Security
+    - Existing RLS policies remain unchanged
+*/
+
+ALTER TABLE chat_messages
+ADD COLUMN IF NOT EXISTS parent_id uuid REFERENCES chat_messages(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS is_active boolean NOT NULL DEFAULT true;
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS parent_session_id uuid REFERENCES chat_sessions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS forked_from_message_id uuid REFERENCES chat_messages(id) ON DELETE SET NULL;
+
+-- Existing conversations are linear: chain each message to its predecessor
+UPDATE chat_messages m
+SET parent_id = ordered.previous_id
+FROM (
+  SELECT id, lag(id) OVER (PARTITION BY session_id ORDER BY created_at, id) AS previous_id
+  FROM chat_messages
+) ordered
+WHERE m.id = ordered.id
+  AND m.parent_id IS NULL
+  AND ordered.previous_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS chat_messages_parent_idx ON chat_messages (parent_id);
+CREATE INDEX IF NOT EXISTS chat_sessions_parent_session_idx ON chat_sessions (parent_session_id);
+
+-- Function to make a new message the active alternative among its siblings
+CREATE OR REPLACE FUNCTION handle_chat_message_insert()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE chat_messages
+  SET is_active = false
+  WHERE session_id = NEW.session_id
+    AND parent_id IS NOT DISTINCT FROM NEW.parent_id
+    AND id <> NEW.id
+    AND is_active;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for message inserts
+CREATE TRIGGER chat_message_inserted
+  AFTER INSERT ON chat_messages
+  FOR EACH ROW
+  WHEN (NEW.is_active)
+  EXECUTE FUNCTION handle_chat_message_insert();
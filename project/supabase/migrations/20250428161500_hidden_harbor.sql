@@ -0,0 +1,43 @@
+/*
+  # Add Chat Attachment Storage
+
+  1. Changes
+    - Create private `chat-attachments` storage bucket (20 MB per file)
+      - Objects are stored under `<user id>/<uuid>/<file name>`
+    - `chat_messages.attachments` entries gain `path` (object in the bucket),
+      `kind` (`image` or `document`) and, for documents, the extracted `text`
+
+  2. Security
+    - Users can upload, read and delete only objects in their own folder
+*/
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('chat-attachments', 'chat-attachments', false, 20971520)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can upload own chat attachments"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'chat-attachments'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Users can read own chat attachments"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'chat-attachments'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Users can delete own chat attachments"
+  ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'chat-attachments'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,113 @@
+/*
+  # User-Owned Personas with Version History
+
+  1. Changes
+    - Add `user_id` column to `chat_prompts` (uuid, references auth.users)
+      - NULL for the built-in default prompts
+    - Add `version` column to `chat_prompts` (integer, starts at 1)
+    - New table `chat_prompt_versions`
+      - Snapshot of a prompt (`title`, `emoji`, `system_prompt`, `provider`,
+        `model`) taken before each edit, keyed by `prompt_id` and `version`
+    - Add trigger that snapshots a prompt and bumps `version` when its
+      content changes
+    - `chat_sessions.prompt_id` is set to NULL when its prompt is deleted;
+      sessions keep the persona text in their system message
+
+  2. Security
+    - Users can read default prompts and their own prompts
+    - Users can create, update and delete only their own, non-default prompts
+    - Users can read and create versions only of their own prompts
+*/
+
+ALTER TABLE chat_prompts
+ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS chat_prompts_user_idx ON chat_prompts (user_id);
+
+CREATE POLICY "Users can read own prompts"
+  ON chat_prompts
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create own prompts"
+  ON chat_prompts
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (user_id = auth.uid() AND is_default = false);
+
+CREATE POLICY "Users can update own prompts"
+  ON chat_prompts
+  FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid() AND is_default = false);
+
+CREATE POLICY "Users can delete own prompts"
+  ON chat_prompts
+  FOR DELETE
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Create chat_prompt_versions table
+CREATE TABLE IF NOT EXISTS chat_prompt_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  prompt_id uuid NOT NULL REFERENCES chat_prompts(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  title text NOT NULL,
+  emoji text,
+  system_prompt text NOT NULL,
+  provider text,
+  model text,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (prompt_id, version)
+);
+
+ALTER TABLE chat_prompt_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read versions of their own prompts"
+  ON chat_prompt_versions
+  FOR SELECT
+  TO authenticated
+  USING (
+    prompt_id IN (
+      SELECT id FROM chat_prompts WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can create versions of their own prompts"
+  ON chat_prompt_versions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    prompt_id IN (
+      SELECT id FROM chat_prompts WHERE user_id = auth.uid()
+    )
+  );
+
+-- Function to snapshot a prompt before its content changes
+CREATE OR REPLACE FUNCTION handle_prompt_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.title, NEW.emoji, NEW.system_prompt, NEW.provider, NEW.model)
+     IS DISTINCT FROM (OLD.title, OLD.emoji, OLD.system_prompt, OLD.provider, OLD.model) THEN
+    INSERT INTO chat_prompt_versions (prompt_id, version, title, emoji, system_prompt, provider, model)
+    VALUES (OLD.id, OLD.version, OLD.title, OLD.emoji, OLD.system_prompt, OLD.provider, OLD.model);
+    NEW.version = OLD.version + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for prompt content changes
+CREATE TRIGGER prompt_versioned
+  BEFORE UPDATE ON chat_prompts
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_prompt_version();
+
+-- Deleting a persona must not delete or block the chats that used it
+ALTER TABLE chat_sessions
+DROP CONSTRAINT IF EXISTS chat_sessions_prompt_id_fkey,
+ADD CONSTRAINT chat_sessions_prompt_id_fkey
+  FOREIGN KEY (prompt_id) REFERENCES chat_prompts(id) ON DELETE SET NULL;
@@ -0,0 +1,51 @@
+/*
+  # Prompt Snippet Library
+
+  1. New Tables
+    - `prompt_snippets`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, references auth.users)
+      - `title` (text)
+      - `content` (text, may contain `{{variables}}`)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `prompt_snippets`
+    - Add policies for authenticated users to manage their own snippets
+*/
+
+CREATE TABLE IF NOT EXISTS prompt_snippets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  title text NOT NULL,
+  content text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS prompt_snippets_user_idx ON prompt_snippets (user_id);
+
+ALTER TABLE prompt_snippets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own snippets"
+  ON prompt_snippets
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Function to handle snippet updates
+CREATE OR REPLACE FUNCTION handle_snippet_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for snippet updates
+CREATE TRIGGER snippet_updated
+  BEFORE UPDATE ON prompt_snippets
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_snippet_update();
@@ -0,0 +1,94 @@
+/*
+  # Long-Term Assistant Memory
+
+  1. New Tables
+    - `user_memories`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, references auth.users)
+      - `content` (text, one fact per row)
+      - `source` (text, `user` when added by the user, `assistant` when
+        learned in a conversation)
+      - `session_id` (uuid, the chat it was learned in, if any)
+      - `search_vector` (generated tsvector over `content`, GIN indexed)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+
+  2. New Functions
+    - `recall_memories` returns the caller's memories most relevant to a
+      piece of text, ranked by full-text match on any of its words
+
+  3. Security
+    - Enable RLS on `user_memories`
+    - Add policies for authenticated users to manage their own memories
+    - `recall_memories` runs as the caller (SECURITY INVOKER), so RLS limits
+      it to the caller's memories
+*/
+
+CREATE TABLE IF NOT EXISTS user_memories (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  content text NOT NULL,
+  source text NOT NULL DEFAULT 'user' CHECK (source IN ('user', 'assistant')),
+  session_id uuid REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_memories_user_idx ON user_memories (user_id);
+CREATE INDEX IF NOT EXISTS user_memories_search_idx ON user_memories USING gin (search_vector);
+
+ALTER TABLE user_memories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own memories"
+  ON user_memories
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Function to handle memory updates
+CREATE OR REPLACE FUNCTION handle_memory_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for memory updates
+CREATE TRIGGER memory_updated
+  BEFORE UPDATE ON user_memories
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_memory_update();
+
+-- A chat message rarely contains every word of a memory, so the query
+-- matches on any word (OR) and ranking decides relevance
+CREATE OR REPLACE FUNCTION recall_memories(
+  query_text text,
+  result_limit integer DEFAULT 8
+)
+RETURNS TABLE (
+  id uuid,
+  content text,
+  source text,
+  rank real
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  WITH query AS (
+    SELECT to_tsquery(
+      'english',
+      replace(plainto_tsquery('english', query_text)::text, ' & ', ' | ')
+    ) AS tsq
+  )
+  SELECT m.id, m.content, m.source, ts_rank(m.search_vector, query.tsq) AS rank
+  FROM user_memories m, query
+  WHERE query.tsq::text <> ''
+    AND m.search_vector @@ query.tsq
+  ORDER BY rank DESC, m.updated_at DESC
+  LIMIT result_limit;
+$$;
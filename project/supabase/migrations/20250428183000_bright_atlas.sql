@@ -0,0 +1,211 @@
+/*
+  # Knowledge Index for Retrieval-Augmented Answers
+
+  1. New Tables
+    - `knowledge_sources`: one row per indexable item of a user
+      - `source_type` (`task` or `file`)
+      - `source_key` (task id, or storage path of an attachment)
+      - `task_id` / `message_id` link back to the row the item comes from
+        and delete the source with it
+      - `title` (text)
+      - `indexed_model` (text, embedding model of the current chunks; NULL
+        while the item is waiting to be (re)indexed)
+      - `indexed_at` (timestamp)
+    - `knowledge_chunks`: embedded pieces of a source
+      - `content` (text)
+      - `embedding` (real[]; cast to pgvector's `vector` for search)
+      - `embedding_model` (text)
+
+  2. Changes
+    - Enable the `vector` extension where it is available
+    - Triggers on `tasks`, `subtasks` and `chat_messages` (document
+      attachments) mark the affected sources for reindexing; the API embeds
+      them before the next retrieval, with whichever embedding model it runs
+    - Add `match_knowledge` function: cosine similarity search through
+      pgvector. Without the extension calls fail and the API ranks chunks
+      in-process instead
+
+  3. Security
+    - Enable RLS on both tables; users manage only their own rows
+    - Trigger functions run as SECURITY DEFINER so sources are kept current
+      whichever role changes the underlying rows
+    - `match_knowledge` runs as the caller (SECURITY INVOKER)
+*/
+
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS vector;
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'pgvector is not available; retrieval will rank in-process';
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS knowledge_sources (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source_type text NOT NULL CHECK (source_type IN ('task', 'file')),
+  source_key text NOT NULL,
+  task_id uuid REFERENCES tasks(id) ON DELETE CASCADE,
+  message_id uuid REFERENCES chat_messages(id) ON DELETE CASCADE,
+  title text NOT NULL DEFAULT '',
+  indexed_model text,
+  indexed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, source_type, source_key)
+);
+
+CREATE INDEX IF NOT EXISTS knowledge_sources_pending_idx
+  ON knowledge_sources (user_id)
+  WHERE indexed_model IS NULL;
+
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_id uuid NOT NULL REFERENCES knowledge_sources(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  chunk_index integer NOT NULL DEFAULT 0,
+  content text NOT NULL,
+  embedding real[] NOT NULL,
+  embedding_model text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS knowledge_chunks_source_idx ON knowledge_chunks (source_id);
+CREATE INDEX IF NOT EXISTS knowledge_chunks_user_model_idx ON knowledge_chunks (user_id, embedding_model);
+
+ALTER TABLE knowledge_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE knowledge_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own knowledge sources"
+  ON knowledge_sources
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own knowledge chunks"
+  ON knowledge_chunks
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Function to queue a task for reindexing
+CREATE OR REPLACE FUNCTION handle_task_knowledge()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO knowledge_sources (user_id, source_type, source_key, task_id, title)
+  VALUES (NEW.user_id, 'task', NEW.id::text, NEW.id, NEW.title)
+  ON CONFLICT (user_id, source_type, source_key)
+  DO UPDATE SET title = EXCLUDED.title, indexed_model = NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for task changes
+CREATE TRIGGER task_knowledge_changed
+  AFTER INSERT OR UPDATE ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_task_knowledge();
+
+-- Function to queue a task for reindexing when its subtasks change; subtasks
+-- are indexed as part of their task
+CREATE OR REPLACE FUNCTION handle_subtask_knowledge()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE knowledge_sources
+  SET indexed_model = NULL
+  WHERE task_id = COALESCE(NEW.task_id, OLD.task_id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for subtask changes
+CREATE TRIGGER subtask_knowledge_changed
+  AFTER INSERT OR UPDATE OR DELETE ON subtasks
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_subtask_knowledge();
+
+-- Function to queue readable document attachments for indexing. A file
+-- forked into another chat keeps the source of the message it was first
+-- attached to.
+CREATE OR REPLACE FUNCTION handle_attachment_knowledge()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO knowledge_sources (user_id, source_type, source_key, message_id, title)
+  SELECT s.user_id, 'file', a->>'path', NEW.id, a->>'name'
+  FROM chat_sessions s, jsonb_array_elements(NEW.attachments) AS a
+  WHERE s.id = NEW.session_id
+    AND a->>'kind' = 'document'
+    AND a->>'path' IS NOT NULL
+    AND coalesce(a->>'text', '') <> ''
+  ON CONFLICT (user_id, source_type, source_key) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for messages with attachments
+CREATE TRIGGER attachment_knowledge_added
+  AFTER INSERT OR UPDATE OF attachments ON chat_messages
+  FOR EACH ROW
+  WHEN (jsonb_typeof(NEW.attachments) = 'array' AND jsonb_array_length(NEW.attachments) > 0)
+  EXECUTE FUNCTION handle_attachment_knowledge();
+
+-- Queue what already exists
+INSERT INTO knowledge_sources (user_id, source_type, source_key, task_id, title)
+SELECT user_id, 'task', id::text, id, title FROM tasks
+ON CONFLICT (user_id, source_type, source_key) DO NOTHING;
+
+INSERT INTO knowledge_sources (user_id, source_type, source_key, message_id, title)
+SELECT DISTINCT ON (s.user_id, a->>'path') s.user_id, 'file', a->>'path', m.id, a->>'name'
+FROM chat_messages m
+JOIN chat_sessions s ON s.id = m.session_id
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(m.attachments) = 'array' THEN m.attachments ELSE '[]'::jsonb END
+) AS a
+WHERE a->>'kind' = 'document'
+  AND a->>'path' IS NOT NULL
+  AND coalesce(a->>'text', '') <> ''
+ORDER BY s.user_id, a->>'path', m.created_at
+ON CONFLICT (user_id, source_type, source_key) DO NOTHING;
+
+-- Nearest chunks by cosine similarity. Written in plpgsql so the function
+-- can be created even where the `vector` type does not exist; it then fails
+-- when called, which the API treats as "search in-process". Chunks are only
+-- compared with a query embedded by the same model.
+CREATE OR REPLACE FUNCTION match_knowledge(
+  query_embedding real[],
+  match_model text,
+  match_count integer DEFAULT 5
+)
+RETURNS TABLE (
+  chunk_id uuid,
+  source_id uuid,
+  content text,
+  similarity double precision
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.source_id,
+    c.content,
+    1 - (c.embedding::vector <=> query_embedding::vector)
+  FROM knowledge_chunks c
+  WHERE c.embedding_model = match_model
+  ORDER BY c.embedding::vector <=> query_embedding::vector
+  LIMIT match_count;
+END;
+$$;
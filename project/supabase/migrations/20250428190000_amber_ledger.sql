@@ -0,0 +1,157 @@
+/*
+  # Token Usage and Cost Accounting
+
+  1. Changes
+    - Add `provider`, `model`, `prompt_tokens`, `completion_tokens` and
+      `cost` (USD) columns to `chat_messages`, set on assistant replies
+    - Add `total_tokens` and `total_cost` columns to `chat_sessions`, kept
+      current from `usage_events`; unpriced calls add their tokens but no
+      cost
+
+  2. New Tables
+    - `usage_events`: one row per model call, written by the API
+      - `user_id` (uuid, references auth.users)
+      - `session_id` (uuid, NULL for calls outside a chat)
+      - `kind` (`reply` or `summary`)
+      - `provider`, `model` (text)
+      - `prompt_tokens`, `completion_tokens` (integer)
+      - `cost` (numeric, USD; NULL for models without a known price)
+      - `estimated` (boolean, true when the provider reported no usage and
+        tokens were estimated from text length)
+      - `created_at` (timestamp)
+
+  3. New Functions
+    - `usage_by_period` sums usage per day or month, model and kind, in
+      the caller's time zone; `cost` sums the priced calls and `unpriced`
+      counts the others
+
+  4. Security
+    - Enable RLS on `usage_events`; users can only read their own events.
+      The ledger backs plan limits, so only the API writes it, with the
+      service role
+    - The session totals trigger runs as SECURITY DEFINER, and signed-in
+      clients that write a session keep its totals as they were
+    - `usage_by_period` runs as the caller (SECURITY INVOKER)
+*/
+
+ALTER TABLE chat_messages
+ADD COLUMN IF NOT EXISTS provider text,
+ADD COLUMN IF NOT EXISTS model text,
+ADD COLUMN IF NOT EXISTS prompt_tokens integer,
+ADD COLUMN IF NOT EXISTS completion_tokens integer,
+ADD COLUMN IF NOT EXISTS cost numeric(12, 6);
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS total_tokens bigint NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS total_cost numeric(12, 6) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS usage_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id uuid REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  kind text NOT NULL DEFAULT 'reply' CHECK (kind IN ('reply', 'summary')),
+  provider text NOT NULL,
+  model text NOT NULL,
+  prompt_tokens integer NOT NULL DEFAULT 0,
+  completion_tokens integer NOT NULL DEFAULT 0,
+  cost numeric(12, 6),
+  estimated boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS usage_events_user_created_idx ON usage_events (user_id, created_at);
+
+ALTER TABLE usage_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own usage"
+  ON usage_events
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Function to add a usage event to its session's totals
+CREATE OR REPLACE FUNCTION handle_usage_event()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.session_id IS NOT NULL THEN
+    UPDATE chat_sessions
+    SET
+      total_tokens = total_tokens + NEW.prompt_tokens + NEW.completion_tokens,
+      total_cost = total_cost + coalesce(NEW.cost, 0)
+    WHERE id = NEW.session_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for recorded usage
+CREATE TRIGGER usage_event_recorded
+  AFTER INSERT ON usage_events
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_usage_event();
+
+-- Function to keep session totals out of clients' hands: they only change
+-- through handle_usage_event, which runs as the table owner
+CREATE OR REPLACE FUNCTION protect_session_totals()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') THEN
+    IF TG_OP = 'INSERT' THEN
+      NEW.total_tokens := 0;
+      NEW.total_cost := 0;
+    ELSE
+      NEW.total_tokens := OLD.total_tokens;
+      NEW.total_cost := OLD.total_cost;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for session writes
+CREATE TRIGGER session_totals_protected
+  BEFORE INSERT OR UPDATE ON chat_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_session_totals();
+
+CREATE OR REPLACE FUNCTION usage_by_period(
+  bucket text DEFAULT 'day',
+  from_date timestamptz DEFAULT now() - interval '30 days',
+  time_zone text DEFAULT 'UTC'
+)
+RETURNS TABLE (
+  period date,
+  provider text,
+  model text,
+  kind text,
+  requests bigint,
+  prompt_tokens bigint,
+  completion_tokens bigint,
+  cost numeric,
+  unpriced bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT
+    date_trunc(
+      CASE WHEN bucket = 'month' THEN 'month' ELSE 'day' END,
+      u.created_at AT TIME ZONE time_zone
+    )::date,
+    u.provider,
+    u.model,
+    u.kind,
+    count(*),
+    sum(u.prompt_tokens),
+    sum(u.completion_tokens),
+    coalesce(sum(u.cost), 0),
+    count(*) FILTER (WHERE u.cost IS NULL)
+  FROM usage_events u
+  WHERE u.created_at >= from_date
+  GROUP BY 1, 2, 3, 4
+  ORDER BY 1, 2, 3, 4;
+$$;
@@ -0,0 +1,121 @@
+/*
+  # Rate Limits and Plan Quotas
+
+  1. New Tables
+    - `user_plans`: the plan each user's daily quota is based on; users
+      without a row are on `free`
+      - `user_id` (uuid, primary key, references auth.users)
+      - `plan` (`free`, `pro` or `team`)
+      - `updated_at` (timestamp)
+    - `rate_limit_hits`: one row per request counted by a sliding window
+      - `key` (text, route plus `user:<id>` or `ip:<address>`)
+      - `hit_at` (timestamp)
+
+  2. New Functions
+    - `hit_rate_limit` counts a request against a route's window and
+      returns 0 when it is allowed, otherwise the seconds until it would be;
+      the API passes the user id or client IP it resolved, and the window
+      and limit from its per-route configuration
+
+  3. Security
+    - Enable RLS on `user_plans`; users can read their own plan but not
+      change it (billing writes it with the service role)
+    - Enable RLS on `rate_limit_hits` without policies; it is only reached
+      through `hit_rate_limit`
+    - Only `service_role` may execute `hit_rate_limit`, so clients cannot
+      reset their own counters or fill up another IP's; the API calls it
+      with the service role
+*/
+
+CREATE TABLE IF NOT EXISTS user_plans (
+  user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  plan text NOT NULL DEFAULT 'free' CHECK (plan IN ('free', 'pro', 'team')),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE user_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own plan"
+  ON user_plans
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Function to handle plan updates
+CREATE OR REPLACE FUNCTION handle_plan_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for plan updates
+CREATE TRIGGER plan_updated
+  BEFORE UPDATE ON user_plans
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_plan_update();
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  key text NOT NULL,
+  hit_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key_idx ON rate_limit_hits (key, hit_at);
+
+ALTER TABLE rate_limit_hits ENABLE ROW LEVEL SECURITY;
+
+-- Function to count a request in a sliding window. `subject` is 'user' or
+-- 'ip' and `subject_id` the user id or client IP.
+CREATE OR REPLACE FUNCTION hit_rate_limit(
+  route text,
+  subject text,
+  subject_id text,
+  window_seconds integer,
+  max_hits integer
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  limit_key text;
+  hits integer;
+  oldest timestamptz;
+BEGIN
+  IF subject NOT IN ('user', 'ip') THEN
+    RAISE EXCEPTION 'Unknown rate limit subject: %', subject;
+  END IF;
+  IF coalesce(window_seconds, 0) <= 0 OR coalesce(max_hits, 0) <= 0 THEN
+    RAISE EXCEPTION 'Rate limit windows and limits must be positive';
+  END IF;
+  limit_key := route || ':' || subject || ':' || coalesce(subject_id, 'unknown');
+
+  -- Serialize concurrent requests for the same key
+  PERFORM pg_advisory_xact_lock(hashtext(limit_key));
+
+  DELETE FROM rate_limit_hits
+  WHERE key = limit_key AND hit_at <= now() - make_interval(secs => window_seconds);
+
+  -- Keys that stopped sending requests are cleared now and then
+  IF random() < 0.01 THEN
+    DELETE FROM rate_limit_hits WHERE hit_at < now() - interval '1 day';
+  END IF;
+
+  SELECT count(*), min(hit_at) INTO hits, oldest
+  FROM rate_limit_hits
+  WHERE key = limit_key;
+
+  IF hits >= max_hits THEN
+    RETURN greatest(1, ceil(extract(epoch FROM oldest + make_interval(secs => window_seconds) - now())))::integer;
+  END IF;
+
+  INSERT INTO rate_limit_hits (key) VALUES (limit_key);
+  RETURN 0;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION hit_rate_limit(text, text, text, integer, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION hit_rate_limit(text, text, text, integer, integer) TO service_role;
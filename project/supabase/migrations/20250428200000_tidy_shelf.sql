@@ -0,0 +1,61 @@
+/*
+  # Chat Folders, Tags and Pinning
+
+  1. New Tables
+    - `chat_folders`: user-defined folders for chat sessions
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, references auth.users)
+      - `name` (text)
+      - `created_at`, `updated_at` (timestamp)
+
+  2. Changes
+    - Add `folder_id` to `chat_sessions` (NULL when the chat is in no
+      folder; deleting a folder moves its chats out of it)
+    - Add `pinned_at` to `chat_sessions` (NULL when not pinned; pinned
+      chats are listed first, most recently pinned on top)
+    - Add `tags` (text array) to `chat_sessions`
+
+  3. Security
+    - Enable RLS on `chat_folders`
+    - Add policy for users to manage their own folders
+*/
+
+CREATE TABLE IF NOT EXISTS chat_folders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE chat_folders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own folders"
+  ON chat_folders
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Function to handle folder updates
+CREATE OR REPLACE FUNCTION handle_folder_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for folder updates
+CREATE TRIGGER folder_updated
+  BEFORE UPDATE ON chat_folders
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_folder_update();
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS folder_id uuid REFERENCES chat_folders(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS pinned_at timestamptz,
+ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS chat_sessions_folder_idx ON chat_sessions (folder_id);
+CREATE INDEX IF NOT EXISTS chat_sessions_tags_idx ON chat_sessions USING gin (tags);
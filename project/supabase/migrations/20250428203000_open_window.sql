@@ -0,0 +1,110 @@
+/*
+  # Shared Chat Links
+
+  1. New Tables
+    - `chat_shares`: public read-only links to a chat session
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, references auth.users)
+      - `session_id` (uuid, references chat_sessions)
+      - `token` (text, unique, the secret part of the link)
+      - `expires_at` (timestamp, NULL for links that don't expire)
+      - `revoked_at` (timestamp, set when the owner revokes the link)
+      - `created_at` (timestamp)
+
+  2. New Functions
+    - `get_shared_chat` returns the session behind a valid token: its
+      title and persona name plus the message tree. System prompts, tool
+      results, message metadata and attachment contents are left out;
+      attachments are listed by name only.
+
+  3. Security
+    - Enable RLS on `chat_shares`
+    - Add policy for users to manage their own links to their own chats
+    - `get_shared_chat` runs as SECURITY DEFINER and is granted to `anon`,
+      so links work without signing in; it returns NULL for unknown,
+      revoked and expired tokens
+*/
+
+CREATE TABLE IF NOT EXISTS chat_shares (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id uuid NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  token text NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS chat_shares_session_idx ON chat_shares (session_id);
+
+ALTER TABLE chat_shares ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own shares"
+  ON chat_shares
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (
+    auth.uid() = user_id AND
+    EXISTS (
+      SELECT 1 FROM chat_sessions s
+      WHERE s.id = session_id AND s.user_id = auth.uid()
+    )
+  );
+
+-- Function to read a shared chat. System and tool messages keep their place
+-- in the tree so branches can be followed, but their content is removed.
+CREATE OR REPLACE FUNCTION get_shared_chat(share_token text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  shared chat_shares;
+  result jsonb;
+BEGIN
+  SELECT * INTO shared
+  FROM chat_shares
+  WHERE token = share_token
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > now());
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT jsonb_build_object(
+    'title', s.title,
+    'created_at', s.created_at,
+    'shared_at', shared.created_at,
+    'expires_at', shared.expires_at,
+    'persona', CASE WHEN p.id IS NULL THEN NULL
+      ELSE jsonb_build_object('title', p.title, 'emoji', p.emoji) END,
+    'messages', coalesce((
+      SELECT jsonb_agg(jsonb_build_object(
+        'id', m.id,
+        'parent_id', m.parent_id,
+        'role', m.role,
+        'content', CASE WHEN m.role IN ('system', 'tool') THEN NULL ELSE m.content END,
+        'is_active', m.is_active,
+        'created_at', m.created_at,
+        'attachments', (
+          SELECT coalesce(jsonb_agg(jsonb_build_object('name', a->>'name')), '[]'::jsonb)
+          FROM jsonb_array_elements(m.attachments) a
+        )
+      ) ORDER BY m.created_at)
+      FROM chat_messages m
+      WHERE m.session_id = s.id
+    ), '[]'::jsonb)
+  ) INTO result
+  FROM chat_sessions s
+  LEFT JOIN chat_prompts p ON p.id = s.prompt_id
+  WHERE s.id = shared.session_id;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_shared_chat(text) TO anon, authenticated;
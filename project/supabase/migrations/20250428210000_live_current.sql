@@ -0,0 +1,32 @@
+/*
+  # Realtime Sync
+
+  1. Changes
+    - Publish row changes of `chat_sessions`, `chat_messages`,
+      `chat_folders`, `tasks`, `subtasks` and `integrations` to Supabase
+      Realtime, so every open device of a user sees edits made elsewhere
+
+  2. Security
+    - Realtime applies the tables' existing RLS policies to each
+      subscriber; users only receive changes to rows they can read
+*/
+
+DO $$
+DECLARE
+  synced_table text;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    CREATE PUBLICATION supabase_realtime;
+  END IF;
+
+  FOREACH synced_table IN ARRAY ARRAY[
+    'chat_sessions', 'chat_messages', 'chat_folders', 'tasks', 'subtasks', 'integrations'
+  ] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = synced_table
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', synced_table);
+    END IF;
+  END LOOP;
+END $$;
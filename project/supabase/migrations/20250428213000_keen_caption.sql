@@ -0,0 +1,28 @@
+/*
+  # Generated Chat Titles and Summaries
+
+  1. Changes
+    - Add `headline` to `chat_sessions`: a one-line summary of the chat,
+      written by the model together with its title
+    - Add `title_source` to `chat_sessions`: `placeholder` until a title is
+      generated, then `generated`; `user` once the user renames the chat,
+      after which its title is never replaced
+    - Add `titled_message_count` to `chat_sessions`: the number of messages
+      the current title was written from, so it is reconsidered as the
+      conversation grows
+    - Allow `title` as a `usage_events.kind`
+
+  2. Security
+    - No policy changes; the new columns are covered by the existing
+      `chat_sessions` policies
+*/
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS headline text,
+ADD COLUMN IF NOT EXISTS title_source text NOT NULL DEFAULT 'placeholder'
+  CHECK (title_source IN ('placeholder', 'generated', 'user')),
+ADD COLUMN IF NOT EXISTS titled_message_count integer NOT NULL DEFAULT 0;
+
+ALTER TABLE usage_events
+DROP CONSTRAINT IF EXISTS usage_events_kind_check,
+ADD CONSTRAINT usage_events_kind_check CHECK (kind IN ('reply', 'summary', 'title'));
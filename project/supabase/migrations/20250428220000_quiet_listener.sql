@@ -0,0 +1,17 @@
+/*
+  # Voice Mode Preferences
+
+  1. Changes
+    - Add `language` to `profiles`: the BCP 47 tag speech is recognized in;
+      the browser's language is used while it is empty
+    - Add `voice_preferences` to `profiles`: the wake phrase, whether it is
+      required, and how many seconds of silence end an utterance
+
+  2. Security
+    - No policy changes; the new columns are covered by the existing
+      `profiles` policies
+*/
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS language text,
+ADD COLUMN IF NOT EXISTS voice_preferences jsonb NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,14 @@
+/*
+  # Metered Speech
+
+  1. Changes
+    - Allow `speech` as a `usage_events.kind`, for text read aloud by
+      `/api/tts`
+
+  2. Security
+    - No changes
+*/
+
+ALTER TABLE usage_events
+DROP CONSTRAINT IF EXISTS usage_events_kind_check,
+ADD CONSTRAINT usage_events_kind_check CHECK (kind IN ('reply', 'summary', 'title', 'speech'));
@@ -0,0 +1,14 @@
+/*
+  # Metered Transcription
+
+  1. Changes
+    - Allow `transcription` as a `usage_events.kind`, for recordings
+      transcribed by `/api/transcribe`
+
+  2. Security
+    - No changes
+*/
+
+ALTER TABLE usage_events
+DROP CONSTRAINT IF EXISTS usage_events_kind_check,
+ADD CONSTRAINT usage_events_kind_check CHECK (kind IN ('reply', 'summary', 'title', 'speech', 'transcription'));
@@ -0,0 +1,120 @@
+/*
+  # Change-Driven Knowledge Indexing
+
+  1. Changes
+    - Add `content_hash` to `knowledge_sources`: the SHA-256 of the text its
+      chunks were embedded from, so a source queued without a change in its
+      text is not embedded again
+    - Tasks and subtasks queue their source only when a field that is
+      indexed changes, instead of on every update
+    - Allow `embedding` as a `usage_events.kind`, for texts the API embeds
+      for retrieval
+    - Add HNSW indexes on `knowledge_chunks` for 512, 768 and 1536
+      dimensional embeddings (the `hash` embedder, `nomic-embed-text` and
+      OpenAI's small models), where pgvector is installed
+    - `match_knowledge` casts to the query's dimensions so its ORDER BY can
+      use the matching index; other sizes are still searched without one
+
+  2. Security
+    - No changes
+*/
+
+ALTER TABLE knowledge_sources
+ADD COLUMN IF NOT EXISTS content_hash text;
+
+DROP TRIGGER IF EXISTS task_knowledge_changed ON tasks;
+
+-- Trigger for new tasks
+CREATE TRIGGER task_knowledge_added
+  AFTER INSERT ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_task_knowledge();
+
+-- Trigger for changes to what a task is indexed with
+CREATE TRIGGER task_knowledge_changed
+  AFTER UPDATE ON tasks
+  FOR EACH ROW
+  WHEN (
+    (OLD.title, OLD.description, OLD.deadline, OLD.status, OLD.priority, OLD.category, OLD.tags)
+    IS DISTINCT FROM
+    (NEW.title, NEW.description, NEW.deadline, NEW.status, NEW.priority, NEW.category, NEW.tags)
+  )
+  EXECUTE FUNCTION handle_task_knowledge();
+
+DROP TRIGGER IF EXISTS subtask_knowledge_changed ON subtasks;
+
+-- Trigger for added and removed subtasks
+CREATE TRIGGER subtask_knowledge_changed
+  AFTER INSERT OR DELETE ON subtasks
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_subtask_knowledge();
+
+-- Trigger for changes to what a subtask is indexed with
+CREATE TRIGGER subtask_knowledge_updated
+  AFTER UPDATE ON subtasks
+  FOR EACH ROW
+  WHEN ((OLD.task_id, OLD.title, OLD.is_complete) IS DISTINCT FROM (NEW.task_id, NEW.title, NEW.is_complete))
+  EXECUTE FUNCTION handle_subtask_knowledge();
+
+ALTER TABLE usage_events
+DROP CONSTRAINT IF EXISTS usage_events_kind_check,
+ADD CONSTRAINT usage_events_kind_check CHECK (kind IN ('reply', 'summary', 'title', 'speech', 'transcription', 'embedding'));
+
+-- Indexes per embedding size; HNSW needs a fixed number of dimensions
+DO $$
+DECLARE
+  dimensions integer;
+BEGIN
+  FOREACH dimensions IN ARRAY ARRAY[512, 768, 1536] LOOP
+    EXECUTE format(
+      'CREATE INDEX IF NOT EXISTS knowledge_chunks_embedding_%1$s_idx
+         ON knowledge_chunks
+         USING hnsw ((embedding::vector(%1$s)) vector_cosine_ops)
+         WHERE array_length(embedding, 1) = %1$s',
+      dimensions
+    );
+  END LOOP;
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'pgvector is not available; retrieval will rank in-process';
+END;
+$$;
+
+-- Nearest chunks by cosine similarity. The cast and the dimensions filter
+-- match the indexes above. Other users' rows are filtered out after the
+-- index scan, so the scan continues until it has enough of the caller's
+-- (pgvector 0.8 and later; older versions ignore the setting).
+CREATE OR REPLACE FUNCTION match_knowledge(
+  query_embedding real[],
+  match_model text,
+  match_count integer DEFAULT 5
+)
+RETURNS TABLE (
+  chunk_id uuid,
+  source_id uuid,
+  content text,
+  similarity double precision
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+AS $$
+DECLARE
+  dimensions integer := array_length(query_embedding, 1);
+BEGIN
+  BEGIN
+    PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+  EXCEPTION WHEN OTHERS THEN
+    NULL;
+  END;
+
+  RETURN QUERY EXECUTE format(
+    'SELECT c.id, c.source_id, c.content,
+       1 - (c.embedding::vector(%1$s) <=> $1::vector(%1$s))
+     FROM knowledge_chunks c
+     WHERE c.embedding_model = $2 AND array_length(c.embedding, 1) = %1$s
+     ORDER BY c.embedding::vector(%1$s) <=> $1::vector(%1$s)
+     LIMIT $3',
+    dimensions
+  ) USING query_embedding, match_model, match_count;
+END;
+$$;
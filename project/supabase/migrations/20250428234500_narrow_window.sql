@@ -0,0 +1,83 @@
+/*
+  # Shared Chats Show Only the Active Branch
+
+  1. Changes
+    - `get_shared_chat` returns the active branch of the message tree (the
+      active message at every level, or the newest where none is) instead
+      of every message, so edited-away questions and replaced replies stay
+      private. System and tool messages are left out; `parent_id` and
+      `is_active` are no longer returned.
+
+  2. Security
+    - Visitors with a link no longer see inactive branches
+*/
+
+CREATE OR REPLACE FUNCTION get_shared_chat(share_token text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  shared chat_shares;
+  result jsonb;
+BEGIN
+  SELECT * INTO shared
+  FROM chat_shares
+  WHERE token = share_token
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > now());
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  WITH RECURSIVE branch AS (
+    (
+      SELECT m.*, 1 AS depth
+      FROM chat_messages m
+      WHERE m.session_id = shared.session_id AND m.parent_id IS NULL
+      ORDER BY m.is_active DESC, m.created_at DESC
+      LIMIT 1
+    )
+    UNION ALL
+    SELECT child.*, b.depth + 1
+    FROM branch b
+    CROSS JOIN LATERAL (
+      SELECT c.*
+      FROM chat_messages c
+      WHERE c.parent_id = b.id
+      ORDER BY c.is_active DESC, c.created_at DESC
+      LIMIT 1
+    ) child
+  )
+  SELECT jsonb_build_object(
+    'title', s.title,
+    'created_at', s.created_at,
+    'shared_at', shared.created_at,
+    'expires_at', shared.expires_at,
+    'persona', CASE WHEN p.id IS NULL THEN NULL
+      ELSE jsonb_build_object('title', p.title, 'emoji', p.emoji) END,
+    'messages', coalesce((
+      SELECT jsonb_agg(jsonb_build_object(
+        'id', b.id,
+        'role', b.role,
+        'content', b.content,
+        'created_at', b.created_at,
+        'attachments', (
+          SELECT coalesce(jsonb_agg(jsonb_build_object('name', a->>'name')), '[]'::jsonb)
+          FROM jsonb_array_elements(b.attachments) a
+        )
+      ) ORDER BY b.depth)
+      FROM branch b
+      WHERE b.role IN ('user', 'assistant')
+    ), '[]'::jsonb)
+  ) INTO result
+  FROM chat_sessions s
+  LEFT JOIN chat_prompts p ON p.id = s.prompt_id
+  WHERE s.id = shared.session_id;
+
+  RETURN result;
+END;
+$$;